@@ -0,0 +1,35 @@
+/* Check the JSON month files under data/ (raw snapshots and rollups).
+   Usage: npm run fsck [-- --quarantine | --repair]
+   - no flags: report problems only
+   - --quarantine: move unparsable files to data/quarantine/
+   - --repair: quarantine, then salvage truncated files, drop duplicates, sort,
+     move entries to their month and delete orphan .tmp files
+   Exits with 1 while problems remain unrepaired. Stop the backend before repairing.
+*/
+const { checkDataFiles } = require("../src/lib/fsck");
+
+async function main() {
+  const args = process.argv.slice(2);
+  for (const arg of args) {
+    if (arg !== "--quarantine" && arg !== "--repair") {
+      throw new Error(`Unknown argument ${arg}`);
+    }
+  }
+  const options = { quarantine: args.includes("--quarantine"), repair: args.includes("--repair") };
+
+  const report = await checkDataFiles(options);
+  for (const problem of report.problems) {
+    const count = problem.count ? ` (${problem.count})` : "";
+    console.log(`${problem.file}: ${problem.kind}${count} - ${problem.detail} [${problem.action}]`);
+  }
+  console.log(`Checked ${report.files_checked} month file(s), ${report.problems.length} problem(s) found`);
+
+  if (report.problems.some((p) => p.action === "reported")) {
+    process.exit(1);
+  }
+}
+
+main().catch((e) => {
+  console.error("fsck failed:", e);
+  process.exit(1);
+});
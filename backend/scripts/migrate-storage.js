@@ -0,0 +1,69 @@
+/* Copy raw snapshots between storage engines.
+   Usage: npm run migrate-storage -- --to ndjson [--from json] [--delete-source]
+   - --from defaults to the engine configured in services.json
+   - every month is copied and read back before the source is touched
+   - --delete-source removes migrated months from the source engine
+   Stop the backend first, then set "storage": { "engine": "<to>" } and restart.
+*/
+const { loadConfig } = require("../src/lib/config");
+const { getStorageEngine, listStorageEngines } = require("../src/lib/storage");
+
+function parseArgs(argv) {
+  const args = { deleteSource: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--from") args.from = argv[++i];
+    else if (argv[i] === "--to") args.to = argv[++i];
+    else if (argv[i] === "--delete-source") args.deleteSource = true;
+    else throw new Error(`Unknown argument ${argv[i]}`);
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const cfg = await loadConfig();
+  const fromName = args.from || cfg.storage.engine;
+  const engines = listStorageEngines().join(", ");
+
+  if (!args.to) {
+    throw new Error(`--to is required (one of: ${engines})`);
+  }
+  if (args.to === fromName) {
+    throw new Error(`Source and target are both "${fromName}"`);
+  }
+  const source = getStorageEngine(fromName);
+  const target = getStorageEngine(args.to);
+  if (!source || !target) {
+    throw new Error(`Unknown storage engine (one of: ${engines})`);
+  }
+
+  let totalBuckets = 0;
+  for (const serviceId of await source.listServices()) {
+    let buckets = 0;
+    for (const monthKey of await source.listMonths(serviceId)) {
+      const entries = await source.readMonth(serviceId, monthKey);
+      await target.writeMonth(serviceId, monthKey, entries);
+
+      const copied = await target.readMonth(serviceId, monthKey);
+      if (copied.length !== entries.length) {
+        throw new Error(`${serviceId} ${monthKey}: wrote ${entries.length} buckets but read back ${copied.length}`);
+      }
+      if (args.deleteSource) {
+        await source.writeMonth(serviceId, monthKey, []);
+      }
+      buckets += entries.length;
+    }
+    console.log(`Migrated ${buckets} buckets for service ${serviceId}`);
+    totalBuckets += buckets;
+  }
+
+  console.log(`Migration ${fromName} -> ${args.to} complete. Total buckets: ${totalBuckets}`);
+  if (cfg.storage.engine !== args.to) {
+    console.log(`Set "storage": { "engine": "${args.to}" } in services.json to use it.`);
+  }
+}
+
+main().catch((e) => {
+  console.error("Migration failed:", e.message || e);
+  process.exit(1);
+});
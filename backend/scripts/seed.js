@@ -18,6 +18,7 @@ function randInt(min, max) {
 
 async function main() {
   const cfg = await loadConfig();
+  persistence.configureStorage(cfg);
   const BUCKET = bucketMs();
   const WINDOW_LEN = BUCKET === 60000 ? 180 : 48; // 3h for minute mode; 2 days for hourly
   const now = Date.now();
@@ -0,0 +1,19 @@
+/* Validate a services.json against src/config/schema.json plus semantic checks
+   (unique, file-name-safe ids; timeout_ms longer than slow_threshold_ms; IANA timezone;
+   body_matches patterns that compile; dns resolvers given as IP addresses).
+   Usage: npm run validate-config [-- path/to/services.json]
+   Prints one line per problem with its JSON path and exits with 1 when invalid.
+*/
+const path = require("path");
+const { loadConfig, CONFIG_PATH } = require("../src/lib/config");
+
+async function main() {
+  const configPath = process.argv[2] ? path.resolve(process.argv[2]) : CONFIG_PATH;
+  const cfg = await loadConfig(configPath);
+  console.log(`${configPath} is valid (${cfg.services.length} services)`);
+}
+
+main().catch((e) => {
+  console.error(e.message || e);
+  process.exit(1);
+});
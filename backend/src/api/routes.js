@@ -1,9 +1,126 @@
 const express = require("express");
-const { getLatestSnapshot } = require("../lib/persistence");
+const { getLatestSnapshot, readSnapshots } = require("../lib/persistence");
 const { hourBucketUtcMs, startOfNextUtcHourMs } = require("../lib/time");
+const { getLag, getHeight, getStall } = require("../lib/consensus");
+const { getCertificate } = require("../lib/certificates");
+const { summarizeBucket, median } = require("../lib/stats");
+const { getServiceState } = require("../lib/rules");
+const maintenance = require("../lib/maintenance");
+const { getUptimeWindows, sumSnapshots, addTotals, formatTotals } = require("../lib/uptime");
+const { RESOLUTIONS, pickResolution, countCells, downsample } = require("../lib/downsample");
+const { readIncidents } = require("../lib/incidents");
+const { getRecentDeliveries } = require("../lib/notifier");
+const { getIntegrityReport } = require("../lib/fsck");
+const { readRawConfig, writeRawConfig, validateConfig } = require("../lib/config");
+const { requireAdmin, recordAudit, getAuditLog } = require("../lib/admin");
+const events = require("../lib/events");
+const { MAX_CHECKS_PER_SERVICE, getRecentChecks } = require("../lib/checklog");
 
 const router = express.Router();
 
+// Fields a snapshot may carry besides hour_utc_ms, which is always returned.
+// Older month files only hold ping_ms; fields a snapshot lacks are omitted.
+const SNAPSHOT_FIELDS = [
+  "ping_ms",
+  "samples_total",
+  "samples_ok",
+  "success_ratio",
+  "min_ms",
+  "max_ms",
+  "p50_ms",
+  "p95_ms",
+  "p99_ms",
+  "failure_reasons",
+  "lag_blocks",
+  "last_check_ms",
+  "failure_reason",
+  "samples_maintenance",
+  "maintenance",
+  "no_data",
+  "status",
+  "buckets",
+  "bucket_ms",
+  "incidents"
+];
+
+// Most cells per service a downsampled /api/snapshots response may hold
+const MAX_RESOLUTION_CELLS = 1000;
+
+// Comment lines sent on idle /api/stream connections so proxies keep them open
+const STREAM_HEARTBEAT_MS = 25000;
+
+function formatSnapshot(snapshot, fields) {
+  const result = { hour_utc_ms: snapshot.hour_utc_ms };
+  for (const field of fields) {
+    if (snapshot[field] !== undefined && snapshot[field] !== null) {
+      result[field] = snapshot[field];
+    }
+  }
+  return result;
+}
+
+// Current ping_ms for a service: the median of this bucket's successful checks
+// (0 without any), as the stored snapshot will have it. Falls back to the
+// latest stored snapshot before the first sample of a bucket. Whether the
+// service is down is the rules engine's call (see currentBucketDatapoint).
+async function calculatePingMs(data, serviceId) {
+  if (!data || data.samples_total === 0) {
+    try {
+      const latestSnapshot = await getLatestSnapshot(serviceId);
+      if (latestSnapshot && latestSnapshot.ping_ms !== undefined) {
+        return latestSnapshot.ping_ms;
+      }
+    } catch (err) {
+      // If we can't get the snapshot, fall back to 0
+      console.warn(`Failed to fetch latest snapshot for service ${serviceId}:`, err);
+    }
+    return 0;
+  }
+
+  return median(data.success_latencies) ?? 0;
+}
+
+// The in-progress bucket of a service as a snapshot (see /api/snapshots and /api/stream)
+function currentBucketDatapoint(serviceId, bucketUtcMs, currentHourData, pingMs) {
+  const ruleState = getServiceState(serviceId);
+  const datapoint = {
+    hour_utc_ms: bucketUtcMs,
+    ping_ms: pingMs
+  };
+  
+  // Include the in-progress bucket's counts, percentiles and failure reasons
+  if (currentHourData) {
+    const { ping_ms, ...stats } = summarizeBucket(currentHourData);
+    Object.assign(datapoint, stats);
+  } else if (ruleState.state === null) {
+    // Not checked at all since startup yet
+    datapoint.no_data = true;
+  }
+  
+  // Add last_check_ms for real-time datapoints so frontend can show actual check time
+  if (currentHourData && currentHourData.last_check_ms) {
+    datapoint.last_check_ms = currentHourData.last_check_ms;
+  }
+  
+  // Include block height lag for consensus-checked providers
+  if (currentHourData && currentHourData.max_lag_blocks !== null) {
+    datapoint.lag_blocks = currentHourData.max_lag_blocks;
+  }
+  
+  // A down or degraded verdict from the rules engine (e.g. a stalled chain whose
+  // checks all pass) is carried as status; up is left to ping_ms as in stored buckets
+  if (!datapoint.maintenance && (ruleState.state === "down" || ruleState.state === "degraded")) {
+    datapoint.status = ruleState.state;
+  }
+  
+  // Explain why the service is currently shown as down
+  const failureReason = ruleState.reason || (currentHourData && currentHourData.last_failure_reason);
+  if ((pingMs === 0 || datapoint.status === "down") && !datapoint.maintenance && failureReason) {
+    datapoint.failure_reason = failureReason;
+  }
+  return datapoint;
+}
+
 // Liveness of the backend itself
 router.get("/ping", (req, res) => {
   const bucket_size_ms =
@@ -17,14 +134,34 @@ router.get("/services", (req, res) => {
   const services = (config.services || []).map((s) => ({
     id: s.id,
     name: s.name,
+    type: s.type,
     url: s.url,
+    host: s.host,
+    port: s.port,
     tags: s.tags || [],
     slow_threshold_ms: s.slow_threshold_ms,
-    timeout_ms: s.timeout_ms
+    timeout_ms: s.timeout_ms,
+    retries: s.retries,
+    max_lag_blocks: s.block_height ? s.block_height.max_lag_blocks : null,
+    paused: s.paused
   }));
   res.json({ services });
 });
 
+// Latest raw check results of a service, newest first (kept in memory since startup)
+router.get("/services/:id/checks", (req, res) => {
+  const config = req.app.locals.config;
+  if (!(config.services || []).some((s) => s.id === req.params.id)) {
+    return res.status(404).json({ error: `Unknown service: ${req.params.id}` });
+  }
+  
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : 50;
+  if (isNaN(limit) || limit < 1 || limit > MAX_CHECKS_PER_SERVICE) {
+    return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_CHECKS_PER_SERVICE}` });
+  }
+  res.json({ service_id: req.params.id, checks: getRecentChecks(req.params.id, limit) });
+});
+
 // Current health derived from real-time accumulator data
 router.get("/health", async (req, res) => {
   try {
@@ -36,55 +173,6 @@ router.get("/health", async (req, res) => {
     const now = Date.now();
     const currentBucket = hourBucketUtcMs(now);
     
-    // Helper function to calculate ping_ms from accumulator data
-    // Returns 0 if the last 2 pings failed or if there's no recent data
-    const calculatePingMs = async (data, serviceId) => {
-      // If no data at all, try to get the latest snapshot for this service
-      if (!data) {
-        try {
-          const latestSnapshot = await getLatestSnapshot(serviceId);
-          if (latestSnapshot && latestSnapshot.ping_ms !== undefined) {
-            return latestSnapshot.ping_ms;
-          }
-        } catch (err) {
-          // If we can't get the snapshot, fall back to 0
-          console.warn(`Failed to fetch latest snapshot for service ${serviceId}:`, err);
-        }
-        return 0;
-      }
-      
-      // If no samples have been recorded yet, try to get the latest snapshot
-      if (data.samples_ok === 0 && data.samples_total === 0) {
-        try {
-          const latestSnapshot = await getLatestSnapshot(serviceId);
-          if (latestSnapshot && latestSnapshot.ping_ms !== undefined) {
-            return latestSnapshot.ping_ms;
-          }
-        } catch (err) {
-          // If we can't get the snapshot, fall back to 0
-          console.warn(`Failed to fetch latest snapshot for service ${serviceId}:`, err);
-        }
-        return 0;
-      }
-      
-      // Check if last 5 results were all failures
-      if (data.recent_results && data.recent_results.length >= 5) {
-        const lastFive = data.recent_results.slice(-5);
-        if (lastFive.every(result => result === false)) {
-          return 0; // Consecutive pings failed, show as down
-        }
-      }
-      
-      // Otherwise calculate median of successful pings
-      const latencies = data.success_latencies.sort((a, b) => a - b);
-      const len = latencies.length;
-      if (len % 2 === 0) {
-        return Math.round((latencies[len / 2 - 1] + latencies[len / 2]) / 2);
-      } else {
-        return latencies[Math.floor(len / 2)];
-      }
-    };
-    
     // For each configured service, get real-time data
     const serviceHealth = [];
     
@@ -93,26 +181,75 @@ router.get("/health", async (req, res) => {
       const currentHourData = accumulator.getCurrentHourData(service.id, currentBucket);
       const lastPingMs = await calculatePingMs(currentHourData, service.id);
       
-      // Derive status and color
-      const status = lastPingMs > 0 ? 'up' : 'down';
-      let color = 'red'; // red when ping_ms = 0
-      if (lastPingMs > 0 && lastPingMs <= service.slow_threshold_ms) {
+      // Block height and lag behind the peer group (block height providers only)
+      const lagBlocks = service.block_height ? getLag(service.id, now) : null;
+      const stall = service.block_height ? getStall(service.id, service.block_height.stall_after_ms, now) : null;
+      
+      // Up/degraded/down as evaluated by the alert rules engine, including
+      // block lag and chain stalls. Services without any check yet fall back
+      // to the latest snapshot's ping, and are unknown (not down) without one.
+      const ruleState = getServiceState(service.id);
+      const stalled = ruleState.rule_type === 'block_stall';
+      let status = ruleState.state || (lastPingMs > 0 ? 'up' : 'unknown');
+      let color = 'red'; // red when down
+      if (status === 'unknown') {
+        color = 'gray'; // gray before the first check
+      } else if (status === 'degraded') {
+        color = 'yellow'; // yellow when a degraded-severity rule (e.g. block lag) fired
+      } else if (status === 'up' && lastPingMs > 0 && lastPingMs <= service.slow_threshold_ms) {
         color = 'green'; // green when 0 < ping_ms ≤ slow_threshold_ms
-      } else if (lastPingMs > service.slow_threshold_ms) {
-        color = 'yellow'; // yellow when ping_ms > slow_threshold_ms
+      } else if (status === 'up') {
+        color = 'yellow'; // yellow when slow or without a successful check this bucket
+      }
+      
+      // Inside a maintenance window checks don't count, whatever they return
+      const window = maintenance.getActiveWindow(service.id, now);
+      if (window) {
+        status = 'maintenance';
+        color = 'blue'; // blue during scheduled maintenance
+      }
+      
+      // Paused through the admin API: not polled, so nothing is known
+      if (service.paused) {
+        status = 'paused';
+        color = 'gray';
       }
       
       serviceHealth.push({
         id: service.id,
         status,
+        state_since_utc_ms: ruleState.since_utc_ms,
+        rule: ruleState.rule,
+        reason: ruleState.reason,
+        flapping: ruleState.flapping,
         last_hour_utc_ms: currentBucket,
         last_ping_ms: lastPingMs,
+        last_failure_reason: currentHourData ? currentHourData.last_failure_reason : null,
+        block_height: service.block_height ? getHeight(service.id) : null,
+        lag_blocks: lagBlocks,
+        stalled,
+        height_changed_utc_ms: stall ? stall.changed_ms : null,
+        details: currentHourData ? currentHourData.last_details : null,
+        maintenance_window: window ? { id: window.id, title: window.title } : null,
+        paused: service.paused,
         color
       });
     }
     
+    // Problems found in the stored month files by the startup integrity check
+    const integrity = getIntegrityReport();
+    const dataIntegrity = integrity
+      ? {
+          checked_at_utc_ms: integrity.checked_at_utc_ms,
+          files_checked: integrity.files_checked,
+          ok: integrity.problems.length === 0,
+          problems: integrity.problems
+        }
+      : null;
+    
     res.json({
       updated_at_utc_ms: now,
+      data_integrity: dataIntegrity,
       services: serviceHealth
     });
   } catch (err) {
@@ -121,10 +258,395 @@ router.get("/health", async (req, res) => {
   }
 });
 
+// TLS certificate details captured by HTTPS checks
+router.get("/certificates", (req, res) => {
+  const config = req.app.locals.config;
+  const now = Date.now();
+  const certificates = (config.services || [])
+    .filter((s) => s.url && s.url.startsWith("https"))
+    .map((s) => {
+      const cert = getCertificate(s.id, s.cert_warn_days, now);
+      if (!cert) {
+        // No HTTPS check has completed a handshake yet
+        return { service_id: s.id, warn_days: s.cert_warn_days, status: "unknown" };
+      }
+      return { service_id: s.id, ...cert };
+    });
+  res.json({ updated_at_utc_ms: now, certificates });
+});
+
+// Incidents (down -> recovery) overlapping a time range, newest first.
+// Defaults to the last 7 days across all services.
+router.get("/incidents", async (req, res) => {
+  try {
+    const { service_id, from_utc_ms, to_utc_ms } = req.query;
+    const now = Date.now();
+    
+    const toUtcMs = to_utc_ms ? parseInt(to_utc_ms, 10) : now;
+    const fromUtcMs = from_utc_ms ? parseInt(from_utc_ms, 10) : toUtcMs - 7 * 24 * 3600000;
+    
+    if (isNaN(fromUtcMs) || isNaN(toUtcMs)) {
+      return res.status(400).json({ error: "from_utc_ms and to_utc_ms must be valid integers" });
+    }
+    
+    if (fromUtcMs > toUtcMs) {
+      return res.status(400).json({ error: "from_utc_ms must be less than or equal to to_utc_ms" });
+    }
+    
+    let ids = null;
+    if (service_id) {
+      ids = String(service_id).split(",").map((s) => s.trim()).filter(Boolean);
+      const config = req.app.locals.config;
+      const validServices = new Set((config.services || []).map(s => s.id));
+      const invalidIds = ids.filter(id => !validServices.has(id));
+      if (invalidIds.length > 0) {
+        return res.status(400).json({
+          error: `Invalid service_id(s): ${invalidIds.join(', ')}`
+        });
+      }
+    }
+    
+    const incidents = await readIncidents(ids, fromUtcMs, toUtcMs, now);
+    res.json({
+      from_utc_ms: fromUtcMs,
+      to_utc_ms: toUtcMs,
+      open_count: incidents.filter((i) => i.ongoing).length,
+      incidents
+    });
+  } catch (err) {
+    console.error('Error fetching incidents:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Maintenance window definitions plus their occurrences overlapping a time range.
+// Defaults to now through the next 7 days, so ongoing windows are included.
+router.get("/maintenance", (req, res) => {
+  const { from_utc_ms, to_utc_ms } = req.query;
+  const now = Date.now();
+  
+  const fromUtcMs = from_utc_ms ? parseInt(from_utc_ms, 10) : now;
+  const toUtcMs = to_utc_ms ? parseInt(to_utc_ms, 10) : fromUtcMs + 7 * 24 * 3600000;
+  
+  if (isNaN(fromUtcMs) || isNaN(toUtcMs)) {
+    return res.status(400).json({ error: "from_utc_ms and to_utc_ms must be valid integers" });
+  }
+  
+  if (fromUtcMs > toUtcMs) {
+    return res.status(400).json({ error: "from_utc_ms must be less than or equal to to_utc_ms" });
+  }
+  
+  // Recurring windows expand to one occurrence per day; keep responses bounded
+  if (toUtcMs - fromUtcMs > 92 * 24 * 3600000) {
+    return res.status(400).json({ error: "Requested time window exceeds maximum of 92 days" });
+  }
+  
+  res.json({
+    from_utc_ms: fromUtcMs,
+    to_utc_ms: toUtcMs,
+    windows: maintenance.getWindows(),
+    occurrences: maintenance.listOccurrences(fromUtcMs, toUtcMs)
+  });
+});
+
+// Create or replace a maintenance window (see lib/maintenance.js for the shape).
+// Windows silence checks, incidents and notifications, so changing them needs
+// an admin token and is recorded in the audit log like other admin changes.
+router.post("/maintenance", requireAdmin, async (req, res) => {
+  try {
+    const error = maintenance.validateWindow(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const existing = maintenance.getWindows().find((w) => w.id === req.body.id);
+    if (existing && existing.source === "config") {
+      return res.status(409).json({ error: `Window ${req.body.id} is defined in services.json` });
+    }
+    
+    const window = await maintenance.saveWindow(req.body);
+    await recordAudit(req.adminActor, existing ? "maintenance_update" : "maintenance_create", null, existing || null, window);
+    res.status(existing ? 200 : 201).json({ window });
+  } catch (err) {
+    console.error('Error saving maintenance window:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a maintenance window created through the API (admin token required)
+router.delete("/maintenance/:id", requireAdmin, async (req, res) => {
+  try {
+    const existing = maintenance.getWindows().find((w) => w.id === req.params.id);
+    if (existing && existing.source === "config") {
+      return res.status(409).json({ error: `Window ${req.params.id} is defined in services.json` });
+    }
+    
+    if (!(await maintenance.deleteWindow(req.params.id))) {
+      return res.status(404).json({ error: `Unknown maintenance window: ${req.params.id}` });
+    }
+    await recordAudit(req.adminActor, "maintenance_delete", null, existing, null);
+    res.status(204).end();
+  } catch (err) {
+    console.error('Error deleting maintenance window:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Admin API: manage the services in services.json at runtime. Every route
+// needs an admin token (see lib/admin.js). Changes are validated like a
+// hand-edited file, written atomically, applied to the running poller and
+// recorded in the audit log.
+router.use("/admin", requireAdmin);
+
+// One change at a time, so concurrent requests can't overwrite each other's edits
+let adminChanges = Promise.resolve();
+
+// Apply change(services, current) to the services in services.json, where
+// current is the definition of serviceId (null if there is none). change
+// returns { services } with the new list, or { status, error } to refuse.
+// Responds with the service as written, or 204 once it was deleted.
+function changeService(req, res, action, serviceId, change, successStatus = 200) {
+  const run = adminChanges.then(async () => {
+    const raw = await readRawConfig();
+    const services = raw.services || [];
+    const before = services.find((s) => s.id === serviceId) || null;
+    const result = change(services, before);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    
+    const next = { ...raw, services: result.services };
+    const errors = validateConfig(next);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid service definition", errors });
+    }
+    await writeRawConfig(next);
+    
+    const after = result.services.find((s) => s.id === serviceId) || null;
+    await recordAudit(req.adminActor, action, serviceId, before, after);
+    // Apply now rather than after the file watcher notices (not set during startup)
+    if (req.app.locals.reloadConfig) {
+      await req.app.locals.reloadConfig();
+    }
+    if (!after) {
+      return res.status(204).end();
+    }
+    res.status(successStatus).json({ service: after });
+  }).catch((err) => {
+    console.error(`Error applying admin ${action} of ${serviceId}:`, err);
+    res.status(500).json({ error: 'Internal server error' });
+  });
+  adminChanges = run;
+  return run;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Service definitions as written in services.json (without defaults)
+router.get("/admin/services", async (req, res) => {
+  try {
+    const raw = await readRawConfig();
+    res.json({ services: raw.services || [] });
+  } catch (err) {
+    console.error('Error reading services.json:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add a service (same shape as an entry of "services" in services.json)
+router.post("/admin/services", (req, res) => {
+  const definition = req.body;
+  if (!isPlainObject(definition) || typeof definition.id !== "string" || definition.id === "") {
+    return res.status(400).json({ error: "Body must be a service definition with an id" });
+  }
+  return changeService(req, res, "create", definition.id, (services, current) => {
+    if (current) {
+      return { status: 409, error: `Service ${definition.id} already exists` };
+    }
+    return { services: [...services, definition] };
+  }, 201);
+});
+
+// Update a service: properties in the body replace the current ones and null
+// removes one. The id can't be changed.
+router.patch("/admin/services/:id", (req, res) => {
+  const patch = req.body;
+  if (!isPlainObject(patch)) {
+    return res.status(400).json({ error: "Body must be an object of properties to change" });
+  }
+  if (patch.id !== undefined && patch.id !== req.params.id) {
+    return res.status(400).json({ error: "The id of a service can't be changed" });
+  }
+  return changeService(req, res, "update", req.params.id, (services, current) => {
+    if (!current) {
+      return { status: 404, error: `Unknown service: ${req.params.id}` };
+    }
+    const updated = { ...current, ...patch };
+    for (const [key, value] of Object.entries(patch)) {
+      if (value === null) delete updated[key];
+    }
+    return { services: services.map((s) => (s === current ? updated : s)) };
+  });
+});
+
+// Remove a service. Its stored snapshots are kept until retention prunes them.
+router.delete("/admin/services/:id", (req, res) => {
+  return changeService(req, res, "delete", req.params.id, (services, current) => {
+    if (!current) {
+      return { status: 404, error: `Unknown service: ${req.params.id}` };
+    }
+    return { services: services.filter((s) => s !== current) };
+  });
+});
+
+// Stop polling a service without removing it; its buckets are stored as no data
+router.post("/admin/services/:id/pause", (req, res) => {
+  return changeService(req, res, "pause", req.params.id, (services, current) => {
+    if (!current) {
+      return { status: 404, error: `Unknown service: ${req.params.id}` };
+    }
+    if (current.paused) {
+      return { status: 409, error: `Service ${req.params.id} is already paused` };
+    }
+    return { services: services.map((s) => (s === current ? { ...current, paused: true } : s)) };
+  });
+});
+
+// Poll a paused service again
+router.post("/admin/services/:id/resume", (req, res) => {
+  return changeService(req, res, "resume", req.params.id, (services, current) => {
+    if (!current) {
+      return { status: 404, error: `Unknown service: ${req.params.id}` };
+    }
+    if (!current.paused) {
+      return { status: 409, error: `Service ${req.params.id} is not paused` };
+    }
+    const { paused, ...resumed } = current;
+    return { services: services.map((s) => (s === current ? resumed : s)) };
+  });
+});
+
+// Who changed what through the admin API, newest first (default 100 entries)
+router.get("/admin/audit", async (req, res) => {
+  try {
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 100;
+    if (isNaN(limit) || limit < 1 || limit > 1000) {
+      return res.status(400).json({ error: "limit must be an integer between 1 and 1000" });
+    }
+    res.json({ entries: await getAuditLog(limit) });
+  } catch (err) {
+    console.error('Error reading audit log:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Uptime %, downtime, incident count and mean latency per service and per tag,
+// over rolling (24h, 7d, 30d, 90d) and calendar (today, this/last month) windows.
+router.get("/uptime", async (req, res) => {
+  try {
+    const { service_id, window } = req.query;
+    const config = req.app.locals.config;
+    const accumulator = req.app.locals.accumulator;
+    const now = Date.now();
+    const bucketMs = process.env.PULSE_DEBUG_MINUTE_BUCKETS === '1' ? 60000 : 3600000;
+    
+    let services = config.services || [];
+    if (service_id) {
+      const ids = String(service_id).split(",").map((s) => s.trim()).filter(Boolean);
+      const validServices = new Set(services.map(s => s.id));
+      const invalidIds = ids.filter(id => !validServices.has(id));
+      if (invalidIds.length > 0) {
+        return res.status(400).json({
+          error: `Invalid service_id(s): ${invalidIds.join(', ')}`
+        });
+      }
+      services = services.filter((s) => ids.includes(s.id));
+    }
+    
+    let windows = getUptimeWindows(now);
+    if (window !== undefined) {
+      const keys = String(window).split(",").map((k) => k.trim()).filter(Boolean);
+      if (keys.length === 0) {
+        return res.status(400).json({ error: "window must list at least one window" });
+      }
+      const unknownKeys = keys.filter((k) => !windows.some((w) => w.key === k));
+      if (unknownKeys.length > 0) {
+        return res.status(400).json({ error: `Unknown window(s): ${unknownKeys.join(', ')}` });
+      }
+      windows = windows.filter((w) => keys.includes(w.key));
+    }
+    
+    const ids = services.map((s) => s.id);
+    const fromUtcMs = Math.min(...windows.map((w) => w.from_utc_ms));
+    // Include the bucket that straddles the start of the longest window
+    const snapshotsData = await readSnapshots(ids, fromUtcMs - bucketMs, now);
+    const incidents = await readIncidents(ids, fromUtcMs, now, now);
+    
+    // Count the in-progress bucket too, as /api/snapshots does
+    const currentBucket = hourBucketUtcMs(now);
+    for (const id of ids) {
+      const currentHourData = accumulator.getCurrentHourData(id, currentBucket);
+      if (currentHourData && !snapshotsData[id].some((s) => s.hour_utc_ms === currentBucket)) {
+        snapshotsData[id].push({ hour_utc_ms: currentBucket, ...summarizeBucket(currentHourData) });
+      }
+    }
+    
+    // Raw totals per service and window, so tag groups can be summed before rounding
+    const totalsByService = new Map();
+    for (const service of services) {
+      const byWindow = {};
+      for (const w of windows) {
+        const totals = sumSnapshots(snapshotsData[service.id], w.from_utc_ms, w.to_utc_ms, bucketMs);
+        totals.incidents = incidents.filter((i) =>
+          i.service_id === service.id &&
+          i.start_utc_ms <= w.to_utc_ms &&
+          (i.end_utc_ms ?? now) >= w.from_utc_ms
+        ).length;
+        byWindow[w.key] = totals;
+      }
+      totalsByService.set(service.id, byWindow);
+    }
+    
+    const formatWindows = (byWindow) =>
+      Object.fromEntries(Object.entries(byWindow).map(([key, totals]) => [key, formatTotals(totals)]));
+    
+    const tags = [];
+    for (const tag of new Set(services.flatMap((s) => s.tags || []))) {
+      const members = services.filter((s) => (s.tags || []).includes(tag));
+      const byWindow = {};
+      for (const w of windows) {
+        byWindow[w.key] = members.reduce(
+          (sum, s) => addTotals(sum, totalsByService.get(s.id)[w.key]),
+          {}
+        );
+      }
+      tags.push({ tag, service_ids: members.map((s) => s.id), windows: formatWindows(byWindow) });
+    }
+    
+    res.json({
+      updated_at_utc_ms: now,
+      bucket_size_ms: bucketMs,
+      windows,
+      services: services.map((s) => ({ service_id: s.id, windows: formatWindows(totalsByService.get(s.id)) })),
+      tags
+    });
+  } catch (err) {
+    console.error('Error computing uptime:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Recent notification delivery attempts (newest first)
+router.get("/notifications/deliveries", (req, res) => {
+  res.json({ deliveries: getRecentDeliveries() });
+});
+
 // Historical snapshots
 router.get("/snapshots", async (req, res) => {
   try {
-    const { service_id, from_utc_ms, to_utc_ms, limit } = req.query;
+    const { service_id, from_utc_ms, to_utc_ms, limit, fields, resolution } = req.query;
     
     // Validate required parameters
     if (!service_id) {
@@ -156,6 +678,16 @@ router.get("/snapshots", async (req, res) => {
       }
     }
     
+    // Parse fields selector if provided (hour_utc_ms is always included)
+    let selectedFields = SNAPSHOT_FIELDS;
+    if (fields) {
+      selectedFields = String(fields).split(",").map((f) => f.trim()).filter(Boolean);
+      const unknownFields = selectedFields.filter((f) => f !== "hour_utc_ms" && !SNAPSHOT_FIELDS.includes(f));
+      if (unknownFields.length > 0) {
+        return res.status(400).json({ error: `Unknown field(s): ${unknownFields.join(', ')}` });
+      }
+    }
+    
     // Split service_id into array
     const ids = String(service_id).split(",").map((s) => s.trim()).filter(Boolean);
     
@@ -170,9 +702,6 @@ router.get("/snapshots", async (req, res) => {
       });
     }
     
-    // Import readSnapshots function
-    const { readSnapshots } = require("../lib/persistence");
-    
     // Enforce maximum of 168 hours worth of data per service,
     // converted to bucket count depending on bucket size (minute/hour).
     const maxHours = 168;
@@ -180,11 +709,31 @@ router.get("/snapshots", async (req, res) => {
     const maxBuckets = maxHours * (bucketSize === 60000 ? 60 : 1);
     // Inclusive buckets: if from==to that's 1 bucket
     const requestedBuckets = Math.floor((toUtcMs - fromUtcMs) / bucketSize) + 1;
-    const effectiveLimit = limitValue ? Math.min(limitValue, maxBuckets) : maxBuckets;
+    let effectiveLimit = limitValue ? Math.min(limitValue, maxBuckets) : maxBuckets;
     
-    if (requestedBuckets > maxBuckets) {
+    // Optional server-side downsampling: hour, 6h or day buckets, or auto to
+    // pick the finest of those that fits in limit (default 168) cells
+    let resolutionInfo = null;
+    if (resolution) {
+      if (resolution === "auto") {
+        const budget = Math.min(limitValue || maxHours, MAX_RESOLUTION_CELLS);
+        resolutionInfo = pickResolution(fromUtcMs, toUtcMs, bucketSize, budget);
+      } else if (RESOLUTIONS[resolution] && RESOLUTIONS[resolution] >= bucketSize) {
+        resolutionInfo = { name: resolution, ms: RESOLUTIONS[resolution] };
+      } else {
+        return res.status(400).json({ error: "resolution must be one of auto, hour, 6h, day" });
+      }
+      
+      if (countCells(fromUtcMs, toUtcMs, resolutionInfo.ms) > MAX_RESOLUTION_CELLS) {
+        return res.status(400).json({
+          error: `Requested time window exceeds maximum of ${MAX_RESOLUTION_CELLS} ${resolutionInfo.name} buckets per service`
+        });
+      }
+      // The limit applies to the downsampled cells, not the stored buckets
+      effectiveLimit = null;
+    } else if (requestedBuckets > maxBuckets) {
       return res.status(400).json({
-        error: `Requested time window exceeds maximum of ${maxHours} hours per service`
+        error: `Requested time window exceeds maximum of ${maxHours} hours per service; use resolution=auto for longer windows`
       });
     }
     
@@ -197,55 +746,6 @@ router.get("/snapshots", async (req, res) => {
     const accumulator = req.app.locals.accumulator;
     
     
-    // Helper function to calculate ping_ms from accumulator data
-    // Returns 0 if the last 2 pings failed or if there's no recent data
-    const calculatePingMs = async (data, serviceId) => {
-      // If no data at all, try to get the latest snapshot for this service
-      if (!data) {
-        try {
-          const latestSnapshot = await getLatestSnapshot(serviceId);
-          if (latestSnapshot && latestSnapshot.ping_ms !== undefined) {
-            return latestSnapshot.ping_ms;
-          }
-        } catch (err) {
-          // If we can't get the snapshot, fall back to 0
-          console.warn(`Failed to fetch latest snapshot for service ${serviceId}:`, err);
-        }
-        return 0;
-      }
-      
-      // If no samples have been recorded yet, try to get the latest snapshot
-      if (data.samples_ok === 0 && data.samples_total === 0) {
-        try {
-          const latestSnapshot = await getLatestSnapshot(serviceId);
-          if (latestSnapshot && latestSnapshot.ping_ms !== undefined) {
-            return latestSnapshot.ping_ms;
-          }
-        } catch (err) {
-          // If we can't get the snapshot, fall back to 0
-          console.warn(`Failed to fetch latest snapshot for service ${serviceId}:`, err);
-        }
-        return 0;
-      }
-      
-      // Check if last 5 results were all failures
-      if (data.recent_results && data.recent_results.length >= 5) {
-        const lastFive = data.recent_results.slice(-5);
-        if (lastFive.every(result => result === false)) {
-          return 0; // Consecutive pings failed, show as down
-        }
-      }
-      
-      // Otherwise calculate median of successful pings
-      const latencies = data.success_latencies.sort((a, b) => a - b);
-      const len = latencies.length;
-      if (len % 2 === 0) {
-        return Math.round((latencies[len / 2 - 1] + latencies[len / 2]) / 2);
-      } else {
-        return latencies[Math.floor(len / 2)];
-      }
-    };
-    
     // Add real-time data for each service
     for (const id of ids) {
       const currentHourData = accumulator.getCurrentHourData(id, currentBucket);
@@ -263,66 +763,44 @@ router.get("/snapshots", async (req, res) => {
         
         // Only add if not already present (avoid duplicates)
         if (!hasCurrentBucket) {
-          const datapoint = {
-            hour_utc_ms: timestampToUse,
-            ping_ms: pingMs
-          };
-          
-          // Add last_check_ms for real-time datapoints so frontend can show actual check time
-          if (currentHourData && currentHourData.last_check_ms) {
-            datapoint.last_check_ms = currentHourData.last_check_ms;
-          }
-          
-          snapshotsData[id].push(datapoint);
+          snapshotsData[id].push(currentBucketDatapoint(id, timestampToUse, currentHourData, pingMs));
         }
       }
     }
     
     // Format response
+    const servicesById = new Map((config.services || []).map((s) => [s.id, s]));
+    const formatSnapshots = (id) => {
+      let snapshots = (snapshotsData[id] || []).sort((a, b) => a.hour_utc_ms - b.hour_utc_ms);
+      if (resolutionInfo) {
+        snapshots = downsample(snapshots, resolutionInfo.ms, servicesById.get(id));
+        if (limitValue && snapshots.length > limitValue) {
+          snapshots = snapshots.slice(0, limitValue);
+        }
+      }
+      return snapshots.map(snapshot => formatSnapshot(snapshot, selectedFields));
+    };
+    
+    // Downsampled responses say which bucket size they were aggregated to
+    const resolutionFields = resolutionInfo
+      ? { resolution: resolutionInfo.name, resolution_ms: resolutionInfo.ms }
+      : {};
+    
     if (ids.length === 1) {
       // For one service_id, respond with service_id and snapshots array
-      const snapshots = (snapshotsData[ids[0]] || [])
-        .sort((a, b) => a.hour_utc_ms - b.hour_utc_ms)
-        .map(snapshot => {
-          const result = {
-            hour_utc_ms: snapshot.hour_utc_ms,
-            ping_ms: snapshot.ping_ms
-          };
-          // Include last_check_ms if present (for real-time datapoints)
-          if (snapshot.last_check_ms) {
-            result.last_check_ms = snapshot.last_check_ms;
-          }
-          return result;
-        });
-      
       return res.json({
         service_id: ids[0],
-        snapshots
+        ...resolutionFields,
+        snapshots: formatSnapshots(ids[0])
       });
     } else {
       // For multiple, respond with results array
-      const results = ids.map(id => {
-        const snapshots = (snapshotsData[id] || [])
-          .sort((a, b) => a.hour_utc_ms - b.hour_utc_ms)
-          .map(snapshot => {
-            const result = {
-              hour_utc_ms: snapshot.hour_utc_ms,
-              ping_ms: snapshot.ping_ms
-            };
-            // Include last_check_ms if present (for real-time datapoints)
-            if (snapshot.last_check_ms) {
-              result.last_check_ms = snapshot.last_check_ms;
-            }
-            return result;
-          });
-        
-        return {
-          service_id: id,
-          snapshots
-        };
-      });
+      const results = ids.map(id => ({
+        service_id: id,
+        snapshots: formatSnapshots(id)
+      }));
       
-      return res.json({ results });
+      return res.json({ ...resolutionFields, results });
     }
   } catch (err) {
     console.error('Error fetching snapshots:', err);
@@ -330,4 +808,58 @@ router.get("/snapshots", async (req, res) => {
   }
 });
 
+// Live updates as Server-Sent Events, so the dashboard doesn't have to poll:
+//   event: check       after every check, with the service's in-progress bucket
+//                      as /api/snapshots would return it
+//   event: transition  status changes from the rules engine (see lib/events.js)
+// Polls inside a maintenance window don't reach the rules engine and send nothing.
+router.get("/stream", (req, res) => {
+  const accumulator = req.app.locals.accumulator;
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // Stop nginx from buffering the stream
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+  // Browsers reconnect after this many ms when the connection drops
+  res.write("retry: 5000\n\n");
+  
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  const onCheck = (check) => {
+    const currentBucket = hourBucketUtcMs(check.at_utc_ms);
+    const currentHourData = accumulator.getCurrentHourData(check.service_id, currentBucket);
+    calculatePingMs(currentHourData, check.service_id)
+      .then((pingMs) => {
+        const datapoint = currentBucketDatapoint(check.service_id, currentBucket, currentHourData, pingMs);
+        send("check", {
+          service_id: check.service_id,
+          at_utc_ms: check.at_utc_ms,
+          ok: check.ok,
+          latency_ms: check.latency_ms,
+          reason: check.reason,
+          bucket: formatSnapshot(datapoint, SNAPSHOT_FIELDS)
+        });
+      })
+      .catch((err) => {
+        console.error('Error streaming check:', err);
+      });
+  };
+  const onTransition = (transition) => send("transition", transition);
+  
+  events.on('check', onCheck);
+  events.on('transition', onTransition);
+  const heartbeat = setInterval(() => res.write(": keepalive\n\n"), STREAM_HEARTBEAT_MS);
+  
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    events.off('check', onCheck);
+    events.off('transition', onTransition);
+  });
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,7 @@
 const express = require("express");
 const path = require("path");
 const routes = require("./routes");
+const { renderMetrics } = require("../lib/metrics");
 
 async function startServer({ port, config, accumulator }) {
   const app = express();
@@ -13,6 +14,11 @@ async function startServer({ port, config, accumulator }) {
   // API routes
   app.use("/api", routes);
 
+  // Prometheus scrape endpoint (text exposition format)
+  app.get("/metrics", (req, res) => {
+    res.type("text/plain; version=0.0.4").send(renderMetrics(app.locals.config));
+  });
+
   // Serve static frontend
   const frontendPath = path.resolve(__dirname, "../../../frontend");
   app.use(express.static(frontendPath));
@@ -20,7 +26,7 @@ async function startServer({ port, config, accumulator }) {
   return new Promise((resolve) => {
     app.listen(port, () => {
       console.log(`Labs Pulse server listening on http://localhost:${port}`);
-      resolve();
+      resolve(app);
     });
   });
 }
@@ -1,91 +1,212 @@
 const { startServer } = require("./api/server");
-const { loadConfig } = require("./lib/config");
+const { loadConfig, diffConfig, watchConfig } = require("./lib/config");
 const { startPoller } = require("./lib/poller");
 const { startScheduler } = require("./lib/scheduler");
-const { recordSample, getAndResetForHour, clearHour } = require("./lib/accumulator");
-const { writeHourlySnapshot, pruneRetention } = require("./lib/persistence");
+const { recordSample, writeBucketSnapshots, clearHour, saveCheckpoint, loadCheckpoint, startCheckpointing } = require("./lib/accumulator");
+const { configureStorage, getLatestSnapshot, pruneRetention, pruneRollups, pruneIncidents } = require("./lib/persistence");
+const { compactRollups } = require("./lib/rollups");
 const { hourBucketUtcMs } = require("./lib/time");
+const { loadChainState } = require("./lib/consensus");
+const { startIncidentTracking, loadOpenIncidents, endIncident } = require("./lib/incidents");
+const { configureRules, observeSample, restoreState, forgetServiceState } = require("./lib/rules");
+const { configureMaintenance, loadMaintenance, getActiveWindow } = require("./lib/maintenance");
+const { startNotifier } = require("./lib/notifier");
+const { checkDataFiles } = require("./lib/fsck");
+const { observeCheck } = require("./lib/metrics");
+const { recordCheck, forgetService } = require("./lib/checklog");
 
 async function main() {
   const config = await loadConfig();
   const port = process.env.PORT || 8080;
   
+  // Snapshot storage engine (json month files or ndjson segments)
+  configureStorage(config);
+  
+  // Check the stored month files; unparsable ones are quarantined before a write could replace them
+  const integrity = await checkDataFiles({ quarantine: true });
+  if (integrity.problems.length > 0) {
+    console.warn(`[Startup] Data integrity: ${integrity.problems.length} problem(s) in ${integrity.files_checked} file(s); run "npm run fsck" for details`);
+  }
+  
   // Create accumulator object to pass to both server and poller
+  // Every sample also feeds the alert rules engine, which drives incidents and notifications.
+  // Polls inside a maintenance window are only recorded as maintenance.
+  // /metrics counts every check, and the last ones are kept for the service detail view.
   const accumulator = {
-    recordSample,
+    recordSample: (serviceId, timestampMs, ok, latencyMs, reason, details) => {
+      const window = getActiveWindow(serviceId, timestampMs);
+      observeCheck(serviceId, timestampMs, ok, latencyMs, !!window);
+      recordCheck(serviceId, timestampMs, ok, latencyMs, reason, window ? window.id : null);
+      if (window) {
+        recordSample(serviceId, timestampMs, ok, latencyMs, reason, details, window.id);
+        return;
+      }
+      recordSample(serviceId, timestampMs, ok, latencyMs, reason, details);
+      observeSample(serviceId, timestampMs, ok, latencyMs, reason, details);
+    },
     getCurrentHourData: require("./lib/accumulator").getCurrentHourData
   };
   
   // Start the HTTP server with accumulator access
-  await startServer({ port, config, accumulator });
+  const app = await startServer({ port, config, accumulator });
 
   // Log bucket mode at startup for debugging
   const bucketSizeMs = process.env.PULSE_DEBUG_MINUTE_BUCKETS === '1' ? 60000 : 3600000;
   console.log(`[Startup] Bucket mode: ${bucketSizeMs === 60000 ? 'minute (60s)' : 'hourly (3600s)'}`);
   
+  // Restore last known block heights so stall timers survive restarts
+  await loadChainState();
+  
+  // Maintenance windows from config plus those created through the API
+  configureMaintenance(config);
+  await loadMaintenance();
+  
+  // Evaluate alert rules; services with an incident left open by a previous run start out down.
+  // Those paused or removed since then won't be polled, so their incident ends.
+  configureRules(config);
+  const openIncidents = await loadOpenIncidents();
+  for (const incident of openIncidents) {
+    const service = config.services.find((s) => s.id === incident.service_id);
+    if (!service || service.paused) {
+      await endIncident(incident.service_id, Date.now(), service ? 'paused' : 'removed');
+      continue;
+    }
+    restoreState(incident.service_id, 'down', incident.start_utc_ms);
+  }
+  
+  // Record incidents and deliver alerts for rules engine transitions
+  const stopIncidents = startIncidentTracking();
+  let stopNotifier = startNotifier(config);
+  
+  // Last bucket the previous run finalized; the scheduler backfills the ones after it
+  const currentBucketUtcMs = hourBucketUtcMs(Date.now());
+  let lastWrittenUtcMs = null;
+  for (const service of config.services) {
+    const latest = await getLatestSnapshot(service.id, currentBucketUtcMs - 1);
+    if (latest && (lastWrittenUtcMs === null || latest.hour_utc_ms > lastWrittenUtcMs)) {
+      lastWrittenUtcMs = latest.hour_utc_ms;
+    }
+  }
+  
+  // Continue the buckets of the previous run. Completed ones up to the last
+  // written bucket are rewritten now; later ones are part of the backfill.
+  const completedBuckets = await loadCheckpoint(Date.now());
+  for (const bucketUtcMs of completedBuckets) {
+    if (lastWrittenUtcMs !== null && bucketUtcMs > lastWrittenUtcMs) continue;
+    const writeCount = await writeBucketSnapshots(config.services, bucketUtcMs);
+    console.log(`Wrote ${writeCount} snapshots for restored bucket ${new Date(bucketUtcMs).toISOString()}`);
+    lastWrittenUtcMs = Math.max(lastWrittenUtcMs ?? bucketUtcMs, bucketUtcMs);
+  }
+  const stopCheckpointing = startCheckpointing();
+  
   // Start the poller
-  const stopPoller = startPoller(config, accumulator);
+  const poller = startPoller(config, accumulator);
   
   // Start the scheduler
-  const stopScheduler = startScheduler(async (completedHourUtcMs) => {
+  const stopScheduler = startScheduler(async (completedHourUtcMs, missedBuckets) => {
     console.log(`Hour rollover: ${new Date(completedHourUtcMs).toISOString()}`);
     
-    // Get and reset accumulator data for the completed hour
-    const accumulatorData = getAndResetForHour(completedHourUtcMs);
+    // Boundaries missed while the backend was down: restored from the checkpoint, else no data
+    for (const bucketUtcMs of missedBuckets) {
+      await writeBucketSnapshots(config.services, bucketUtcMs);
+    }
+    if (missedBuckets.length > 0) {
+      console.log(`Backfilled ${missedBuckets.length} missed bucket(s) from ${new Date(missedBuckets[0]).toISOString()}`);
+    }
     
-    let writeCount = 0;
+    const writeCount = await writeBucketSnapshots(config.services, completedHourUtcMs);
     
-    // Process each configured service
-    for (const service of config.services) {
-      let pingMs = 0;
-      
-      // Check if we have accumulator data for this service
-      if (accumulatorData[service.id]) {
-        const data = accumulatorData[service.id];
-        // If we have successful samples, calculate median
-        if (data.samples_ok > 0) {
-          const latencies = data.success_latencies.sort((a, b) => a - b);
-          const len = latencies.length;
-          if (len % 2 === 0) {
-            // Even number of elements - average of two middle values
-            pingMs = Math.round((latencies[len / 2 - 1] + latencies[len / 2]) / 2);
-          } else {
-            // Odd number of elements - middle element
-            pingMs = latencies[Math.floor(len / 2)];
-          }
-        }
-        // If no successful samples, pingMs remains 0
-      }
-      // If no accumulator data for service, pingMs remains 0
-      
-      // Write snapshot for this service
-      await writeHourlySnapshot(service.id, completedHourUtcMs, pingMs);
-      writeCount++;
+    console.log(`Wrote ${writeCount} snapshots for hour ${new Date(completedHourUtcMs).toISOString()}`);
+    
+    // Tiered retention: compact raw buckets past retention_days into daily
+    // rollups, then prune. Raw data is only pruned once compaction succeeded.
+    try {
+      await compactRollups(config.retention_days, Date.now());
+      await pruneRetention(config.retention_days, Date.now());
+    } catch (err) {
+      console.error('Error compacting rollups, keeping raw data:', err);
+    }
+    await pruneRollups(config.rollup_retention_days, Date.now());
+    // Incidents back uptime reports over the rollup tier, so they live as long
+    await pruneIncidents(config.rollup_retention_days, Date.now());
+  }, lastWrittenUtcMs);
+  
+  // Hot reload: services.json is re-read when it changes or on SIGHUP. A file
+  // that fails validation changes nothing. The config object is updated in place, so
+  // routes (app.locals.config), the poller and the scheduler all see the same one.
+  let reloading = Promise.resolve();
+  async function reloadConfig() {
+    let next;
+    try {
+      next = await loadConfig();
+    } catch (err) {
+      // Invalid JSON or schema/semantic errors, listed with their JSON paths
+      console.error(`Config reload failed, keeping the running config: ${err.message}`);
+      return;
+    }
+    // Switching engines needs a migration (npm run migrate-storage) and a restart
+    if (next.storage.engine !== config.storage.engine) {
+      console.warn(`Config reload: storage.engine change to "${next.storage.engine}" needs a restart; ignored`);
+      next.storage = config.storage;
     }
     
-    console.log(`Wrote ${writeCount} snapshots for hour ${new Date(completedHourUtcMs).toISOString()}`);
+    const diff = diffConfig(config, next);
+    if (diff.added.length + diff.removed.length + diff.changed.length + diff.settings.length === 0) {
+      return;
+    }
+    Object.assign(config, next);
+    configureMaintenance(config);
+    configureRules(config);
+    stopNotifier();
+    stopNotifier = startNotifier(config);
+    poller.update(diff);
+    diff.removed.forEach(forgetService);
     
-    // Prune old data based on retention policy
-    await pruneRetention(config.retention_days, Date.now());
-  });
+    // Paused and removed services are no longer evaluated: end their open
+    // incidents and start them over if they come back
+    const paused = diff.changed.filter((id) => config.services.find((s) => s.id === id).paused);
+    for (const serviceId of [...diff.removed, ...paused]) {
+      endIncident(serviceId, Date.now(), paused.includes(serviceId) ? 'paused' : 'removed');
+      forgetServiceState(serviceId);
+    }
+    
+    console.log(`Config reloaded: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed` +
+      (diff.settings.length > 0 ? `; settings: ${diff.settings.join(', ')}` : ''));
+  }
+  // One reload at a time, in order; resolves once this one was applied
+  const queueReload = () => {
+    reloading = reloading.then(reloadConfig).catch((err) => {
+      console.error('Error reloading config:', err);
+    });
+    return reloading;
+  };
+  const stopWatchingConfig = watchConfig(queueReload);
+  process.on('SIGHUP', queueReload);
+  // The admin API applies its changes to services.json right away
+  app.locals.reloadConfig = queueReload;
   
-  // Graceful shutdown
-  process.on('SIGINT', () => {
+  // Graceful shutdown: checkpoint the in-progress bucket so a restart continues it
+  let shuttingDown = false;
+  async function shutdown() {
+    if (shuttingDown) return;
+    shuttingDown = true;
     console.log('Shutting down...');
-    stopPoller();
+    stopWatchingConfig();
+    poller.stop();
     stopScheduler();
+    stopCheckpointing();
+    stopNotifier();
+    stopIncidents();
+    await saveCheckpoint();
     process.exit(0);
-  });
+  }
   
-  process.on('SIGTERM', () => {
-    console.log('Shutting down...');
-    stopPoller();
-    stopScheduler();
-    process.exit(0);
-  });
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
 }
 
 main().catch((err) => {
-  console.error("Fatal error starting Labs Pulse:", err);
+  // Config errors already list every problem; a stack trace adds nothing
+  console.error("Fatal error starting Labs Pulse:", err.errors ? err.message : err);
   process.exit(1);
 });
\ No newline at end of file
@@ -1,6 +1,13 @@
 // In-memory hourly accumulator keyed by service_id and hour bucket.
 // Aggregates poll samples within the current hour before snapshotting to disk.
+// Checkpointed to disk periodically and on shutdown, so a restart mid-hour
+// continues the bucket instead of writing it as down.
 const { hourBucketUtcMs } = require('./time');
+const { readAccumulatorCheckpoint, writeAccumulatorCheckpoint, writeHourlySnapshot } = require('./persistence');
+const { summarizeBucket } = require('./stats');
+
+const BUCKET_SIZE_MS = process.env.PULSE_DEBUG_MINUTE_BUCKETS === '1' ? 60000 : 3600000;
+const CHECKPOINT_INTERVAL_MS = 60000;
 
 // In-memory data structure:
 // {
@@ -8,13 +15,44 @@ const { hourBucketUtcMs } = require('./time');
 //     [hourBucket]: {
 //       samples_total: number,
 //       samples_ok: number,
-//       success_latencies: number[]
+//       success_latencies: number[],
+//       recent_results: boolean[],
+//       last_check_ms: number | null,
+//       last_failure_reason: string | null,
+//       failure_reasons: { [reason]: count },
+//       last_block_height: number | null,
+//       max_lag_blocks: number | null,
+//       last_details: object | null,
+//       samples_maintenance: number,
+//       maintenance_window: string | null
 //     }
 //   }
 // }
 const data = {};
 
-function recordSample(serviceId, timestampMs, ok, latencyMs) {
+// Whether data changed since the last checkpoint
+let dirty = false;
+
+function emptyBucket() {
+  return {
+    samples_total: 0,
+    samples_ok: 0,
+    success_latencies: [],
+    recent_results: [], // Track last N results (true/false for ok/fail)
+    last_check_ms: null, // Timestamp of most recent check
+    last_failure_reason: null, // Why the most recent failed check failed
+    failure_reasons: {}, // Histogram of failure reasons this bucket
+    last_block_height: null, // Latest chain height reported (block height providers only)
+    max_lag_blocks: null, // Worst lag behind the peer group seen this bucket
+    last_details: null, // Check-specific details from the latest check (e.g. P2P version)
+    samples_maintenance: 0, // Polls inside a maintenance window
+    maintenance_window: null // Window id of the latest maintenance poll
+  };
+}
+
+// maintenanceWindow: id of the maintenance window the poll fell in, if any.
+// Such polls only count as samples_maintenance, not towards ok/failed samples.
+function recordSample(serviceId, timestampMs, ok, latencyMs, reason = null, details = {}, maintenanceWindow = null) {
   const bucket = hourBucketUtcMs(timestampMs);
   
   // Initialize service data if not exists
@@ -24,13 +62,15 @@ function recordSample(serviceId, timestampMs, ok, latencyMs) {
   
   // Initialize bucket data if not exists
   if (!data[serviceId][bucket]) {
-    data[serviceId][bucket] = {
-      samples_total: 0,
-      samples_ok: 0,
-      success_latencies: [],
-      recent_results: [], // Track last N results (true/false for ok/fail)
-      last_check_ms: null // Timestamp of most recent check
-    };
+    data[serviceId][bucket] = emptyBucket();
+  }
+  dirty = true;
+  
+  if (maintenanceWindow) {
+    data[serviceId][bucket].samples_maintenance++;
+    data[serviceId][bucket].maintenance_window = maintenanceWindow;
+    data[serviceId][bucket].last_check_ms = timestampMs;
+    return;
   }
   
   // Update counters
@@ -38,6 +78,21 @@ function recordSample(serviceId, timestampMs, ok, latencyMs) {
   if (ok) {
     data[serviceId][bucket].samples_ok++;
     data[serviceId][bucket].success_latencies.push(latencyMs);
+  } else {
+    const failureReason = reason || 'unknown';
+    data[serviceId][bucket].last_failure_reason = failureReason;
+    data[serviceId][bucket].failure_reasons[failureReason] = (data[serviceId][bucket].failure_reasons[failureReason] || 0) + 1;
+  }
+  
+  // Track block height consensus details when the check reports them
+  if (details && typeof details.block_height === 'number') {
+    data[serviceId][bucket].last_block_height = details.block_height;
+  }
+  if (details && typeof details.lag_blocks === 'number') {
+    data[serviceId][bucket].max_lag_blocks = Math.max(data[serviceId][bucket].max_lag_blocks ?? 0, details.lag_blocks);
+  }
+  if (details && Object.keys(details).length > 0) {
+    data[serviceId][bucket].last_details = details;
   }
   
   // Track recent results (keep last 10 for analysis)
@@ -60,11 +115,15 @@ function getAndResetForHour(hourUtcMs) {
       result[serviceId] = {
         samples_total: data[serviceId][hourUtcMs].samples_total,
         samples_ok: data[serviceId][hourUtcMs].samples_ok,
-        success_latencies: data[serviceId][hourUtcMs].success_latencies
+        success_latencies: data[serviceId][hourUtcMs].success_latencies,
+        failure_reasons: data[serviceId][hourUtcMs].failure_reasons,
+        max_lag_blocks: data[serviceId][hourUtcMs].max_lag_blocks,
+        samples_maintenance: data[serviceId][hourUtcMs].samples_maintenance
       };
       
       // Clear the data for this hour
       delete data[serviceId][hourUtcMs];
+      dirty = true;
     }
   }
   
@@ -76,6 +135,7 @@ function clearHour(hourUtcMs) {
   for (const serviceId in data) {
     if (data[serviceId][hourUtcMs]) {
       delete data[serviceId][hourUtcMs];
+      dirty = true;
     }
   }
 }
@@ -88,15 +148,117 @@ function getCurrentHourData(serviceId, hourUtcMs) {
       samples_ok: data[serviceId][hourUtcMs].samples_ok,
       success_latencies: [...data[serviceId][hourUtcMs].success_latencies],
       recent_results: [...data[serviceId][hourUtcMs].recent_results],
-      last_check_ms: data[serviceId][hourUtcMs].last_check_ms
+      last_check_ms: data[serviceId][hourUtcMs].last_check_ms,
+      last_failure_reason: data[serviceId][hourUtcMs].last_failure_reason,
+      failure_reasons: { ...data[serviceId][hourUtcMs].failure_reasons },
+      last_block_height: data[serviceId][hourUtcMs].last_block_height,
+      max_lag_blocks: data[serviceId][hourUtcMs].max_lag_blocks,
+      last_details: data[serviceId][hourUtcMs].last_details,
+      samples_maintenance: data[serviceId][hourUtcMs].samples_maintenance,
+      maintenance_window: data[serviceId][hourUtcMs].maintenance_window
     };
   }
   return null;
 }
 
+// Finalize one bucket: write a snapshot per service from the accumulator and
+// reset it. Resolves to the number of snapshots written.
+async function writeBucketSnapshots(services, hourUtcMs) {
+  const accumulatorData = getAndResetForHour(hourUtcMs);
+  let writeCount = 0;
+
+  for (const service of services) {
+    let pingMs = 0;
+    // Without any poll this bucket (e.g. the monitor wasn't running) the
+    // service is unknown rather than down
+    let extra = { no_data: true };
+
+    const bucket = accumulatorData[service.id];
+    if (bucket) {
+      // Median latency (0 without successful samples) plus counts, percentiles and failure reasons
+      const { ping_ms, ...stats } = summarizeBucket(bucket);
+      pingMs = ping_ms;
+      extra = stats;
+
+      // Store block height lag next to latency for consensus-checked providers
+      if (bucket.max_lag_blocks !== null && bucket.max_lag_blocks !== undefined) {
+        extra.lag_blocks = bucket.max_lag_blocks;
+      }
+    }
+    await writeHourlySnapshot(service.id, hourUtcMs, pingMs, extra);
+    writeCount++;
+  }
+
+  // The finalized bucket no longer needs restoring after a restart
+  await saveCheckpoint();
+  return writeCount;
+}
+
+// Serialize writes so an older checkpoint can never overwrite a newer one
+let saveQueue = Promise.resolve();
+
+// Write the in-progress buckets to disk (skipped when nothing changed)
+function saveCheckpoint() {
+  if (!dirty) {
+    return saveQueue;
+  }
+  dirty = false;
+  const checkpoint = { saved_at_utc_ms: Date.now(), bucket_ms: BUCKET_SIZE_MS, data };
+  const content = JSON.stringify(checkpoint);
+  saveQueue = saveQueue
+    .then(() => writeAccumulatorCheckpoint(content))
+    .catch((err) => {
+      dirty = true;
+      console.error('Error saving accumulator checkpoint:', err);
+    });
+  return saveQueue;
+}
+
+// Restore buckets from the last checkpoint. Returns the bucket starts before
+// the current one: they completed while the process was down and still need
+// writing (see getAndResetForHour).
+async function loadCheckpoint(nowMs) {
+  const checkpoint = await readAccumulatorCheckpoint();
+  // Buckets of a different size (minute debug mode toggled) can't be reused
+  if (!checkpoint || checkpoint.bucket_ms !== BUCKET_SIZE_MS || !checkpoint.data) {
+    return [];
+  }
+
+  const currentBucket = hourBucketUtcMs(nowMs);
+  const completed = new Set();
+  for (const serviceId in checkpoint.data) {
+    for (const [bucketKey, saved] of Object.entries(checkpoint.data[serviceId] || {})) {
+      const bucket = Number(bucketKey);
+      if (!Number.isFinite(bucket) || bucket > currentBucket || !saved) continue;
+      if (!data[serviceId]) {
+        data[serviceId] = {};
+      }
+      if (!data[serviceId][bucket]) {
+        data[serviceId][bucket] = { ...emptyBucket(), ...saved };
+      }
+      if (bucket < currentBucket) {
+        completed.add(bucket);
+      }
+    }
+  }
+  return Array.from(completed).sort((a, b) => a - b);
+}
+
+// Checkpoint every minute; returns a stop function
+function startCheckpointing() {
+  const intervalId = setInterval(saveCheckpoint, CHECKPOINT_INTERVAL_MS);
+  return function stop() {
+    clearInterval(intervalId);
+  };
+}
+
 module.exports = {
   recordSample,
   getAndResetForHour,
+  writeBucketSnapshots,
   clearHour,
-  getCurrentHourData
+  getCurrentHourData,
+  saveCheckpoint,
+  loadCheckpoint,
+  startCheckpointing
 };
\ No newline at end of file
@@ -0,0 +1,85 @@
+// Access control and audit trail for the admin API (/api/admin/...).
+//
+// Tokens come from the PULSE_ADMIN_TOKENS environment variable rather than
+// services.json, which the admin API itself rewrites:
+//   PULSE_ADMIN_TOKENS="alice:3f9c...,deploy-bot:a71e..."
+// Requests send "Authorization: Bearer <token>"; the name before the colon is
+// recorded as the actor of every change. Without tokens the admin API is off.
+const crypto = require('crypto');
+const { appendAuditLog, readAuditLog } = require('./persistence');
+
+// Compared as SHA-256 digests so timingSafeEqual gets equal-length inputs
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+// Parse "name:token,name:token"; entries without a name or token are skipped
+function parseAdminTokens(value) {
+  const tokens = [];
+  for (const entry of (value || '').split(',')) {
+    const separator = entry.indexOf(':');
+    const name = entry.slice(0, separator).trim();
+    const token = entry.slice(separator + 1).trim();
+    if (separator > 0 && name && token) {
+      tokens.push({ name, digest: digest(token) });
+    }
+  }
+  return tokens;
+}
+
+const adminTokens = parseAdminTokens(process.env.PULSE_ADMIN_TOKENS);
+
+function isAdminEnabled() {
+  return adminTokens.length > 0;
+}
+
+// Name of the token holder for an Authorization header, or null
+function authenticate(authorization) {
+  const match = /^Bearer\s+(\S+)$/i.exec(authorization || '');
+  if (!match) return null;
+  const presented = digest(match[1]);
+  // Check every token so the response time doesn't reveal which one matched
+  let name = null;
+  for (const token of adminTokens) {
+    if (crypto.timingSafeEqual(presented, token.digest) && name === null) {
+      name = token.name;
+    }
+  }
+  return name;
+}
+
+// Express middleware: 503 while no tokens are configured, 401 without a valid
+// one. The token name is available to handlers as req.adminActor.
+function requireAdmin(req, res, next) {
+  if (!isAdminEnabled()) {
+    return res.status(503).json({ error: 'Admin API is disabled; set PULSE_ADMIN_TOKENS to enable it' });
+  }
+  const actor = authenticate(req.get('authorization'));
+  if (!actor) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Missing or invalid admin token' });
+  }
+  req.adminActor = actor;
+  next();
+}
+
+// Record who changed what: before/after are the service definitions as
+// written to services.json (null when created or deleted)
+async function recordAudit(actor, action, serviceId, before, after) {
+  const entry = { at_utc_ms: Date.now(), actor, action, service_id: serviceId, before, after };
+  await appendAuditLog(entry);
+  return entry;
+}
+
+// Latest audit entries, newest first
+async function getAuditLog(limit) {
+  return (await readAuditLog(limit)).reverse();
+}
+
+module.exports = {
+  isAdminEnabled,
+  authenticate,
+  requireAdmin,
+  recordAudit,
+  getAuditLog
+};
@@ -0,0 +1,133 @@
+// Response content assertions evaluated against HTTP bodies.
+// Each assertion returns a short failure reason, or null when it passes.
+
+// body_matches patterns by flags and source, compiled once (when the config
+// is validated at load) and reused by every check
+const patternCache = new Map();
+
+// Compiled pattern; throws a SyntaxError for an invalid pattern or flags
+function compilePattern(pattern, flags = '') {
+  const key = `${flags}/${pattern}`;
+  if (!patternCache.has(key)) {
+    patternCache.set(key, new RegExp(pattern, flags));
+  }
+  return patternCache.get(key);
+}
+
+// Resolve a dotted JSON path such as "$.result.items[0].height".
+function resolveJsonPath(obj, pathExpr) {
+  const parts = String(pathExpr)
+    .replace(/^\$\.?/, '')
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .filter(Boolean);
+
+  let current = obj;
+  for (const part of parts) {
+    if (current === null || current === undefined || typeof current !== 'object') {
+      return undefined;
+    }
+    current = current[part];
+  }
+  return current;
+}
+
+function compare(actual, op, expected) {
+  switch (op) {
+    case 'exists':
+      return actual !== undefined;
+    case 'equals':
+      return actual === expected;
+    case 'not_equals':
+      return actual !== expected;
+    case 'gt':
+      return Number(actual) > Number(expected);
+    case 'gte':
+      return Number(actual) >= Number(expected);
+    case 'lt':
+      return Number(actual) < Number(expected);
+    case 'lte':
+      return Number(actual) <= Number(expected);
+    default:
+      return false;
+  }
+}
+
+function checkAssertion(assertion, body, getJson) {
+  switch (assertion.type) {
+    case 'body_contains':
+      return body.includes(assertion.value) ? null : `body missing "${assertion.value}"`;
+
+    case 'body_not_contains':
+      return body.includes(assertion.value) ? `body contains "${assertion.value}"` : null;
+
+    case 'body_matches': {
+      const re = compilePattern(assertion.pattern, assertion.flags || '');
+      // Shared instances: reset the position a "g" or "y" flag keeps
+      re.lastIndex = 0;
+      return re.test(body) ? null : `body does not match /${assertion.pattern}/`;
+    }
+
+    case 'json_path': {
+      const json = getJson();
+      if (json === undefined) {
+        return 'body is not valid JSON';
+      }
+      const op = assertion.op || 'exists';
+      const actual = resolveJsonPath(json, assertion.path);
+      if (compare(actual, op, assertion.value)) {
+        return null;
+      }
+      return op === 'exists'
+        ? `json ${assertion.path} missing`
+        : `json ${assertion.path} not ${op} ${JSON.stringify(assertion.value)}`;
+    }
+
+    default:
+      return `unknown assertion type "${assertion.type}"`;
+  }
+}
+
+// Evaluate all assertions for a service against a response body.
+// Returns { ok, reason } where reason is the first failure encountered.
+function evaluateAssertions(assertions, body) {
+  if (!assertions || assertions.length === 0) {
+    return { ok: true, reason: null };
+  }
+
+  // Parse JSON lazily and at most once, only if a json_path assertion needs it
+  let parsed;
+  let parseAttempted = false;
+  const getJson = () => {
+    if (!parseAttempted) {
+      parseAttempted = true;
+      try {
+        parsed = JSON.parse(body);
+      } catch (err) {
+        parsed = undefined;
+      }
+    }
+    return parsed;
+  };
+
+  for (const assertion of assertions) {
+    let reason;
+    try {
+      reason = checkAssertion(assertion, body, getJson);
+    } catch (err) {
+      // e.g. a pattern that doesn't compile; fail the check, not the process
+      reason = `invalid ${assertion.type} assertion: ${err.message}`;
+    }
+    if (reason) {
+      return { ok: false, reason };
+    }
+  }
+
+  return { ok: true, reason: null };
+}
+
+module.exports = {
+  compilePattern,
+  evaluateAssertions,
+  resolveJsonPath
+};
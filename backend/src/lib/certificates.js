@@ -0,0 +1,147 @@
+// TLS certificate details captured from HTTPS checks.
+// Tracks the latest peer certificate per service for expiry and chain monitoring.
+const tls = require('tls');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// err.code of requests refused because of the server's certificate: OpenSSL
+// verification results (as Node reports them) and Node's own host name check
+const CERTIFICATE_ERROR_CODES = new Set([
+  'UNABLE_TO_GET_ISSUER_CERT',
+  'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+  'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+  'UNABLE_TO_DECRYPT_CERT_SIGNATURE',
+  'UNABLE_TO_DECODE_ISSUER_PUBLIC_KEY',
+  'CERT_SIGNATURE_FAILURE',
+  'CERT_NOT_YET_VALID',
+  'CERT_HAS_EXPIRED',
+  'ERROR_IN_CERT_NOT_BEFORE_FIELD',
+  'ERROR_IN_CERT_NOT_AFTER_FIELD',
+  'DEPTH_ZERO_SELF_SIGNED_CERT',
+  'SELF_SIGNED_CERT_IN_CHAIN',
+  'CERT_CHAIN_TOO_LONG',
+  'CERT_REVOKED',
+  'INVALID_CA',
+  'PATH_LENGTH_EXCEEDED',
+  'INVALID_PURPOSE',
+  'CERT_UNTRUSTED',
+  'CERT_REJECTED',
+  'HOSTNAME_MISMATCH',
+  'ERR_TLS_CERT_ALTNAME_INVALID'
+]);
+
+function isCertificateError(err) {
+  return !!err && CERTIFICATE_ERROR_CODES.has(err.code);
+}
+
+// In-memory data structure:
+// {
+//   [serviceId]: {
+//     host, subject, issuer, not_before_utc_ms, not_after_utc_ms,
+//     san, san_match, authorized, authorization_error, chain, checked_utc_ms
+//   }
+// }
+const certificates = {};
+
+function formatName(name) {
+  if (!name) return null;
+  return name.O ? `${name.CN || ''}${name.CN ? ' / ' : ''}${name.O}` : (name.CN || null);
+}
+
+// Summarize a peer certificate (from socket.getPeerCertificate(true)) for a host
+function describeCertificate(cert, host, socket) {
+  // Walk the issuer chain; a self-signed root points back at itself
+  const chain = [];
+  const seen = new Set();
+  let current = cert;
+  while (current && current.fingerprint256 && !seen.has(current.fingerprint256)) {
+    seen.add(current.fingerprint256);
+    chain.push({
+      subject: formatName(current.subject),
+      issuer: formatName(current.issuer),
+      not_after_utc_ms: Date.parse(current.valid_to)
+    });
+    current = current.issuerCertificate;
+  }
+
+  return {
+    host,
+    subject: formatName(cert.subject),
+    issuer: formatName(cert.issuer),
+    not_before_utc_ms: Date.parse(cert.valid_from),
+    not_after_utc_ms: Date.parse(cert.valid_to),
+    san: cert.subjectaltname || null,
+    // checkServerIdentity returns an Error on mismatch, undefined on success
+    san_match: !tls.checkServerIdentity(host, cert),
+    authorized: socket ? socket.authorized === true : null,
+    authorization_error: socket && socket.authorizationError ? String(socket.authorizationError) : null,
+    chain
+  };
+}
+
+// Fetch a certificate the regular request refused (expired, untrusted, wrong
+// host) by connecting once more without verification. Resolves to the
+// described certificate, or null if it can't be retrieved.
+function probeCertificate(url, timeoutMs) {
+  return new Promise((resolve) => {
+    const { hostname, port } = new URL(url);
+    const socket = tls.connect({
+      host: hostname,
+      port: Number(port) || 443,
+      servername: hostname,
+      rejectUnauthorized: false
+    });
+
+    const done = (result) => {
+      socket.destroy();
+      resolve(result);
+    };
+
+    socket.setTimeout(timeoutMs, () => done(null));
+    socket.once('error', () => done(null));
+    socket.once('secureConnect', () => {
+      const cert = socket.getPeerCertificate(true);
+      done(cert && cert.valid_to ? describeCertificate(cert, hostname, socket) : null);
+    });
+  });
+}
+
+function recordCertificate(serviceId, info, timestampMs) {
+  certificates[serviceId] = { ...info, checked_utc_ms: timestampMs };
+}
+
+// Latest certificate for a service with expiry status derived against warnDays.
+// Returns null when no HTTPS check has captured a certificate yet.
+function getCertificate(serviceId, warnDays, nowMs = Date.now()) {
+  const info = certificates[serviceId];
+  if (!info) {
+    return null;
+  }
+
+  const daysUntilExpiry = Math.floor((info.not_after_utc_ms - nowMs) / DAY_MS);
+  let status = 'ok';
+  if (nowMs > info.not_after_utc_ms || nowMs < info.not_before_utc_ms) {
+    status = 'expired';
+  } else if (!info.san_match) {
+    status = 'mismatch';
+  } else if (info.authorized === false) {
+    status = 'untrusted';
+  } else if (daysUntilExpiry < warnDays) {
+    status = 'expiring';
+  }
+
+  return {
+    ...info,
+    days_until_expiry: daysUntilExpiry,
+    warn_days: warnDays,
+    status
+  };
+}
+
+module.exports = {
+  describeCertificate,
+  isCertificateError,
+  probeCertificate,
+  recordCertificate,
+  getCertificate
+};
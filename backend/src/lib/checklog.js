@@ -0,0 +1,43 @@
+// Recent raw check results per service, for the service detail view
+// (/api/services/:id/checks). Buckets only keep aggregates, so individual
+// results and their failure reasons live here. Kept in memory only: the log
+// starts empty after a restart.
+const MAX_CHECKS_PER_SERVICE = 200;
+
+// { [serviceId]: [{ at_utc_ms, ok, latency_ms, reason, maintenance_window }] }, oldest first
+const checks = {};
+
+// maintenanceWindow: id of the maintenance window the poll fell in, if any
+function recordCheck(serviceId, timestampMs, ok, latencyMs, reason = null, maintenanceWindow = null) {
+  if (!checks[serviceId]) {
+    checks[serviceId] = [];
+  }
+  const log = checks[serviceId];
+  log.push({
+    at_utc_ms: timestampMs,
+    ok,
+    latency_ms: ok ? latencyMs : null,
+    reason: ok ? null : reason,
+    maintenance_window: maintenanceWindow
+  });
+  if (log.length > MAX_CHECKS_PER_SERVICE) {
+    log.splice(0, log.length - MAX_CHECKS_PER_SERVICE);
+  }
+}
+
+// Latest results for a service, newest first
+function getRecentChecks(serviceId, limit = MAX_CHECKS_PER_SERVICE) {
+  return (checks[serviceId] || []).slice(-limit).reverse();
+}
+
+// Drop the log of a service that was removed from the config
+function forgetService(serviceId) {
+  delete checks[serviceId];
+}
+
+module.exports = {
+  MAX_CHECKS_PER_SERVICE,
+  recordCheck,
+  getRecentChecks,
+  forgetService
+};
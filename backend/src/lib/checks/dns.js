@@ -0,0 +1,100 @@
+// DNS check: resolves a record set against a configurable resolver, measures
+// resolution time and compares the answer with the expected values.
+const net = require('net');
+const { Resolver } = require('dns').promises;
+
+// Resolver address as dns.setServers takes it: "ip", "ip:port" or "[ipv6]:port".
+// Host names aren't accepted there, so they are rejected with the config.
+function isValidResolver(value) {
+  if (typeof value !== 'string') return false;
+  if (net.isIP(value)) return true;
+  const match = /^(?:\[([^\]]+)\]|([^:]+)):(\d{1,5})$/.exec(value);
+  if (!match) return false;
+  const port = Number(match[3]);
+  const validHost = match[1] ? net.isIPv6(match[1]) : net.isIPv4(match[2]);
+  return validHost && port >= 1 && port <= 65535;
+}
+
+// Normalize answers so "Example.org." and "example.org" compare equal
+function normalize(recordType, value) {
+  const str = String(value).trim();
+  if (recordType === 'TXT') {
+    return str;
+  }
+  return str.toLowerCase().replace(/\.$/, '');
+}
+
+function resolveRecords(resolver, host, recordType) {
+  switch (recordType) {
+    case 'A':
+      return resolver.resolve4(host);
+    case 'AAAA':
+      return resolver.resolve6(host);
+    case 'CNAME':
+      return resolver.resolveCname(host);
+    case 'TXT':
+      // TXT records come back as arrays of character-string chunks
+      return resolver.resolveTxt(host).then((records) => records.map((chunks) => chunks.join('')));
+    default:
+      return Promise.reject(new Error(`unsupported record type ${recordType}`));
+  }
+}
+
+// Compare the answer with expected values. Returns a failure reason or null.
+function compareAnswer(records, expected, match) {
+  if (!expected || expected.length === 0) {
+    return null;
+  }
+  const answer = new Set(records);
+  const missing = expected.filter((v) => !answer.has(v));
+
+  switch (match) {
+    case 'any':
+      return missing.length < expected.length ? null : `none of ${expected.join(', ')} in answer`;
+    case 'exact': {
+      const unexpected = records.filter((v) => !expected.includes(v));
+      if (missing.length === 0 && unexpected.length === 0) return null;
+      return missing.length > 0 ? `answer missing ${missing.join(', ')}` : `unexpected ${unexpected.join(', ')} in answer`;
+    }
+    default:
+      return missing.length === 0 ? null : `answer missing ${missing.join(', ')}`;
+  }
+}
+
+async function runDnsCheck(service) {
+  const recordType = service.record_type;
+  const resolver = new Resolver({ timeout: service.timeout_ms, tries: 1 });
+  if (service.resolver) {
+    try {
+      resolver.setServers([service.resolver]);
+    } catch (err) {
+      // Checks never reject (see checks/index.js); config validation catches this first
+      return { ok: false, reason: `invalid resolver "${service.resolver}": ${err.code || err.message}` };
+    }
+  }
+
+  const startTime = Date.now();
+  let records;
+  try {
+    records = await resolveRecords(resolver, service.host, recordType);
+  } catch (err) {
+    // ENOTFOUND/ENODATA mean the resolver answered, just not with what we need
+    const retryable = err.code === 'ETIMEOUT' || err.code === 'ECONNREFUSED';
+    return { ok: false, reason: `${recordType} ${err.code || err.message}`, retryable };
+  }
+  const latency = Date.now() - startTime;
+
+  const normalized = records.map((r) => normalize(recordType, r));
+  const expected = (service.expected || []).map((v) => normalize(recordType, v));
+  const reason = compareAnswer(normalized, expected, service.match);
+  if (reason) {
+    return { ok: false, reason, details: { records: normalized } };
+  }
+
+  return { ok: true, latency_ms: latency, details: { records: normalized } };
+}
+
+module.exports = {
+  isValidResolver,
+  runDnsCheck
+};
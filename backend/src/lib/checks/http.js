@@ -0,0 +1,179 @@
+// HTTP(S) check: GET the service URL, measure latency, evaluate response
+// assertions and capture TLS certificate details for https URLs.
+const https = require('https');
+const http = require('http');
+const { evaluateAssertions } = require('../assertions');
+const { extractBlockHeight } = require('../consensus');
+const { describeCertificate, isCertificateError, probeCertificate, recordCertificate } = require('../certificates');
+
+function createHttpAgent() {
+  const httpAgent = new http.Agent({ keepAlive: true });
+  const httpsAgent = new https.Agent({ keepAlive: true });
+  return { httpAgent, httpsAgent };
+}
+
+const { httpAgent, httpsAgent } = createHttpAgent();
+
+// GET block_height.url (e.g. an explorer's Blockbook /api) and parse the
+// height from it. Resolves to null on any error, timeout or non-2xx status.
+function fetchBlockHeight(service) {
+  return new Promise((resolve) => {
+    const url = service.block_height.url;
+    const isHttps = url.startsWith('https');
+    const protocol = isHttps ? https : http;
+
+    let settled = false;
+    const finish = (height) => {
+      if (settled) return;
+      settled = true;
+      resolve(height);
+    };
+
+    const req = protocol.get(url, { timeout: service.timeout_ms, agent: isHttps ? httpsAgent : httpAgent }, (res) => {
+      const chunks = [];
+      let bodyBytes = 0;
+      res.on('data', (chunk) => {
+        bodyBytes += chunk.length;
+        if (bodyBytes > service.max_body_bytes) {
+          finish(null);
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          finish(null);
+          return;
+        }
+        finish(extractBlockHeight(Buffer.concat(chunks).toString('utf-8'), service.block_height));
+      });
+    });
+
+    req.on('error', () => finish(null));
+    req.on('timeout', () => {
+      req.destroy();
+      finish(null);
+    });
+  });
+}
+
+function runHttpCheck(service, nowMs) {
+  return new Promise((resolve) => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), service.timeout_ms);
+    
+    const startTime = Date.now();
+    
+    const isHttps = service.url.startsWith('https');
+    const protocol = isHttps ? https : http;
+    const agent = isHttps ? httpsAgent : httpAgent;
+    
+    const options = {
+      method: 'GET',
+      timeout: service.timeout_ms,
+      agent: agent,
+      signal: controller.signal
+    };
+    
+    // Resolve exactly once, whichever event settles the check first
+    let settled = false;
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timeoutId);
+      resolve(result);
+    };
+    
+    // Capture the peer certificate for expiry/chain monitoring (HTTPS only)
+    const captureCertificate = (socket) => {
+      if (!isHttps || !socket || typeof socket.getPeerCertificate !== 'function') return;
+      try {
+        const cert = socket.getPeerCertificate(true);
+        if (cert && cert.valid_to) {
+          const host = new URL(service.url).hostname;
+          recordCertificate(service.id, describeCertificate(cert, host, socket), nowMs);
+        }
+      } catch (err) {
+        // Certificate details are best-effort; the check result stands on its own
+      }
+    };
+    
+    const req = protocol.request(service.url, options, (res) => {
+      captureCertificate(res.socket);
+      
+      // Collect the body (up to max_body_bytes) so assertions can inspect it
+      const chunks = [];
+      let bodyBytes = 0;
+      
+      res.on('data', (chunk) => {
+        bodyBytes += chunk.length;
+        if (bodyBytes > service.max_body_bytes) {
+          finish({ ok: false, reason: `body exceeds ${service.max_body_bytes} bytes` });
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      
+      res.on('end', () => {
+        const latency = Date.now() - startTime;
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          // Non-success status code
+          finish({ ok: false, reason: `HTTP ${res.statusCode}` });
+          return;
+        }
+        
+        const body = Buffer.concat(chunks).toString('utf-8');
+        const result = evaluateAssertions(service.assertions, body);
+        if (!result.ok) {
+          finish({ ok: false, reason: result.reason });
+          return;
+        }
+        
+        // Block height providers report their chain height from the body,
+        // or from a separate block_height.url (e.g. an explorer's API)
+        const details = {};
+        if (service.block_height && service.block_height.url) {
+          fetchBlockHeight(service).then((height) => {
+            if (height !== null) {
+              details.block_height = height;
+            }
+            finish({ ok: true, latency_ms: latency, details });
+          });
+          return;
+        }
+        if (service.block_height) {
+          const height = extractBlockHeight(body, service.block_height);
+          if (height !== null) {
+            details.block_height = height;
+          }
+        }
+        
+        // Success
+        finish({ ok: true, latency_ms: latency, details });
+      });
+    });
+    
+    req.on('error', (err) => {
+      // The verification failure destroyed the socket, so look at the certificate separately
+      if (isHttps && isCertificateError(err)) {
+        probeCertificate(service.url, service.timeout_ms).then((info) => {
+          if (info) recordCertificate(service.id, info, nowMs);
+        });
+      }
+      finish({ ok: false, reason: err.code || err.message, retryable: true });
+    });
+    
+    req.on('timeout', () => {
+      req.destroy();
+      finish({ ok: false, reason: 'timeout', retryable: true });
+    });
+    
+    req.end();
+  });
+}
+
+module.exports = {
+  runHttpCheck
+};
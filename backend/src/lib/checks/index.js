@@ -0,0 +1,28 @@
+// Registry of check types selected by a service's "type" field.
+// Every check resolves (never rejects) to:
+//   { ok: boolean, latency_ms?: number, reason?: string, retryable?: boolean, details?: object }
+const { runHttpCheck } = require('./http');
+const { runTcpCheck } = require('./tcp');
+const { runPivxP2pCheck } = require('./pivx-p2p');
+const { runDnsCheck } = require('./dns');
+
+const checks = {
+  http: runHttpCheck,
+  tcp: runTcpCheck,
+  'pivx-p2p': runPivxP2pCheck,
+  dns: runDnsCheck
+};
+
+function getCheck(type) {
+  return checks[type || 'http'] || null;
+}
+
+// Add or replace a check type at runtime
+function registerCheck(type, runCheck) {
+  checks[type] = runCheck;
+}
+
+module.exports = {
+  getCheck,
+  registerCheck
+};
@@ -0,0 +1,199 @@
+// PIVX P2P check: opens a socket to a node, exchanges version/verack and
+// records the protocol version, user agent and start height it advertises.
+const net = require('net');
+const crypto = require('crypto');
+
+const NETWORKS = {
+  mainnet: { magic: Buffer.from('90c4fde9', 'hex'), port: 51472 },
+  testnet: { magic: Buffer.from('f5e6d5ca', 'hex'), port: 51474 }
+};
+
+const DEFAULT_PROTOCOL_VERSION = 70926;
+const USER_AGENT = '/LabsPulse:0.1.0/';
+const HEADER_SIZE = 24;
+
+function checksum(payload) {
+  const first = crypto.createHash('sha256').update(payload).digest();
+  return crypto.createHash('sha256').update(first).digest().subarray(0, 4);
+}
+
+// Frame a payload as a P2P message: magic | command | length | checksum | payload
+function encodeMessage(magic, command, payload = Buffer.alloc(0)) {
+  const header = Buffer.alloc(HEADER_SIZE);
+  magic.copy(header, 0);
+  header.write(command, 4, 12, 'ascii');
+  header.writeUInt32LE(payload.length, 16);
+  checksum(payload).copy(header, 20);
+  return Buffer.concat([header, payload]);
+}
+
+// Split complete messages off the front of a buffer. Returns the parsed
+// messages and the unconsumed remainder; throws on a bad magic or checksum.
+function parseMessages(buffer, magic) {
+  const messages = [];
+  let offset = 0;
+  while (buffer.length - offset >= HEADER_SIZE) {
+    if (!buffer.subarray(offset, offset + 4).equals(magic)) {
+      throw new Error('bad network magic');
+    }
+    const command = buffer.toString('ascii', offset + 4, offset + 16).replace(/\0+$/, '');
+    const length = buffer.readUInt32LE(offset + 16);
+    if (buffer.length - offset < HEADER_SIZE + length) {
+      break;
+    }
+    const payload = buffer.subarray(offset + HEADER_SIZE, offset + HEADER_SIZE + length);
+    if (!checksum(payload).equals(buffer.subarray(offset + 20, offset + 24))) {
+      throw new Error(`bad checksum on ${command}`);
+    }
+    messages.push({ command, payload });
+    offset += HEADER_SIZE + length;
+  }
+  return { messages, rest: buffer.subarray(offset) };
+}
+
+function encodeVarInt(n) {
+  if (n < 0xfd) return Buffer.from([n]);
+  const buf = Buffer.alloc(3);
+  buf[0] = 0xfd;
+  buf.writeUInt16LE(n, 1);
+  return buf;
+}
+
+function readVarInt(buf, offset) {
+  const first = buf[offset];
+  if (first < 0xfd) return { value: first, size: 1 };
+  if (first === 0xfd) return { value: buf.readUInt16LE(offset + 1), size: 3 };
+  if (first === 0xfe) return { value: buf.readUInt32LE(offset + 1), size: 5 };
+  return { value: Number(buf.readBigUInt64LE(offset + 1)), size: 9 };
+}
+
+// Network address without timestamp: services | IPv6 (IPv4-mapped) | port (big-endian)
+function encodeNetAddr(port) {
+  const buf = Buffer.alloc(26);
+  buf.fill(0xff, 18, 20); // ::ffff:0.0.0.0
+  buf.writeUInt16BE(port, 24);
+  return buf;
+}
+
+function buildVersionPayload({ protocolVersion, port, startHeight = 0, userAgent = USER_AGENT }) {
+  const head = Buffer.alloc(20);
+  head.writeInt32LE(protocolVersion, 0);
+  head.writeBigUInt64LE(0n, 4); // services
+  head.writeBigInt64LE(BigInt(Math.floor(Date.now() / 1000)), 12);
+
+  const nonce = crypto.randomBytes(8);
+  const ua = Buffer.from(userAgent, 'ascii');
+  const tail = Buffer.alloc(5);
+  tail.writeInt32LE(startHeight, 0);
+  tail[4] = 0; // relay
+
+  return Buffer.concat([
+    head,
+    encodeNetAddr(port),
+    encodeNetAddr(0),
+    nonce,
+    encodeVarInt(ua.length),
+    ua,
+    tail
+  ]);
+}
+
+function parseVersionPayload(payload) {
+  const protocolVersion = payload.readInt32LE(0);
+  const services = payload.readBigUInt64LE(4);
+  // version(4) + services(8) + timestamp(8) + addr_recv(26) + addr_from(26) + nonce(8)
+  let offset = 80;
+  const uaLen = readVarInt(payload, offset);
+  offset += uaLen.size;
+  const userAgent = payload.toString('ascii', offset, offset + uaLen.value);
+  offset += uaLen.value;
+  const startHeight = payload.readInt32LE(offset);
+  return {
+    protocol_version: protocolVersion,
+    services: services.toString(),
+    user_agent: userAgent,
+    start_height: startHeight
+  };
+}
+
+function runPivxP2pCheck(service) {
+  return new Promise((resolve) => {
+    const network = NETWORKS[service.network] || NETWORKS.mainnet;
+    const port = service.port || network.port;
+    const startTime = Date.now();
+    const socket = net.connect({ host: service.host, port });
+
+    let buffer = Buffer.alloc(0);
+    let version = null;
+    let gotVerack = false;
+
+    let settled = false;
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      resolve(result);
+    };
+
+    socket.setTimeout(service.timeout_ms, () => {
+      finish({ ok: false, reason: version ? 'timeout waiting for verack' : 'timeout', retryable: true });
+    });
+
+    socket.once('connect', () => {
+      const payload = buildVersionPayload({ protocolVersion: service.protocol_version || DEFAULT_PROTOCOL_VERSION, port });
+      socket.write(encodeMessage(network.magic, 'version', payload));
+    });
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      try {
+        parsed = parseMessages(buffer, network.magic);
+      } catch (err) {
+        finish({ ok: false, reason: err.message });
+        return;
+      }
+      buffer = parsed.rest;
+
+      for (const msg of parsed.messages) {
+        if (msg.command === 'version' && !version) {
+          try {
+            version = parseVersionPayload(msg.payload);
+          } catch (err) {
+            finish({ ok: false, reason: 'malformed version message' });
+            return;
+          }
+          socket.write(encodeMessage(network.magic, 'verack'));
+        } else if (msg.command === 'verack') {
+          gotVerack = true;
+        }
+      }
+
+      // Handshake complete once both sides have exchanged version and verack
+      if (version && gotVerack) {
+        finish({
+          ok: true,
+          latency_ms: Date.now() - startTime,
+          details: { ...version, block_height: version.start_height }
+        });
+      }
+    });
+
+    socket.once('error', (err) => {
+      finish({ ok: false, reason: err.code || err.message, retryable: true });
+    });
+
+    socket.once('close', () => {
+      finish({ ok: false, reason: 'connection closed during handshake', retryable: true });
+    });
+  });
+}
+
+module.exports = {
+  runPivxP2pCheck,
+  encodeMessage,
+  parseMessages,
+  buildVersionPayload,
+  parseVersionPayload,
+  NETWORKS
+};
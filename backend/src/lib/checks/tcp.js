@@ -0,0 +1,33 @@
+// Raw TCP check: measures how long it takes to open a connection to host:port.
+const net = require('net');
+
+function runTcpCheck(service) {
+  return new Promise((resolve) => {
+    const startTime = Date.now();
+    const socket = net.connect({ host: service.host, port: service.port });
+    
+    let settled = false;
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      resolve(result);
+    };
+    
+    socket.setTimeout(service.timeout_ms, () => {
+      finish({ ok: false, reason: 'timeout', retryable: true });
+    });
+    
+    socket.once('connect', () => {
+      finish({ ok: true, latency_ms: Date.now() - startTime });
+    });
+    
+    socket.once('error', (err) => {
+      finish({ ok: false, reason: err.code || err.message, retryable: true });
+    });
+  });
+}
+
+module.exports = {
+  runTcpCheck
+};
@@ -1,27 +1,238 @@
 const fs = require("fs/promises");
+const { watch: fsWatch } = require("fs");
 const path = require("path");
+const { validateSchema } = require("./schema");
+const { compilePattern } = require("./assertions");
+const { isValidResolver } = require("./checks/dns");
+const { writeFileAtomic } = require("./storage/files");
 
-const CONFIG_PATH = path.resolve(__dirname, "../config/services.json");
+// PULSE_CONFIG_PATH points at another services.json (e.g. a temp copy for tests)
+const CONFIG_PATH = process.env.PULSE_CONFIG_PATH
+  ? path.resolve(process.env.PULSE_CONFIG_PATH)
+  : path.resolve(__dirname, "../config/services.json");
+const schema = require("../config/schema.json");
 
-async function loadConfig() {
-  const raw = await fs.readFile(CONFIG_PATH, "utf-8");
-  const cfg = JSON.parse(raw);
+// Read, validate and apply defaults. Throws with every problem (and its JSON
+// path) listed in the message when the file is invalid.
+async function loadConfig(configPath = CONFIG_PATH) {
+  const raw = await fs.readFile(configPath, "utf-8");
+  let cfg;
+  try {
+    cfg = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`${configPath} is not valid JSON: ${err.message}`);
+  }
+  const errors = validateConfig(cfg);
+  if (errors.length > 0) {
+    const error = new Error(`${configPath} has ${errors.length} error(s):\n${formatConfigErrors(errors)}`);
+    error.errors = errors;
+    throw error;
+  }
 
   // Apply defaults from architecture spec
   const poll_interval_ms = cfg.poll_interval_ms ?? 60000;
   const retention_days = cfg.retention_days ?? 90;
+  // Daily rollups of older data; never shorter than the raw tier
+  const rollup_retention_days = Math.max(cfg.rollup_retention_days ?? 730, retention_days);
   const timezone = cfg.timezone ?? "UTC";
+  const notifications = {
+    channels: cfg.notifications?.channels ?? {},
+    routes: cfg.notifications?.routes ?? [],
+    retry_base_ms: cfg.notifications?.retry_base_ms ?? 1000
+  };
+  // Rule list defaults live in the rules engine; an empty list means "use them"
+  const alert_rules = cfg.alert_rules ?? [];
+  const alerting = {
+    recovery_successes: cfg.alerting?.recovery_successes ?? 1,
+    reminder_ms: cfg.alerting?.reminder_ms ?? 3600000,
+    flap_window_ms: cfg.alerting?.flap_window_ms ?? 3600000,
+    flap_max_transitions: cfg.alerting?.flap_max_transitions ?? 4
+  };
+  // Snapshot storage engine, see lib/storage
+  const storage = {
+    engine: cfg.storage?.engine ?? "json"
+  };
+  // Validated (and invalid ones skipped) by the maintenance module
+  const maintenance = cfg.maintenance ?? [];
   const services = (cfg.services || []).map((s) => ({
     id: s.id,
     name: s.name,
+    type: s.type ?? "http",
     url: s.url,
+    host: s.host,
+    port: s.port,
+    network: s.network ?? "mainnet",
+    protocol_version: s.protocol_version,
+    record_type: s.record_type ?? "A",
+    resolver: s.resolver,
+    expected: s.expected ?? [],
+    match: s.match ?? "all",
     timeout_ms: s.timeout_ms ?? 5000,
     slow_threshold_ms: s.slow_threshold_ms ?? 1000,
     tags: s.tags ?? [],
-    retries: s.retries ?? 0
+    retries: s.retries ?? 0,
+    assertions: s.assertions ?? [],
+    max_body_bytes: s.max_body_bytes ?? 1048576,
+    cert_warn_days: s.cert_warn_days ?? 14,
+    // Paused services stay configured but aren't polled (see the admin API)
+    paused: s.paused ?? false,
+    block_height: s.block_height
+      ? {
+          peer_group: s.block_height.peer_group ?? null,
+          json_path: s.block_height.json_path ?? null,
+          url: s.block_height.url ?? null,
+          max_lag_blocks: s.block_height.max_lag_blocks ?? 3,
+          stall_after_ms: s.block_height.stall_after_ms ?? null
+        }
+      : null
   }));
 
-  return { poll_interval_ms, retention_days, timezone, services };
+  return { poll_interval_ms, retention_days, rollup_retention_days, timezone, notifications, alert_rules, alerting, storage, maintenance, services };
 }
 
-module.exports = { loadConfig, CONFIG_PATH };
\ No newline at end of file
+// services.json as written, without defaults, for changes through the admin API
+async function readRawConfig(configPath = CONFIG_PATH) {
+  return JSON.parse(await fs.readFile(configPath, "utf-8"));
+}
+
+function isScalar(value) {
+  return value === null || typeof value !== "object";
+}
+
+// JSON laid out like the hand-written services.json: 2-space indentation, with
+// arrays of plain values (e.g. tags) and, inside a service, flat objects (e.g.
+// assertions, block_height) on one line
+function formatConfigJson(value, depth = 0) {
+  const indent = "  ".repeat(depth);
+  const inner = "  ".repeat(depth + 1);
+  if (Array.isArray(value)) {
+    if (value.every(isScalar)) {
+      return `[${value.map((v) => JSON.stringify(v)).join(", ")}]`;
+    }
+    return `[\n${value.map((v) => inner + formatConfigJson(v, depth + 1)).join(",\n")}\n${indent}]`;
+  }
+  if (!isScalar(value)) {
+    const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+    if (entries.length === 0) {
+      return "{}";
+    }
+    if (depth >= 3 && entries.every(([, v]) => isScalar(v))) {
+      return `{ ${entries.map(([k, v]) => `${JSON.stringify(k)}: ${JSON.stringify(v)}`).join(", ")} }`;
+    }
+    return `{\n${entries.map(([k, v]) => `${inner}${JSON.stringify(k)}: ${formatConfigJson(v, depth + 1)}`).join(",\n")}\n${indent}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Atomically replace services.json (temp file + rename), keeping its layout.
+// The caller validates first (validateConfig).
+async function writeRawConfig(cfg, configPath = CONFIG_PATH) {
+  await writeFileAtomic(configPath, formatConfigJson(cfg));
+}
+
+// Whether a selector ({ services?, tags? }) applies to a service. A selector
+// without services or tags applies to every service.
+function matchesService(selector, service) {
+  const byService = selector.services && selector.services.length > 0;
+  const byTag = selector.tags && selector.tags.length > 0;
+  return (!byService && !byTag) ||
+    (byService && selector.services.includes(service.id)) ||
+    (byTag && (service.tags || []).some((t) => selector.tags.includes(t)));
+}
+
+// Service ids end up in file names (data/<id>-YYYY-MM.json, segments/<id>/)
+const SAFE_ID_RE = /^[A-Za-z0-9_-]+$/;
+
+// Checks schema.json can't express, on the raw (pre-defaults) config
+function semanticErrors(cfg) {
+  const errors = [];
+  if (cfg.timezone !== undefined && typeof cfg.timezone === "string") {
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: cfg.timezone });
+    } catch (err) {
+      errors.push({ path: "$.timezone", message: `unknown IANA time zone "${cfg.timezone}"` });
+    }
+  }
+
+  const firstIndexById = new Map();
+  (Array.isArray(cfg.services) ? cfg.services : []).forEach((s, index) => {
+    if (!s || typeof s !== "object") return;
+    const path = `$.services[${index}]`;
+    if (typeof s.id === "string" && s.id !== "") {
+      if (!SAFE_ID_RE.test(s.id)) {
+        errors.push({ path: `${path}.id`, message: `"${s.id}" may only contain letters, digits, "_" and "-" (it is used in file names)` });
+      }
+      if (firstIndexById.has(s.id)) {
+        errors.push({ path: `${path}.id`, message: `duplicate id "${s.id}" (first used at $.services[${firstIndexById.get(s.id)}])` });
+      } else {
+        firstIndexById.set(s.id, index);
+      }
+    }
+    if (typeof s.resolver === "string" && s.resolver !== "" && !isValidResolver(s.resolver)) {
+      errors.push({ path: `${path}.resolver`, message: `"${s.resolver}" must be an IP address, optionally with a port (ip:port or [ipv6]:port)` });
+    }
+    // Compiling here also caches the patterns for the checks
+    (Array.isArray(s.assertions) ? s.assertions : []).forEach((a, i) => {
+      if (!a || a.type !== "body_matches" || typeof a.pattern !== "string") return;
+      try {
+        compilePattern(a.pattern, typeof a.flags === "string" ? a.flags : "");
+      } catch (err) {
+        errors.push({ path: `${path}.assertions[${i}].pattern`, message: err.message });
+      }
+    });
+    const timeoutMs = s.timeout_ms ?? 5000;
+    const slowThresholdMs = s.slow_threshold_ms ?? 1000;
+    if (Number.isInteger(timeoutMs) && Number.isInteger(slowThresholdMs) && timeoutMs <= slowThresholdMs) {
+      errors.push({
+        path: `${path}.timeout_ms`,
+        message: `must be longer than slow_threshold_ms (${timeoutMs} <= ${slowThresholdMs}), or every slow response would time out`
+      });
+    }
+  });
+  return errors;
+}
+
+// Validate a raw config against schema.json plus the semantic checks.
+// Returns [{ path, message }], empty when the config is valid.
+function validateConfig(cfg) {
+  return [...validateSchema(schema, cfg), ...semanticErrors(cfg)];
+}
+
+// One line per error, e.g. "$.services[2].slow_treshold_ms: unknown property"
+function formatConfigErrors(errors) {
+  return errors.map((e) => `${e.path}: ${e.message}`).join("\n");
+}
+
+// What changed between two loaded configs: service ids added, removed or
+// changed, and the top-level settings (other than services) that differ
+function diffConfig(previous, next) {
+  const before = new Map(previous.services.map((s) => [s.id, s]));
+  const after = new Map(next.services.map((s) => [s.id, s]));
+  return {
+    added: next.services.filter((s) => !before.has(s.id)).map((s) => s.id),
+    removed: previous.services.filter((s) => !after.has(s.id)).map((s) => s.id),
+    changed: next.services
+      .filter((s) => before.has(s.id) && JSON.stringify(before.get(s.id)) !== JSON.stringify(s))
+      .map((s) => s.id),
+    settings: Object.keys(next)
+      .filter((key) => key !== "services" && JSON.stringify(previous[key]) !== JSON.stringify(next[key]))
+  };
+}
+
+// Call onChange after services.json is written. The directory is watched, so
+// editors that save by replacing the file are seen too. Returns a stop function.
+function watchConfig(onChange) {
+  let timeoutId = null;
+  const watcher = fsWatch(path.dirname(CONFIG_PATH), (eventType, filename) => {
+    if (filename !== path.basename(CONFIG_PATH)) return;
+    // Editors often write in several steps; wait for them to settle
+    clearTimeout(timeoutId);
+    timeoutId = setTimeout(onChange, 500);
+  });
+  return function stop() {
+    clearTimeout(timeoutId);
+    watcher.close();
+  };
+}
+
+module.exports = { loadConfig, readRawConfig, writeRawConfig, validateConfig, formatConfigErrors, diffConfig, watchConfig, matchesService, CONFIG_PATH };
\ No newline at end of file
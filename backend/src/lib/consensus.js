@@ -0,0 +1,137 @@
+// Block height consensus across peer groups of RPC/explorer providers.
+// Keeps the latest height reported by each service and derives how far
+// each one lags behind the highest height seen in its peer group, and
+// whether its chain tip has stopped advancing (stall detection).
+const { resolveJsonPath } = require('./assertions');
+const { readChainState, writeChainState } = require('./persistence');
+
+// Observations older than this are ignored when computing the group maximum,
+// so a provider that stopped answering can't hold the tip artificially high.
+const STALE_AFTER_MS = 10 * 60 * 1000;
+
+// In-memory data structure (persisted to disk so stall timers survive restarts):
+// {
+//   [serviceId]: {
+//     group: string | null,
+//     height: number,
+//     observed_ms: number, // last time any height was reported
+//     changed_ms: number   // last time the reported height changed
+//   }
+// }
+const heights = {};
+
+// Serialize writes so an older state can never overwrite a newer one
+let saveQueue = Promise.resolve();
+
+function saveState() {
+  saveQueue = saveQueue
+    .then(() => writeChainState(heights))
+    .catch((err) => {
+      console.error('Error saving chain state:', err);
+    });
+  return saveQueue;
+}
+
+async function loadChainState() {
+  const state = await readChainState();
+  for (const serviceId in state) {
+    const entry = state[serviceId];
+    if (entry && typeof entry.height === 'number' && typeof entry.changed_ms === 'number') {
+      heights[serviceId] = entry;
+    }
+  }
+}
+
+// Parse a block height from a response body. Without json_path the whole
+// body must be an integer (e.g. /mainnet/getblockcount).
+function extractBlockHeight(body, spec) {
+  let value;
+  if (spec.json_path) {
+    try {
+      value = resolveJsonPath(JSON.parse(body), spec.json_path);
+    } catch (err) {
+      return null;
+    }
+  } else {
+    value = body.trim();
+  }
+
+  const height = Number(value);
+  if (value === '' || !Number.isInteger(height) || height < 0) {
+    return null;
+  }
+  return height;
+}
+
+function recordHeight(serviceId, group, height, timestampMs) {
+  const previous = heights[serviceId];
+  const changed = !previous || previous.height !== height;
+
+  heights[serviceId] = {
+    group: group ?? null,
+    height,
+    observed_ms: timestampMs,
+    changed_ms: changed ? timestampMs : previous.changed_ms
+  };
+
+  // Only a new height moves the stall timer, so that's when the state is
+  // persisted. Resolves once the save is done.
+  return changed ? saveState() : saveQueue;
+}
+
+function getGroupMaxHeight(group, nowMs = Date.now()) {
+  let max = null;
+  for (const serviceId in heights) {
+    const entry = heights[serviceId];
+    if (entry.group !== group || nowMs - entry.observed_ms > STALE_AFTER_MS) {
+      continue;
+    }
+    if (max === null || entry.height > max) {
+      max = entry.height;
+    }
+  }
+  return max;
+}
+
+// Blocks behind the group maximum, or null when the service has no height yet
+function getLag(serviceId, nowMs = Date.now()) {
+  const entry = heights[serviceId];
+  if (!entry || !entry.group) {
+    return null;
+  }
+  const max = getGroupMaxHeight(entry.group, nowMs);
+  if (max === null) {
+    return 0;
+  }
+  return Math.max(0, max - entry.height);
+}
+
+function getHeight(serviceId) {
+  return heights[serviceId] ? heights[serviceId].height : null;
+}
+
+// Stall details for a service: how long its height has been unchanged and
+// whether that exceeds stallAfterMs. Returns null when no height is known.
+function getStall(serviceId, stallAfterMs, nowMs = Date.now()) {
+  const entry = heights[serviceId];
+  if (!entry) {
+    return null;
+  }
+  const unchangedMs = Math.max(0, nowMs - entry.changed_ms);
+  return {
+    height: entry.height,
+    changed_ms: entry.changed_ms,
+    unchanged_ms: unchangedMs,
+    stalled: typeof stallAfterMs === 'number' && unchangedMs > stallAfterMs
+  };
+}
+
+module.exports = {
+  extractBlockHeight,
+  recordHeight,
+  getGroupMaxHeight,
+  getLag,
+  getHeight,
+  getStall,
+  loadChainState
+};
@@ -0,0 +1,138 @@
+// Server-side downsampling of stored buckets for long /api/snapshots windows.
+// Stored buckets are grouped into UTC-aligned hour, 6h or day buckets that keep
+// the worst status, the uptime ratio and the median latency of their members
+// (weighted by successful checks).
+// Buckets without data (status unknown) don't make a group better or worse.
+const { weightedMedian } = require('./stats');
+const { bucketUpRatio } = require('./uptime');
+
+const HOUR_MS = 3600000;
+
+const RESOLUTIONS = {
+  hour: HOUR_MS,
+  '6h': 6 * HOUR_MS,
+  day: 24 * HOUR_MS
+};
+
+const STATUS_RANK = { up: 1, degraded: 2, down: 3 };
+
+// Status of one stored bucket, mirroring the timeline colours
+function snapshotStatus(snap, service) {
+  if (snap.maintenance) return 'maintenance';
+  if (snap.no_data) return 'unknown';
+  // The in-progress bucket carries the rules engine's verdict
+  if (snap.status === 'down' || snap.status === 'degraded') return snap.status;
+  if (!(snap.ping_ms > 0)) return 'down';
+  const maxLag = service && service.block_height ? service.block_height.max_lag_blocks : null;
+  if (maxLag !== null && typeof snap.lag_blocks === 'number' && snap.lag_blocks > maxLag) return 'degraded';
+  if (service && snap.ping_ms > service.slow_threshold_ms) return 'degraded';
+  return 'up';
+}
+
+// Smallest resolution (stored bucket size first) that fits [fromMs, toMs] in maxCells
+function pickResolution(fromMs, toMs, bucketMs, maxCells) {
+  const candidates = [['raw', bucketMs], ...Object.entries(RESOLUTIONS).filter(([, ms]) => ms > bucketMs)];
+  for (const [name, ms] of candidates) {
+    if (countCells(fromMs, toMs, ms) <= maxCells) {
+      return { name, ms };
+    }
+  }
+  const [name, ms] = candidates[candidates.length - 1];
+  return { name, ms };
+}
+
+// Aligned buckets of size resolutionMs touched by [fromMs, toMs]
+function countCells(fromMs, toMs, resolutionMs) {
+  return Math.floor(toMs / resolutionMs) - Math.floor(fromMs / resolutionMs) + 1;
+}
+
+// Merge one group of stored buckets into a single datapoint
+function mergeGroup(start, group, service) {
+  if (group.length === 1) {
+    return { ...group[0], hour_utc_ms: start, status: snapshotStatus(group[0], service), buckets: 1 };
+  }
+
+  const monitored = group.filter((s) => !s.maintenance);
+  // Buckets without data count neither way; a group of only those is unknown
+  const statuses = group.map((s) => snapshotStatus(s, service)).filter((st) => STATUS_RANK[st]);
+  // Maintenance only wins when it covered at least half of the group
+  const maintenance = group.length - monitored.length >= monitored.length;
+  let status = 'unknown';
+  if (maintenance) {
+    status = 'maintenance';
+  } else if (statuses.length > 0) {
+    status = statuses.reduce((worst, st) => (STATUS_RANK[st] > STATUS_RANK[worst] ? st : worst));
+  }
+
+  // Bucket medians weighted by the successful checks behind them
+  const pings = monitored.filter((s) => s.ping_ms > 0)
+    .map((s) => [s.ping_ms, typeof s.samples_ok === 'number' ? s.samples_ok : 1]);
+  const merged = {
+    hour_utc_ms: start,
+    ping_ms: weightedMedian(pings) ?? 0,
+    status,
+    buckets: group.length
+  };
+
+  const ratios = monitored.map(bucketUpRatio).filter((r) => r !== null);
+  if (ratios.length > 0) {
+    const ratio = ratios.reduce((sum, r) => sum + r, 0) / ratios.length;
+    merged.success_ratio = Math.round(ratio * 10000) / 10000;
+  }
+
+  const sums = { samples_total: 0, samples_ok: 0, samples_maintenance: 0 };
+  const failureReasons = {};
+  for (const snap of group) {
+    for (const key of Object.keys(sums)) {
+      if (typeof snap[key] === 'number') sums[key] += snap[key];
+    }
+    for (const [reason, count] of Object.entries(snap.failure_reasons || {})) {
+      failureReasons[reason] = (failureReasons[reason] || 0) + count;
+    }
+    if (typeof snap.min_ms === 'number') merged.min_ms = Math.min(merged.min_ms ?? Infinity, snap.min_ms);
+    if (typeof snap.max_ms === 'number') merged.max_ms = Math.max(merged.max_ms ?? 0, snap.max_ms);
+    if (typeof snap.lag_blocks === 'number') merged.lag_blocks = Math.max(merged.lag_blocks ?? 0, snap.lag_blocks);
+    if (typeof snap.last_check_ms === 'number') merged.last_check_ms = Math.max(merged.last_check_ms ?? 0, snap.last_check_ms);
+    if (snap.failure_reason) merged.failure_reason = snap.failure_reason;
+  }
+  if (group.some((s) => typeof s.samples_total === 'number')) {
+    merged.samples_total = sums.samples_total;
+    merged.samples_ok = sums.samples_ok;
+  }
+  if (sums.samples_maintenance > 0) {
+    merged.samples_maintenance = sums.samples_maintenance;
+    merged.maintenance = maintenance;
+  }
+  if (status === 'unknown') {
+    merged.no_data = true;
+  }
+  if (Object.keys(failureReasons).length > 0) {
+    merged.failure_reasons = failureReasons;
+  }
+  if (pings.length > 0) {
+    merged.p50_ms = merged.ping_ms;
+  }
+
+  return merged;
+}
+
+// Group ascending stored buckets into resolutionMs buckets. Percentiles other
+// than p50 can't be merged, so they are only kept for single-bucket groups.
+function downsample(snapshots, resolutionMs, service) {
+  const groups = new Map();
+  for (const snap of snapshots) {
+    const start = Math.floor(snap.hour_utc_ms / resolutionMs) * resolutionMs;
+    if (!groups.has(start)) groups.set(start, []);
+    groups.get(start).push(snap);
+  }
+  return Array.from(groups.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([start, group]) => mergeGroup(start, group, service));
+}
+
+module.exports = {
+  RESOLUTIONS,
+  pickResolution,
+  countCells,
+  downsample
+};
@@ -0,0 +1,17 @@
+// Process-wide event bus for status changes, so subsystems such as incident
+// tracking and the notifier can react without the poller knowing about them.
+// The rules engine (lib/rules.js) is the only publisher.
+//
+// Events:
+//   'check'      { service_id, at_utc_ms, ok, latency_ms, reason, details }
+//   'transition' { service_id, from, to, at_utc_ms, started_utc_ms, reason, rule, duration_ms, suppressed }
+//     from/to are 'up', 'degraded' or 'down'; suppressed while flapping
+//   'reminder'   { service_id, state, since_utc_ms, at_utc_ms, reason, rule }
+//   'flapping'   { service_id, flapping, state, at_utc_ms, transitions }
+const { EventEmitter } = require('events');
+
+const events = new EventEmitter();
+// Every /api/stream client adds listeners; don't warn once there are many
+events.setMaxListeners(0);
+
+module.exports = events;
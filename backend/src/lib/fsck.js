@@ -0,0 +1,270 @@
+// Integrity checker for the JSON month files (<service_id>-YYYY-MM.json, raw
+// and rollups). Readers skip a file that fails to parse, and the next write to
+// that month would replace it, so damaged files are found here instead:
+// unparsable or non-array files, entries without a numeric hour_utc_ms,
+// duplicate or unsorted buckets, timestamps not aligned to the bucket size,
+// entries filed under the wrong month, and .tmp files left by an interrupted
+// atomic write.
+//
+// Options:
+//   quarantine: move unparsable files to data/quarantine/ so writes can't clobber them
+//   repair:     also fix what can be fixed (implies quarantine). Truncated files are
+//               salvaged up to the last complete entry, duplicates keep the last
+//               entry, entries are sorted and moved to their month, and entries that
+//               can't be placed go to data/quarantine/<file>.<ts>.rejected.json.
+//               Orphan .tmp files are deleted.
+const fs = require('fs/promises');
+const path = require('path');
+const { DATA_DIR, ROLLUPS_DIR, QUARANTINE_DIR } = require('./persistence');
+const { monthKeyFromUtcMs } = require('./time');
+const { writeFileAtomic } = require('./storage/files');
+
+const BUCKET_MS = process.env.PULSE_DEBUG_MINUTE_BUCKETS === '1' ? 60000 : 3600000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_FILE_RE = /^([a-zA-Z0-9_-]+)-(\d{4}-\d{2})\.json$/;
+// Temp files as named by makeTempPath: <file>.<pid>.<ms>.<random>.tmp
+const TEMP_FILE_RE = /\.\d+\.\d+\.[a-z0-9]+\.tmp$/;
+// Younger temp files may belong to a write in progress
+const ORPHAN_TMP_AGE_MS = 60000;
+// Most truncation points tried when salvaging a damaged file
+const MAX_SALVAGE_ATTEMPTS = 100;
+
+let lastReport = null;
+
+// Entries of a truncated JSON array up to its last complete entry, or null
+function salvageEntries(content) {
+  let end = content.lastIndexOf('}');
+  for (let attempt = 0; end > 0 && attempt < MAX_SALVAGE_ATTEMPTS; attempt++) {
+    try {
+      const entries = JSON.parse(content.slice(0, end + 1) + ']');
+      return Array.isArray(entries) ? entries : null;
+    } catch (err) {
+      end = content.lastIndexOf('}', end - 1);
+    }
+  }
+  return null;
+}
+
+// Problems in a month's entries and the entries as they should be stored
+function inspectEntries(entries, monthKey, spanMs) {
+  const problems = [];
+  const byHour = new Map();
+  const otherMonths = [];
+  const rejected = [];
+  let duplicates = 0;
+  let unsorted = 0;
+  let misaligned = 0;
+  let previous = -Infinity;
+
+  for (const entry of entries) {
+    if (!entry || typeof entry !== 'object' || !Number.isFinite(entry.hour_utc_ms)) {
+      rejected.push(entry);
+      continue;
+    }
+    if (entry.hour_utc_ms < previous) unsorted++;
+    previous = entry.hour_utc_ms;
+    if (entry.hour_utc_ms % spanMs !== 0) {
+      misaligned++;
+      rejected.push(entry);
+      continue;
+    }
+    if (monthKeyFromUtcMs(entry.hour_utc_ms) !== monthKey) {
+      otherMonths.push(entry);
+      continue;
+    }
+    if (byHour.has(entry.hour_utc_ms)) duplicates++;
+    byHour.set(entry.hour_utc_ms, entry);
+  }
+
+  const invalid = rejected.length - misaligned;
+  if (invalid > 0) problems.push({ kind: 'invalid_entry', count: invalid, detail: 'entries without a numeric hour_utc_ms' });
+  if (duplicates > 0) problems.push({ kind: 'duplicate_bucket', count: duplicates, detail: 'buckets stored more than once' });
+  if (unsorted > 0) problems.push({ kind: 'unsorted', count: unsorted, detail: 'entries out of time order' });
+  if (misaligned > 0) problems.push({ kind: 'misaligned', count: misaligned, detail: `timestamps not aligned to ${spanMs} ms buckets` });
+  if (otherMonths.length > 0) problems.push({ kind: 'wrong_month', count: otherMonths.length, detail: `entries outside ${monthKey}` });
+
+  const kept = Array.from(byHour.values()).sort((a, b) => a.hour_utc_ms - b.hour_utc_ms);
+  return { problems, kept, otherMonths, rejected };
+}
+
+// A month file's entries, [] when missing. Throws when it is damaged, so it is
+// never overwritten with just the entries moved into it.
+async function readJson(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const entries = content.trim() ? JSON.parse(content) : [];
+  if (!Array.isArray(entries)) {
+    throw new Error(`${path.basename(filePath)} does not hold a JSON array`);
+  }
+  return entries;
+}
+
+// Where a damaged file (label relative to data/) is set aside
+function quarantinePath(label, suffix = '') {
+  return path.join(QUARANTINE_DIR, `${label.replace(/[\\/]/g, '_')}.${Date.now()}${suffix}`);
+}
+
+// Check (and optionally repair) one month file; returns its problems
+async function checkMonthFile(dir, file, spanMs, options) {
+  const filePath = path.join(dir, file);
+  const [, serviceId, monthKey] = file.match(MONTH_FILE_RE);
+  const label = path.relative(DATA_DIR, filePath);
+  const problems = [];
+
+  const content = await fs.readFile(filePath, 'utf-8');
+  let entries;
+  try {
+    entries = content.trim() ? JSON.parse(content) : [];
+  } catch (err) {
+    const salvaged = options.repair ? salvageEntries(content) : null;
+    problems.push({
+      file: label,
+      kind: 'invalid_json',
+      detail: salvaged ? `${err.message}; salvaged ${salvaged.length} entries` : err.message,
+      action: options.quarantine || options.repair ? 'quarantined' : 'reported'
+    });
+    if (!options.quarantine && !options.repair) {
+      return problems;
+    }
+    await fs.mkdir(QUARANTINE_DIR, { recursive: true });
+    await fs.rename(filePath, quarantinePath(label));
+    if (!salvaged) {
+      return problems;
+    }
+    entries = salvaged;
+  }
+  if (!Array.isArray(entries)) {
+    problems.push({
+      file: label,
+      kind: 'not_array',
+      detail: 'file does not hold a JSON array',
+      action: options.quarantine || options.repair ? 'quarantined' : 'reported'
+    });
+    if (options.quarantine || options.repair) {
+      await fs.mkdir(QUARANTINE_DIR, { recursive: true });
+      await fs.rename(filePath, quarantinePath(label));
+    }
+    return problems;
+  }
+
+  const inspected = inspectEntries(entries, monthKey, spanMs);
+  const salvagedFile = problems.length > 0;
+  for (const problem of inspected.problems) {
+    problems.push({ file: label, ...problem, action: options.repair ? 'repaired' : 'reported' });
+  }
+  if (!options.repair || (inspected.problems.length === 0 && !salvagedFile)) {
+    return problems;
+  }
+
+  // Entries of other months join their own file unless it already has that bucket
+  const byMonth = new Map();
+  for (const entry of inspected.otherMonths) {
+    const key = monthKeyFromUtcMs(entry.hour_utc_ms);
+    if (!byMonth.has(key)) byMonth.set(key, []);
+    byMonth.get(key).push(entry);
+  }
+  for (const [key, moved] of byMonth) {
+    const targetPath = path.join(dir, `${serviceId}-${key}.json`);
+    const target = await readJson(targetPath);
+    const hours = new Set(target.map((entry) => entry.hour_utc_ms));
+    const merged = target.concat(moved.filter((entry) => !hours.has(entry.hour_utc_ms)));
+    merged.sort((a, b) => a.hour_utc_ms - b.hour_utc_ms);
+    await writeFileAtomic(targetPath, JSON.stringify(merged));
+  }
+
+  if (inspected.rejected.length > 0) {
+    await fs.mkdir(QUARANTINE_DIR, { recursive: true });
+    await writeFileAtomic(quarantinePath(label, '.rejected.json'), JSON.stringify(inspected.rejected));
+  }
+  if (inspected.kept.length > 0) {
+    await writeFileAtomic(filePath, JSON.stringify(inspected.kept));
+  } else {
+    await fs.rm(filePath, { force: true });
+  }
+  return problems;
+}
+
+// Temp files older than ORPHAN_TMP_AGE_MS in dir and its subdirectories
+async function findOrphanTempFiles(dir, nowMs) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    return [];
+  }
+  const orphans = [];
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (entryPath !== QUARANTINE_DIR) {
+        orphans.push(...await findOrphanTempFiles(entryPath, nowMs));
+      }
+    } else if (TEMP_FILE_RE.test(entry.name)) {
+      const { mtimeMs } = await fs.stat(entryPath);
+      if (nowMs - mtimeMs > ORPHAN_TMP_AGE_MS) orphans.push(entryPath);
+    }
+  }
+  return orphans;
+}
+
+async function listMonthFiles(dir) {
+  try {
+    return (await fs.readdir(dir)).filter((file) => MONTH_FILE_RE.test(file)).sort();
+  } catch (err) {
+    return [];
+  }
+}
+
+// Check every raw and rollup month file plus leftover temp files. The report
+// is kept for /api/health (see getIntegrityReport).
+async function checkDataFiles(options = {}) {
+  const nowMs = Date.now();
+  const problems = [];
+  let filesChecked = 0;
+
+  for (const [dir, spanMs] of [[DATA_DIR, BUCKET_MS], [ROLLUPS_DIR, DAY_MS]]) {
+    for (const file of await listMonthFiles(dir)) {
+      filesChecked++;
+      try {
+        problems.push(...await checkMonthFile(dir, file, spanMs, options));
+      } catch (err) {
+        problems.push({ file: path.relative(DATA_DIR, path.join(dir, file)), kind: 'unreadable', detail: err.message, action: 'reported' });
+      }
+    }
+  }
+
+  for (const tempPath of await findOrphanTempFiles(DATA_DIR, nowMs)) {
+    if (options.repair) {
+      await fs.rm(tempPath, { force: true });
+    }
+    problems.push({
+      file: path.relative(DATA_DIR, tempPath),
+      kind: 'orphan_tmp',
+      detail: 'left behind by an interrupted write',
+      action: options.repair ? 'removed' : 'reported'
+    });
+  }
+
+  lastReport = {
+    checked_at_utc_ms: nowMs,
+    files_checked: filesChecked,
+    repaired: !!options.repair,
+    problems
+  };
+  return lastReport;
+}
+
+// Result of the last check, or null before the first one
+function getIntegrityReport() {
+  return lastReport;
+}
+
+module.exports = {
+  checkDataFiles,
+  getIntegrityReport
+};
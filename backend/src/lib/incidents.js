@@ -0,0 +1,196 @@
+// Incident tracking: opens an incident when the rules engine moves a service to
+// down and closes it when the service leaves down, or when it stops being
+// polled (paused or removed from the config). Incidents are stored per
+// month (of their start) under data/incidents/ and open ones are restored at
+// startup.
+const { monthKeyFromUtcMs, getMonthKeysBetween } = require('./time');
+const { readIncidentMonth, writeIncidentMonth } = require('./persistence');
+const events = require('./events');
+
+// Months scanned at startup for incidents that are still open
+const RESTORE_MONTHS = 3;
+
+// Per-service tracking state:
+// {
+//   [serviceId]: {
+//     samples_failed: number,             // failed checks in the current failure run
+//     pending_reasons: { [reason]: count }, // reasons seen before the incident opened
+//     open: incident | null
+//   }
+// }
+const state = {};
+
+// Serialize month file updates so concurrent transitions can't lose writes
+let writeQueue = Promise.resolve();
+
+function getState(serviceId) {
+  if (!state[serviceId]) {
+    state[serviceId] = { samples_failed: 0, pending_reasons: {}, open: null };
+  }
+  return state[serviceId];
+}
+
+// Insert or replace an incident in its month file
+function saveIncident(incident) {
+  const snapshot = { ...incident, failure_reasons: { ...incident.failure_reasons } };
+  writeQueue = writeQueue
+    .then(async () => {
+      const monthKey = monthKeyFromUtcMs(snapshot.start_utc_ms);
+      const incidents = await readIncidentMonth(monthKey);
+      const index = incidents.findIndex((i) => i.id === snapshot.id);
+      if (index >= 0) {
+        incidents[index] = snapshot;
+      } else {
+        incidents.push(snapshot);
+      }
+      incidents.sort((a, b) => a.start_utc_ms - b.start_utc_ms);
+      await writeIncidentMonth(monthKey, incidents);
+    })
+    .catch((err) => {
+      console.error('Error saving incident:', err);
+    });
+  return writeQueue;
+}
+
+// Every check: collect failure reasons for the current run or open incident
+function onCheck(event) {
+  const s = getState(event.service_id);
+
+  if (event.ok) {
+    if (!s.open) {
+      s.samples_failed = 0;
+      s.pending_reasons = {};
+    }
+    return;
+  }
+
+  if (s.open) {
+    s.open.failure_reasons[event.reason] = (s.open.failure_reasons[event.reason] || 0) + 1;
+    s.open.samples_failed++;
+    // Persist new reasons as they appear, not on every failed sample
+    if (s.open.failure_reasons[event.reason] === 1) {
+      saveIncident(s.open);
+    }
+    return;
+  }
+
+  s.samples_failed++;
+  s.pending_reasons[event.reason] = (s.pending_reasons[event.reason] || 0) + 1;
+}
+
+// Rules engine state changes: open on entering down, close on leaving it
+function onTransition(event) {
+  const s = getState(event.service_id);
+
+  if (event.to === 'down' && !s.open) {
+    const incident = {
+      id: `${event.service_id}-${event.started_utc_ms}`,
+      service_id: event.service_id,
+      start_utc_ms: event.started_utc_ms,
+      end_utc_ms: null,
+      duration_ms: null,
+      rule: event.rule,
+      // Why the rule fired; block height rules fire on passing checks, so
+      // failure_reasons can be empty
+      reason: event.reason,
+      samples_failed: s.samples_failed,
+      failure_reasons: s.pending_reasons
+    };
+    s.open = incident;
+    s.samples_failed = 0;
+    s.pending_reasons = {};
+    console.log(`Incident opened for ${event.service_id}: ${event.reason}`);
+    saveIncident(incident);
+    return;
+  }
+
+  if (event.from === 'down' && s.open) {
+    const incident = s.open;
+    incident.end_utc_ms = event.at_utc_ms;
+    incident.duration_ms = event.at_utc_ms - incident.start_utc_ms;
+    incident.end_reason = 'recovered';
+    s.open = null;
+    console.log(`Incident closed for ${event.service_id} after ${Math.round(incident.duration_ms / 1000)}s`);
+    saveIncident(incident);
+  }
+}
+
+// A paused or removed service can't recover, so its open incident ends when it
+// stops being polled, with endReason ('paused' or 'removed') saying why.
+// Resolves once the incident is saved.
+function endIncident(serviceId, atMs, endReason) {
+  const s = state[serviceId];
+  delete state[serviceId];
+  if (!s || !s.open) {
+    return Promise.resolve();
+  }
+  const incident = s.open;
+  incident.end_utc_ms = atMs;
+  incident.duration_ms = atMs - incident.start_utc_ms;
+  incident.end_reason = endReason;
+  console.log(`Incident ended for ${serviceId}: service ${endReason}`);
+  return saveIncident(incident);
+}
+
+// Subscribe to the rules engine. Returns a stop function.
+function startIncidentTracking() {
+  events.on('check', onCheck);
+  events.on('transition', onTransition);
+  return function stop() {
+    events.off('check', onCheck);
+    events.off('transition', onTransition);
+  };
+}
+
+// Restore incidents left open by a previous run so they can be closed on
+// recovery. Returns them so the rules engine can resume in the down state.
+async function loadOpenIncidents(nowMs = Date.now()) {
+  const open = [];
+  const from = new Date(nowMs);
+  from.setUTCMonth(from.getUTCMonth() - (RESTORE_MONTHS - 1));
+  for (const monthKey of getMonthKeysBetween(from.getTime(), nowMs)) {
+    const incidents = await readIncidentMonth(monthKey);
+    for (const incident of incidents) {
+      if (incident.end_utc_ms === null) {
+        getState(incident.service_id).open = incident;
+        open.push(incident);
+      }
+    }
+  }
+  return open;
+}
+
+// Incidents overlapping [fromUtcMs, toUtcMs], optionally limited to some services.
+// Open incidents report their duration so far.
+async function readIncidents(serviceIds, fromUtcMs, toUtcMs, nowMs = Date.now()) {
+  // An incident is filed under its start month, so look back far enough for
+  // ones that began before the window but were still open inside it
+  const from = new Date(fromUtcMs);
+  from.setUTCMonth(from.getUTCMonth() - (RESTORE_MONTHS - 1));
+
+  const wanted = serviceIds ? new Set(serviceIds) : null;
+  const result = [];
+  for (const monthKey of getMonthKeysBetween(from.getTime(), toUtcMs)) {
+    const incidents = await readIncidentMonth(monthKey);
+    for (const incident of incidents) {
+      if (wanted && !wanted.has(incident.service_id)) continue;
+      const end = incident.end_utc_ms ?? nowMs;
+      if (incident.start_utc_ms <= toUtcMs && end >= fromUtcMs) {
+        result.push({
+          ...incident,
+          ongoing: incident.end_utc_ms === null,
+          duration_ms: end - incident.start_utc_ms
+        });
+      }
+    }
+  }
+
+  return result.sort((a, b) => b.start_utc_ms - a.start_utc_ms);
+}
+
+module.exports = {
+  startIncidentTracking,
+  loadOpenIncidents,
+  endIncident,
+  readIncidents
+};
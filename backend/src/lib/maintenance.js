@@ -0,0 +1,192 @@
+// Scheduled maintenance windows. Polls inside a window are recorded as
+// maintenance instead of up/down, so they don't count towards uptime or open
+// incidents. Windows come from the "maintenance" section of services.json and
+// from the API (persisted in data/maintenance.json).
+//
+// A window targets services by id or tag (neither means every service) and is
+// either one-off:
+//   { id, title, services, tags, start_utc_ms, end_utc_ms }
+// or recurring, at a UTC time of day on some weekdays (0 = Sunday, default all):
+//   { id, title, services, tags, recurring: { start_utc: "03:00", duration_ms, weekdays } }
+const { matchesService } = require('./config');
+const { readMaintenanceWindows, writeMaintenanceWindows } = require('./persistence');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Longest recurring window; also bounds how far back occurrences are expanded
+const MAX_RECURRING_DURATION_MS = DAY_MS;
+
+let configWindows = [];
+let apiWindows = [];
+let servicesById = new Map();
+
+// Returns an error message for an invalid window definition, or null
+function validateWindow(window) {
+  if (!window || typeof window !== 'object') {
+    return 'window must be an object';
+  }
+  if (typeof window.id !== 'string' || !/^[A-Za-z0-9._-]+$/.test(window.id)) {
+    return 'id must be a non-empty string of letters, digits, ".", "_" or "-"';
+  }
+  for (const key of ['services', 'tags']) {
+    if (window[key] !== undefined &&
+        (!Array.isArray(window[key]) || !window[key].every((v) => typeof v === 'string'))) {
+      return `${key} must be an array of strings`;
+    }
+  }
+
+  if (window.recurring) {
+    const { start_utc: startUtc, duration_ms: durationMs, weekdays } = window.recurring;
+    if (typeof startUtc !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(startUtc)) {
+      return 'recurring.start_utc must be HH:MM';
+    }
+    if (!Number.isInteger(durationMs) || durationMs <= 0 || durationMs > MAX_RECURRING_DURATION_MS) {
+      return 'recurring.duration_ms must be a positive integer of at most one day';
+    }
+    if (weekdays !== undefined &&
+        (!Array.isArray(weekdays) || !weekdays.every((d) => Number.isInteger(d) && d >= 0 && d <= 6))) {
+      return 'recurring.weekdays must be an array of integers 0-6';
+    }
+    return null;
+  }
+
+  if (!Number.isInteger(window.start_utc_ms) || !Number.isInteger(window.end_utc_ms)) {
+    return 'start_utc_ms and end_utc_ms must be integers (or use recurring)';
+  }
+  if (window.start_utc_ms >= window.end_utc_ms) {
+    return 'start_utc_ms must be before end_utc_ms';
+  }
+  return null;
+}
+
+// Keep only the known fields of a window definition
+function normalizeWindow(window, source) {
+  const normalized = {
+    id: window.id,
+    title: window.title || window.id,
+    services: window.services || [],
+    tags: window.tags || [],
+    source
+  };
+  if (window.recurring) {
+    normalized.recurring = {
+      start_utc: window.recurring.start_utc,
+      duration_ms: window.recurring.duration_ms,
+      weekdays: window.recurring.weekdays || [0, 1, 2, 3, 4, 5, 6]
+    };
+  } else {
+    normalized.start_utc_ms = window.start_utc_ms;
+    normalized.end_utc_ms = window.end_utc_ms;
+  }
+  return normalized;
+}
+
+function configureMaintenance(config) {
+  servicesById = new Map((config.services || []).map((s) => [s.id, s]));
+  configWindows = [];
+  for (const window of config.maintenance || []) {
+    const error = validateWindow(window);
+    if (error) {
+      console.warn(`Ignoring maintenance window ${window && window.id}: ${error}`);
+      continue;
+    }
+    configWindows.push(normalizeWindow(window, 'config'));
+  }
+}
+
+// Restore windows created through the API by a previous run
+async function loadMaintenance() {
+  apiWindows = (await readMaintenanceWindows()).filter((w) => validateWindow(w) === null);
+}
+
+function getWindows() {
+  return [...configWindows, ...apiWindows];
+}
+
+// Occurrences ({ start_utc_ms, end_utc_ms }) of a window overlapping [fromMs, toMs]
+function getOccurrences(window, fromMs, toMs) {
+  if (!window.recurring) {
+    return window.start_utc_ms <= toMs && window.end_utc_ms > fromMs
+      ? [{ start_utc_ms: window.start_utc_ms, end_utc_ms: window.end_utc_ms }]
+      : [];
+  }
+
+  const [hours, minutes] = window.recurring.start_utc.split(':').map(Number);
+  const offsetMs = (hours * 60 + minutes) * 60000;
+  const occurrences = [];
+  // Start a day early so an occurrence that began yesterday is still found
+  for (let day = Math.floor(fromMs / DAY_MS) * DAY_MS - DAY_MS; day <= toMs; day += DAY_MS) {
+    if (!window.recurring.weekdays.includes(new Date(day).getUTCDay())) continue;
+    const start = day + offsetMs;
+    const end = start + window.recurring.duration_ms;
+    if (start <= toMs && end > fromMs) {
+      occurrences.push({ start_utc_ms: start, end_utc_ms: end });
+    }
+  }
+  return occurrences;
+}
+
+// The window a service is in at timestampMs, or null
+function getActiveWindow(serviceId, timestampMs) {
+  const service = servicesById.get(serviceId) || { id: serviceId, tags: [] };
+  for (const window of getWindows()) {
+    if (!matchesService(window, service)) continue;
+    if (getOccurrences(window, timestampMs, timestampMs).length > 0) {
+      return window;
+    }
+  }
+  return null;
+}
+
+// Window occurrences overlapping [fromMs, toMs], soonest first
+function listOccurrences(fromMs, toMs) {
+  const result = [];
+  for (const window of getWindows()) {
+    for (const occurrence of getOccurrences(window, fromMs, toMs)) {
+      result.push({
+        window_id: window.id,
+        title: window.title,
+        services: window.services,
+        tags: window.tags,
+        recurring: !!window.recurring,
+        ...occurrence
+      });
+    }
+  }
+  return result.sort((a, b) => a.start_utc_ms - b.start_utc_ms);
+}
+
+// Add or replace an API window. Throws on invalid input or id clashes with config.
+async function saveWindow(window) {
+  const error = validateWindow(window);
+  if (error) {
+    throw new Error(error);
+  }
+  if (configWindows.some((w) => w.id === window.id)) {
+    throw new Error(`window ${window.id} is defined in services.json`);
+  }
+  const normalized = normalizeWindow(window, 'api');
+  apiWindows = [...apiWindows.filter((w) => w.id !== window.id), normalized];
+  await writeMaintenanceWindows(apiWindows);
+  return normalized;
+}
+
+// Remove an API window. Returns false when there is no such window.
+async function deleteWindow(id) {
+  if (!apiWindows.some((w) => w.id === id)) {
+    return false;
+  }
+  apiWindows = apiWindows.filter((w) => w.id !== id);
+  await writeMaintenanceWindows(apiWindows);
+  return true;
+}
+
+module.exports = {
+  validateWindow,
+  configureMaintenance,
+  loadMaintenance,
+  getWindows,
+  getActiveWindow,
+  listOccurrences,
+  saveWindow,
+  deleteWindow
+};
@@ -0,0 +1,150 @@
+// Prometheus metrics in the text exposition format, served at /metrics.
+// Check counters and the latency histogram are kept in memory from the
+// samples the poller records (so they restart at zero with the backend, which
+// Prometheus handles for counters); everything else is read from the modules
+// that already track it. Per-service series are labelled with service_id and
+// tags (comma-separated, from config).
+const { getServiceState } = require('./rules');
+const { getCertificate } = require('./certificates');
+const { getLastRollover } = require('./scheduler');
+const { getWriteErrorCounts } = require('./persistence');
+
+// Upper bounds (seconds) of the check latency histogram buckets
+const LATENCY_BUCKETS_S = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// {
+//   [serviceId]: {
+//     outcomes: { ok, failure, maintenance },
+//     latency_counts: number[], // per LATENCY_BUCKETS_S bound, not cumulative
+//     latency_sum_s: number,
+//     latency_count: number,
+//     last_latency_ms: number | null,
+//     last_check_ms: number | null
+//   }
+// }
+const checks = {};
+
+function serviceChecks(serviceId) {
+  if (!checks[serviceId]) {
+    checks[serviceId] = {
+      outcomes: { ok: 0, failure: 0, maintenance: 0 },
+      latency_counts: LATENCY_BUCKETS_S.map(() => 0),
+      latency_sum_s: 0,
+      latency_count: 0,
+      last_latency_ms: null,
+      last_check_ms: null
+    };
+  }
+  return checks[serviceId];
+}
+
+// Count one check; latencyMs is null for failed checks
+function observeCheck(serviceId, timestampMs, ok, latencyMs, maintenance = false) {
+  const s = serviceChecks(serviceId);
+  s.outcomes[maintenance ? 'maintenance' : ok ? 'ok' : 'failure']++;
+  s.last_check_ms = timestampMs;
+  if (ok && typeof latencyMs === 'number') {
+    const latencyS = latencyMs / 1000;
+    const index = LATENCY_BUCKETS_S.findIndex((bound) => latencyS <= bound);
+    if (index >= 0) s.latency_counts[index]++;
+    s.latency_sum_s += latencyS;
+    s.latency_count++;
+    s.last_latency_ms = latencyMs;
+  }
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Collects samples per metric family so each is written once with HELP/TYPE.
+// suffix names the series of a histogram (_bucket, _sum, _count).
+function createRegistry() {
+  const families = new Map();
+  return {
+    add(name, type, help, labels, value, suffix = '') {
+      if (!families.has(name)) {
+        families.set(name, { type, help, lines: [] });
+      }
+      families.get(name).lines.push(`${name}${suffix}${formatLabels(labels)} ${value}`);
+    },
+    render() {
+      let text = '';
+      for (const [name, family] of families) {
+        text += `# HELP ${name} ${family.help}\n# TYPE ${name} ${family.type}\n`;
+        text += family.lines.map((line) => line + '\n').join('');
+      }
+      return text;
+    }
+  };
+}
+
+// The whole exposition for the configured services
+function renderMetrics(config, nowMs = Date.now()) {
+  const registry = createRegistry();
+
+  for (const service of config.services || []) {
+    const labels = { service_id: service.id, tags: (service.tags || []).join(',') };
+
+    // Rules engine state; services without a check yet (or paused) have none
+    const state = getServiceState(service.id).state;
+    if (state) {
+      registry.add('pulse_service_up', 'gauge', 'Whether the service is up (1, also when degraded) or down (0) per the alert rules', labels, state === 'down' ? 0 : 1);
+    }
+    registry.add('pulse_service_paused', 'gauge', 'Whether polling of the service is paused through the admin API', labels, service.paused ? 1 : 0);
+
+    const s = checks[service.id];
+    if (s) {
+      for (const [outcome, count] of Object.entries(s.outcomes)) {
+        registry.add('pulse_checks_total', 'counter', 'Checks run since startup by outcome (ok, failure, maintenance)', { ...labels, outcome }, count);
+      }
+      if (s.last_check_ms !== null) {
+        registry.add('pulse_last_check_timestamp_seconds', 'gauge', 'Time of the latest check', labels, s.last_check_ms / 1000);
+      }
+      if (s.last_latency_ms !== null) {
+        registry.add('pulse_last_latency_seconds', 'gauge', 'Latency of the latest successful check', labels, s.last_latency_ms / 1000);
+      }
+
+      const name = 'pulse_check_latency_seconds';
+      const help = 'Latency of successful checks since startup';
+      let cumulative = 0;
+      LATENCY_BUCKETS_S.forEach((bound, index) => {
+        cumulative += s.latency_counts[index];
+        registry.add(name, 'histogram', help, { ...labels, le: bound }, cumulative, '_bucket');
+      });
+      registry.add(name, 'histogram', help, { ...labels, le: '+Inf' }, s.latency_count, '_bucket');
+      registry.add(name, 'histogram', help, labels, s.latency_sum_s, '_sum');
+      registry.add(name, 'histogram', help, labels, s.latency_count, '_count');
+    }
+
+    // Only known once an HTTPS check completed a handshake
+    const cert = service.url && service.url.startsWith('https') ? getCertificate(service.id, service.cert_warn_days, nowMs) : null;
+    if (cert) {
+      registry.add('pulse_certificate_expiry_timestamp_seconds', 'gauge', 'Expiry (notAfter) of the TLS certificate presented by the service', labels, cert.not_after_utc_ms / 1000);
+    }
+  }
+
+  const rollover = getLastRollover();
+  if (rollover) {
+    registry.add('pulse_scheduler_last_rollover_timestamp_seconds', 'gauge', 'Time of the last successful bucket rollover', {}, rollover.at_utc_ms / 1000);
+    registry.add('pulse_scheduler_last_completed_bucket_timestamp_seconds', 'gauge', 'Start of the bucket finalized by the last rollover', {}, rollover.completed_bucket_utc_ms / 1000);
+  }
+
+  // Always listed, so rate() works from the first error on
+  const writeErrors = getWriteErrorCounts();
+  for (const kind of ['snapshot', 'rollup', 'checkpoint', 'chain_state', 'incidents', 'maintenance', 'delivery_log', 'audit_log']) {
+    registry.add('pulse_persistence_write_errors_total', 'counter', 'Failed data file writes and log appends since startup by kind', { kind }, writeErrors[kind] || 0);
+  }
+
+  return registry.render();
+}
+
+module.exports = {
+  observeCheck,
+  renderMetrics
+};
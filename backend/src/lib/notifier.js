@@ -0,0 +1,258 @@
+// Outbound alerting: turns rules engine transitions, reminders and flapping
+// notices into webhook deliveries.
+// Channels (generic JSON webhook, Discord, Telegram) and a per-service/per-tag
+// routing table come from the "notifications" section of services.json.
+const events = require('./events');
+const { appendDeliveryLog } = require('./persistence');
+const { matchesService } = require('./config');
+
+const MAX_ATTEMPTS = 5;
+const REQUEST_TIMEOUT_MS = 10000;
+// Delivery attempts kept in memory for /api/notifications/deliveries
+const RECENT_DELIVERIES = 100;
+
+const recentDeliveries = [];
+
+// Expand ${ENV_VAR} references so tokens don't have to live in services.json
+function expandEnv(value) {
+  if (typeof value !== 'string') return value;
+  return value.replace(/\$\{([A-Z0-9_]+)\}/g, (m, name) => process.env[name] ?? '');
+}
+
+// Webhook event name for a transition, reminder or flapping notice
+function eventName(event) {
+  if (event.kind === 'flapping') {
+    return event.flapping ? 'flapping_started' : 'flapping_ended';
+  }
+  if (event.kind === 'reminder') {
+    return 'service_still_down';
+  }
+  return event.to === 'up' ? 'service_recovered' : `service_${event.to}`;
+}
+
+// Whether the notice reports a problem (red) rather than an improvement (green)
+function isBad(event) {
+  if (event.kind === 'flapping') return event.flapping;
+  if (event.kind === 'reminder') return true;
+  return event.to !== 'up';
+}
+
+function formatMinutes(ms) {
+  return `${Math.round(ms / 60000)} min`;
+}
+
+function describeEvent(event, service) {
+  const name = service ? service.name : event.service_id;
+  const reason = event.reason ? `: ${event.reason}` : '';
+
+  if (event.kind === 'flapping') {
+    return event.flapping
+      ? {
+          title: `${name} is flapping`,
+          text: `${name} changed state ${event.transitions} times recently; alerts are paused until it settles`
+        }
+      : {
+          title: `${name} stopped flapping`,
+          text: `${name} has settled and is ${event.state}; alerts resumed`
+        };
+  }
+  if (event.kind === 'reminder') {
+    return {
+      title: `${name} is still DOWN`,
+      text: `${name} has been down for ${formatMinutes(event.at_utc_ms - event.since_utc_ms)}${reason}`
+    };
+  }
+  if (event.to === 'down') {
+    return { title: `${name} is DOWN`, text: `${name} is down${reason}` };
+  }
+  if (event.to === 'degraded') {
+    return { title: `${name} is degraded`, text: `${name} is degraded${reason}` };
+  }
+  return {
+    title: `${name} recovered`,
+    text: `${name} is back up${event.duration_ms !== null ? ` after ${formatMinutes(event.duration_ms)}` : ''}`
+  };
+}
+
+// Build { url, body, headers } for a channel type
+function buildRequest(channel, event, service) {
+  const { title, text } = describeEvent(event, service);
+  const at = new Date(event.at_utc_ms).toISOString();
+
+  switch (channel.type) {
+    case 'discord':
+      return {
+        url: expandEnv(channel.url),
+        body: {
+          username: channel.username || 'Labs Pulse',
+          embeds: [{
+            title,
+            description: text,
+            color: isBad(event) ? 0xff4d4f : 0x21c36a,
+            timestamp: at
+          }]
+        }
+      };
+
+    case 'telegram': {
+      const apiBase = expandEnv(channel.api_base) || 'https://api.telegram.org';
+      return {
+        url: `${apiBase}/bot${expandEnv(channel.bot_token)}/sendMessage`,
+        body: {
+          chat_id: expandEnv(channel.chat_id),
+          text: `${isBad(event) ? '🔴' : '🟢'} ${text}\n${at}`,
+          disable_web_page_preview: true
+        }
+      };
+    }
+
+    default:
+      // Generic JSON webhook
+      return {
+        url: expandEnv(channel.url),
+        headers: Object.fromEntries(
+          Object.entries(channel.headers || {}).map(([k, v]) => [k, expandEnv(v)])
+        ),
+        body: {
+          event: eventName(event),
+          service: service
+            ? { id: service.id, name: service.name, url: service.url, tags: service.tags }
+            : { id: event.service_id },
+          from: event.from,
+          to: event.to,
+          at_utc_ms: event.at_utc_ms,
+          since_utc_ms: event.since_utc_ms ?? event.started_utc_ms,
+          reason: event.reason,
+          rule: event.rule,
+          message: text
+        }
+      };
+  }
+}
+
+// Channel names whose routes match a service by id or by any of its tags.
+// A route without services or tags matches every service.
+function resolveChannels(routes, service) {
+  const names = new Set();
+  for (const route of routes || []) {
+    if (matchesService(route, service)) {
+      (route.channels || []).forEach((c) => names.add(c));
+    }
+  }
+  return Array.from(names);
+}
+
+function logDelivery(entry) {
+  recentDeliveries.push(entry);
+  if (recentDeliveries.length > RECENT_DELIVERIES) {
+    recentDeliveries.shift();
+  }
+  appendDeliveryLog(entry).catch((err) => {
+    console.error('Error writing delivery log:', err);
+  });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// POST with retry and exponential backoff (base, 2x base, 4x base, ...)
+async function deliver(channelName, channel, event, service, retryBaseMs) {
+  const request = buildRequest(channel, event, service);
+  const maxAttempts = channel.max_attempts || MAX_ATTEMPTS;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const startedMs = Date.now();
+    let status = null;
+    let error = null;
+    try {
+      const res = await fetch(request.url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...(request.headers || {}) },
+        body: JSON.stringify(request.body),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      status = res.status;
+      if (!res.ok) {
+        error = `HTTP ${res.status}`;
+      }
+    } catch (err) {
+      error = err.cause && err.cause.code ? err.cause.code : err.message;
+    }
+
+    logDelivery({
+      at_utc_ms: startedMs,
+      channel: channelName,
+      type: channel.type || 'webhook',
+      service_id: event.service_id,
+      event: eventName(event),
+      attempt,
+      ok: error === null,
+      status,
+      error,
+      duration_ms: Date.now() - startedMs
+    });
+
+    if (error === null) {
+      return true;
+    }
+    // 4xx other than rate limiting won't succeed on retry
+    if (status && status >= 400 && status < 500 && status !== 429) {
+      break;
+    }
+    if (attempt < maxAttempts) {
+      await sleep(retryBaseMs * Math.pow(2, attempt - 1));
+    }
+  }
+
+  console.error(`Notification to ${channelName} for ${event.service_id} failed`);
+  return false;
+}
+
+// Subscribe to the rules engine's transitions, reminders and flapping notices.
+// Transitions while a service is flapping are suppressed. Returns a stop function.
+function startNotifier(config) {
+  const notifications = config.notifications || {};
+  const channels = notifications.channels || {};
+  const retryBaseMs = notifications.retry_base_ms || 1000;
+
+  const notify = (event) => {
+    const service = (config.services || []).find((s) => s.id === event.service_id);
+    if (!service) return;
+
+    for (const name of resolveChannels(notifications.routes, service)) {
+      const channel = channels[name];
+      if (!channel) {
+        console.warn(`Notification route references unknown channel "${name}"`);
+        continue;
+      }
+      deliver(name, channel, event, service, retryBaseMs).catch((err) => {
+        console.error(`Error delivering notification to ${name}:`, err);
+      });
+    }
+  };
+
+  const onTransition = (event) => {
+    if (!event.suppressed) notify({ kind: 'transition', ...event });
+  };
+  const onReminder = (event) => notify({ kind: 'reminder', ...event });
+  const onFlapping = (event) => notify({ kind: 'flapping', ...event });
+
+  events.on('transition', onTransition);
+  events.on('reminder', onReminder);
+  events.on('flapping', onFlapping);
+  return function stop() {
+    events.off('transition', onTransition);
+    events.off('reminder', onReminder);
+    events.off('flapping', onFlapping);
+  };
+}
+
+function getRecentDeliveries() {
+  return [...recentDeliveries].reverse();
+}
+
+module.exports = {
+  startNotifier,
+  getRecentDeliveries,
+  buildRequest,
+  resolveChannels
+};
@@ -1,164 +1,154 @@
-// Persistence layer that shards JSON files per service per month,
-// writing snapshots atomically (temp file + rename), and reading ranged data.
+// Persistence layer. Raw snapshots go through the configured storage engine
+// (see storage/index.js); rollups, incidents and other state are JSON files
+// written atomically (temp file + rename).
 const fs = require('fs/promises');
 const path = require('path');
-const { monthKeyFromUtcMs, hourBucketUtcMs } = require('./time');
+const { DATA_DIR, getStorageEngine } = require('./storage');
+const { writeFileAtomic } = require('./storage/files');
 
-const DATA_DIR = path.join(__dirname, '../../data');
+const CHAIN_STATE_PATH = path.join(DATA_DIR, 'chain-state.json');
+// In-progress accumulator buckets, restored after a restart
+const ACCUMULATOR_CHECKPOINT_PATH = path.join(DATA_DIR, 'accumulator-checkpoint.json');
+// Incidents live in their own directory so month files can't clash with service ids
+const INCIDENTS_DIR = path.join(DATA_DIR, 'incidents');
+const DELIVERY_LOG_PATH = path.join(DATA_DIR, 'notifications', 'deliveries.ndjson');
+// Changes made through the admin API, one JSON object per line
+const AUDIT_LOG_PATH = path.join(DATA_DIR, 'audit', 'admin.ndjson');
+// Maintenance windows created through the API (config ones live in services.json)
+const MAINTENANCE_PATH = path.join(DATA_DIR, 'maintenance.json');
+// Daily rollups of raw buckets past retention_days: rollups/<service_id>-YYYY-MM.json
+const ROLLUPS_DIR = path.join(DATA_DIR, 'rollups');
+// Damaged files and entries set aside by the integrity checker (see fsck.js)
+const QUARANTINE_DIR = path.join(DATA_DIR, 'quarantine');
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-function makeTempPath(filePath) {
-  return `${filePath}.${process.pid}.${Date.now()}.${Math.random().toString(36).slice(2)}.tmp`;
-}
+let storage = getStorageEngine('json');
 
-async function writeHourlySnapshot(serviceId, hourUtcMs, pingMs) {
-  const monthKey = monthKeyFromUtcMs(hourUtcMs);
-  const filePath = path.join(DATA_DIR, `${serviceId}-${monthKey}.json`);
-  const tempPath = makeTempPath(filePath);
-  
-  // Ensure data directory exists
-  await fs.mkdir(DATA_DIR, { recursive: true });
-  
-  let existingData = [];
+// Failed writes since startup by kind (snapshot, rollup, ...), for /metrics
+const writeErrors = {};
+
+// Run a write, counting it in writeErrors when it fails
+async function countingErrors(kind, write) {
   try {
-    // Try to read existing file
-    const existingFile = await fs.readFile(filePath, 'utf-8');
-    if (existingFile.trim()) {
-      existingData = JSON.parse(existingFile);
-    }
+    return await write();
   } catch (err) {
-    // File doesn't exist or is invalid, which is fine
+    writeErrors[kind] = (writeErrors[kind] || 0) + 1;
+    throw err;
   }
-  
-  // Create new snapshot object
-  const newSnapshot = {
-    hour_utc_ms: hourUtcMs,
-    ping_ms: pingMs
-  };
-  
-  // Check if this hour already exists and update it
-  const existingIndex = existingData.findIndex(item => item.hour_utc_ms === hourUtcMs);
-  if (existingIndex >= 0) {
-    existingData[existingIndex] = newSnapshot;
-  } else {
-    existingData.push(newSnapshot);
+}
+
+function getWriteErrorCounts() {
+  return { ...writeErrors };
+}
+
+// Atomically replace a data file (temp file + rename), creating its directory.
+// Data files other than snapshots are written through this or appendDataFile,
+// so every failure is counted by kind.
+function writeDataFile(kind, filePath, content) {
+  return countingErrors(kind, async () => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await writeFileAtomic(filePath, content);
+  });
+}
+
+// Append to a log file, creating its directory
+function appendDataFile(kind, filePath, content) {
+  return countingErrors(kind, async () => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, content);
+  });
+}
+
+// Select the snapshot storage engine from config.storage.engine
+function configureStorage(config) {
+  const name = (config.storage && config.storage.engine) || 'json';
+  const engine = getStorageEngine(name);
+  if (!engine) {
+    throw new Error(`Unknown storage engine "${name}"`);
   }
-  
-  // Sort by hour_utc_ms ascending
-  existingData.sort((a, b) => a.hour_utc_ms - b.hour_utc_ms);
-  
-  // Write to temp file first
-  await fs.writeFile(tempPath, JSON.stringify(existingData));
-  
-  // Atomically rename to final file
-  await fs.rename(tempPath, filePath);
+  storage = engine;
 }
 
-function listMonthFiles(serviceId) {
-  // This is a simplified implementation - in reality this would walk the directory
-  // But for now we'll return a function that creates a placeholder
-  return async () => {
-    try {
-      const files = await fs.readdir(DATA_DIR);
-      return files.filter(file => file.startsWith(`${serviceId}-`) && file.endsWith('.json'));
-    } catch (err) {
-      return [];
-    }
-  };
+async function writeHourlySnapshot(serviceId, hourUtcMs, pingMs, extra = {}) {
+  // Optional fields (e.g. lag_blocks) are stored alongside ping_ms
+  await countingErrors('snapshot', () => storage.write(serviceId, {
+    hour_utc_ms: hourUtcMs,
+    ping_ms: pingMs,
+    ...extra
+  }));
+}
+
+// Month keys (YYYY-MM) with raw snapshots for a service, ascending
+function listSnapshotMonths(serviceId) {
+  return storage.listMonths(serviceId);
+}
+
+// Ids of every service with raw snapshots, configured or not
+function listSnapshotServices() {
+  return storage.listServices();
+}
+
+// Raw buckets are kept until the UTC day they belong to is entirely older than
+// retentionDays, so whole days can be compacted into rollups first
+function rawRetentionCutoffMs(retentionDays, nowUtcMs) {
+  return Math.floor((nowUtcMs - retentionDays * DAY_MS) / DAY_MS) * DAY_MS;
 }
 
 async function pruneRetention(retentionDays, nowUtcMs) {
-  const cutoffMs = nowUtcMs - (retentionDays * 24 * 60 * 60 * 1000);
-  
   try {
-    const files = await fs.readdir(DATA_DIR);
-    
-    for (const file of files) {
-      // Check if it's a service data file
-      if (file.match(/^[a-zA-Z0-9_-]+-\d{4}-\d{2}\.json$/)) {
-        const match = file.match(/(\d{4})-(\d{2})/);
-        if (match) {
-          const year = parseInt(match[1]);
-          const month = parseInt(match[2]);
-          
-          // Create a date at the end of the month
-          const endOfMonth = new Date(Date.UTC(year, month - 1, 1, 0, 0, 0, 0));
-          endOfMonth.setUTCMonth(endOfMonth.getUTCMonth() + 1);
-          endOfMonth.setUTCDate(0); // Last day of month
-          endOfMonth.setUTCHours(23, 59, 59, 999);
-          
-          // If end of month is before cutoff, delete the file
-          if (endOfMonth.getTime() < cutoffMs) {
-            const filePath = path.join(DATA_DIR, file);
-            await fs.unlink(filePath);
-          } else {
-            // File intersects with cutoff, so we need to rewrite it
-            // Read the file
-            const filePath = path.join(DATA_DIR, file);
-            const content = await fs.readFile(filePath, 'utf-8');
-            let data = [];
-            if (content.trim()) {
-              try {
-                data = JSON.parse(content);
-              } catch (err) {
-                // Invalid JSON, skip
-                continue;
-              }
-            }
-            
-            // Filter entries that are beyond cutoff
-            const filteredData = data.filter(entry => entry.hour_utc_ms >= cutoffMs);
-            
-            // If no data, delete the file; if data was filtered and original was not empty, rewrite
-            if (filteredData.length === 0) {
-              await fs.unlink(filePath);
-            } else if (filteredData.length !== data.length) {
-              // Rewrite with filtered data
-              const tempPath = makeTempPath(filePath);
-              await fs.writeFile(tempPath, JSON.stringify(filteredData));
-              await fs.rename(tempPath, filePath);
-            }
-          }
-        }
-      }
-    }
+    await storage.prune(rawRetentionCutoffMs(retentionDays, nowUtcMs));
   } catch (err) {
     // Silently fail if we can't clean up retention
     console.error('Error pruning retention:', err);
   }
 }
 
-// Read snapshots for specified services within a time range
+// Read a month file's entries, or [] when it doesn't exist or is invalid
+async function readMonthFile(filePath) {
+  try {
+    const fileContent = await fs.readFile(filePath, 'utf-8');
+    return fileContent.trim() ? JSON.parse(fileContent) : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+// Raw snapshots of one service for a month (YYYY-MM)
+function readSnapshotMonth(serviceId, monthKey) {
+  return storage.readMonth(serviceId, monthKey);
+}
+
+// Daily rollups of one service for a month (YYYY-MM)
+function readRollupMonth(serviceId, monthKey) {
+  return readMonthFile(path.join(ROLLUPS_DIR, `${serviceId}-${monthKey}.json`));
+}
+
+// Atomically write a month of daily rollups (temp file + rename)
+async function writeRollupMonth(serviceId, monthKey, rollups) {
+  await writeDataFile('rollup', path.join(ROLLUPS_DIR, `${serviceId}-${monthKey}.json`), JSON.stringify(rollups));
+}
+
+// Read snapshots for specified services within a time range. Days that only
+// survive as daily rollups are returned as one entry with bucket_ms of a day.
 async function readSnapshots(serviceIds, fromUtcMs, toUtcMs, limit) {
   const result = {};
   const { getMonthKeysBetween } = require('./time');
   const monthKeys = getMonthKeysBetween(fromUtcMs, toUtcMs);
+  // A rollup's day may start before fromUtcMs and still overlap the range
+  const rollupFromMs = Math.floor(fromUtcMs / DAY_MS) * DAY_MS;
   
   // Read snapshots for each service
   for (const serviceId of serviceIds) {
-    result[serviceId] = [];
+    result[serviceId] = await storage.readRange(serviceId, fromUtcMs, toUtcMs);
     
-    // Read from each relevant month file
+    // Fill days without raw buckets from the rollup tier
+    const rawDays = new Set(result[serviceId].map((entry) => Math.floor(entry.hour_utc_ms / DAY_MS) * DAY_MS));
     for (const monthKey of monthKeys) {
-      const filePath = path.join(DATA_DIR, `${serviceId}-${monthKey}.json`);
-      
-      try {
-        // Try to read the file
-        const fileContent = await fs.readFile(filePath, 'utf-8');
-        if (fileContent.trim()) {
-          const monthData = JSON.parse(fileContent);
-          
-          // Filter data within the requested time range
-          const filteredData = monthData.filter(entry =>
-            entry.hour_utc_ms >= fromUtcMs && entry.hour_utc_ms <= toUtcMs
-          );
-          
-          // Add to result
-          result[serviceId] = result[serviceId].concat(filteredData);
-        }
-      } catch (err) {
-        // File doesn't exist or is invalid, which is fine - just continue
-        continue;
-      }
+      const rollups = await readRollupMonth(serviceId, monthKey);
+      const filteredRollups = rollups.filter(entry =>
+        entry.hour_utc_ms >= rollupFromMs && entry.hour_utc_ms <= toUtcMs && !rawDays.has(entry.hour_utc_ms)
+      );
+      result[serviceId] = result[serviceId].concat(filteredRollups);
     }
     
     // Sort by hour_utc_ms ascending
@@ -174,58 +164,184 @@ async function readSnapshots(serviceIds, fromUtcMs, toUtcMs, limit) {
 }
 
 // Get the latest finalized snapshot for a single service
-async function getLatestSnapshot(serviceId, beforeUtcMs = Date.now()) {
-  const { getMonthKeysBetween } = require('./time');
-  
-  // Get the current and previous month keys
-  const now = new Date(beforeUtcMs);
-  const currentMonthKey = monthKeyFromUtcMs(beforeUtcMs);
-  
-  // Try to get previous month key
-  const prevMonth = new Date(now);
-  prevMonth.setUTCMonth(prevMonth.getUTCMonth() - 1);
-  const prevMonthKey = monthKeyFromUtcMs(prevMonth.getTime());
-  
-  // Try current month first
-  const monthKeys = [currentMonthKey];
-  if (prevMonthKey !== currentMonthKey) {
-    monthKeys.push(prevMonthKey);
+function getLatestSnapshot(serviceId, beforeUtcMs = Date.now()) {
+  return storage.latest(serviceId, beforeUtcMs);
+}
+
+// Read the persisted block height state used for stall detection
+async function readChainState() {
+  try {
+    const content = await fs.readFile(CHAIN_STATE_PATH, 'utf-8');
+    return content.trim() ? JSON.parse(content) : {};
+  } catch (err) {
+    // Missing or invalid state just means stall timers start fresh
+    return {};
   }
-  
-  // Check each month file in reverse order (most recent first)
-  for (const monthKey of monthKeys) {
-    const filePath = path.join(DATA_DIR, `${serviceId}-${monthKey}.json`);
-    
-    try {
-      const fileContent = await fs.readFile(filePath, 'utf-8');
-      if (fileContent.trim()) {
-        const monthData = JSON.parse(fileContent);
-        
-        // Filter data that is at or before the specified time
-        const filteredData = monthData.filter(entry => entry.hour_utc_ms <= beforeUtcMs);
-        
-        // Sort descending to get the latest entry first
-        filteredData.sort((a, b) => b.hour_utc_ms - a.hour_utc_ms);
-        
-        // Return the latest entry if found
-        if (filteredData.length > 0) {
-          return filteredData[0];
-        }
+}
+
+// Atomically write the block height state (temp file + rename)
+async function writeChainState(state) {
+  await writeDataFile('chain_state', CHAIN_STATE_PATH, JSON.stringify(state));
+}
+
+// Read the last accumulator checkpoint, or null
+async function readAccumulatorCheckpoint() {
+  try {
+    const content = await fs.readFile(ACCUMULATOR_CHECKPOINT_PATH, 'utf-8');
+    return content.trim() ? JSON.parse(content) : null;
+  } catch (err) {
+    // Missing or invalid checkpoint just means buckets start empty
+    return null;
+  }
+}
+
+// Atomically write an accumulator checkpoint (already serialized; temp file + rename)
+async function writeAccumulatorCheckpoint(content) {
+  await writeDataFile('checkpoint', ACCUMULATOR_CHECKPOINT_PATH, content);
+}
+
+// Read the incidents that started in a month (YYYY-MM)
+async function readIncidentMonth(monthKey) {
+  try {
+    const content = await fs.readFile(path.join(INCIDENTS_DIR, `${monthKey}.json`), 'utf-8');
+    return content.trim() ? JSON.parse(content) : [];
+  } catch (err) {
+    // File doesn't exist or is invalid, which is fine
+    return [];
+  }
+}
+
+// Atomically write a month of incidents (temp file + rename)
+async function writeIncidentMonth(monthKey, incidents) {
+  await writeDataFile('incidents', path.join(INCIDENTS_DIR, `${monthKey}.json`), JSON.stringify(incidents));
+}
+
+// Delete incident month files that ended before the retention cutoff
+async function pruneIncidents(retentionDays, nowUtcMs) {
+  const cutoffMs = nowUtcMs - (retentionDays * 24 * 60 * 60 * 1000);
+  try {
+    const files = await fs.readdir(INCIDENTS_DIR);
+    for (const file of files) {
+      const match = file.match(/^(\d{4})-(\d{2})\.json$/);
+      if (!match) continue;
+      // First instant of the following month
+      const endOfMonth = Date.UTC(parseInt(match[1]), parseInt(match[2]), 1);
+      if (endOfMonth < cutoffMs) {
+        await fs.unlink(path.join(INCIDENTS_DIR, file));
+      }
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('Error pruning incidents:', err);
+    }
+  }
+}
+
+// Delete rollups older than retentionDays (whole month files where possible)
+async function pruneRollups(retentionDays, nowUtcMs) {
+  const cutoffMs = nowUtcMs - (retentionDays * DAY_MS);
+  try {
+    const files = await fs.readdir(ROLLUPS_DIR);
+    for (const file of files) {
+      const match = file.match(/^(.+)-(\d{4})-(\d{2})\.json$/);
+      if (!match) continue;
+      const filePath = path.join(ROLLUPS_DIR, file);
+      // First instant of the following month
+      const endOfMonth = Date.UTC(parseInt(match[2]), parseInt(match[3]), 1);
+      if (endOfMonth <= cutoffMs) {
+        await fs.unlink(filePath);
+        continue;
+      }
+      const rollups = await readMonthFile(filePath);
+      const kept = rollups.filter((entry) => entry.hour_utc_ms >= cutoffMs);
+      if (kept.length === 0) {
+        await fs.unlink(filePath);
+      } else if (kept.length !== rollups.length) {
+        await writeRollupMonth(match[1], `${match[2]}-${match[3]}`, kept);
       }
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('Error pruning rollups:', err);
+    }
+  }
+}
+
+// Append one notification delivery attempt to the NDJSON delivery log
+async function appendDeliveryLog(entry) {
+  await appendDataFile('delivery_log', DELIVERY_LOG_PATH, JSON.stringify(entry) + '\n');
+}
+
+// Append one admin API change to the NDJSON audit log
+async function appendAuditLog(entry) {
+  await appendDataFile('audit_log', AUDIT_LOG_PATH, JSON.stringify(entry) + '\n');
+}
+
+// Read the last `limit` audit log entries, oldest first. A line torn by a crash
+// mid-append is skipped.
+async function readAuditLog(limit) {
+  let content;
+  try {
+    content = await fs.readFile(AUDIT_LOG_PATH, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const entries = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
     } catch (err) {
-      // File doesn't exist or is invalid, which is fine - just continue
-      continue;
+      // Ignore the damaged line
     }
   }
-  
-  // No snapshots found
-  return null;
+  return entries.slice(-limit);
+}
+
+// Read the maintenance windows created through the API
+async function readMaintenanceWindows() {
+  try {
+    const content = await fs.readFile(MAINTENANCE_PATH, 'utf-8');
+    return content.trim() ? JSON.parse(content) : [];
+  } catch (err) {
+    // File doesn't exist or is invalid, which is fine
+    return [];
+  }
+}
+
+// Atomically write the API-created maintenance windows (temp file + rename)
+async function writeMaintenanceWindows(windows) {
+  await writeDataFile('maintenance', MAINTENANCE_PATH, JSON.stringify(windows));
 }
 
 module.exports = {
+  DATA_DIR,
+  ROLLUPS_DIR,
+  QUARANTINE_DIR,
+  configureStorage,
+  getWriteErrorCounts,
   writeHourlySnapshot,
+  rawRetentionCutoffMs,
   pruneRetention,
-  listMonthFiles,
+  listSnapshotMonths,
+  listSnapshotServices,
   readSnapshots,
-  getLatestSnapshot
+  readSnapshotMonth,
+  readRollupMonth,
+  writeRollupMonth,
+  pruneRollups,
+  getLatestSnapshot,
+  readChainState,
+  writeChainState,
+  readAccumulatorCheckpoint,
+  writeAccumulatorCheckpoint,
+  readIncidentMonth,
+  writeIncidentMonth,
+  pruneIncidents,
+  appendDeliveryLog,
+  appendAuditLog,
+  readAuditLog,
+  readMaintenanceWindows,
+  writeMaintenanceWindows
 };
\ No newline at end of file
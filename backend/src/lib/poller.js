@@ -1,97 +1,101 @@
-// Poller that performs periodic HTTP(S) checks, measuring latency and success/failure.
-const https = require('https');
-const http = require('http');
-const { hourBucketUtcMs } = require('./time');
-
-function createHttpAgent() {
-  const httpAgent = new http.Agent({ keepAlive: true });
-  const httpsAgent = new https.Agent({ keepAlive: true });
-  return { httpAgent, httpsAgent };
-}
-
-const { httpAgent, httpsAgent } = createHttpAgent();
+// Poller that performs periodic checks (HTTP(S), TCP, PIVX P2P, DNS), measuring latency and success/failure.
+const { recordHeight, getLag } = require('./consensus');
+const { getCheck } = require('./checks');
 
+// Services are read from config.services on every poll, so a reloaded config
+// (same object, updated in place) takes effect from the next poll. Returns
+// { stop, update }; update(diff) polls added services right away and picks up
+// a changed poll_interval_ms.
 function startPoller(config, accumulator) {
   let intervalId;
+  let intervalMs = config.poll_interval_ms;
   
-  function performPoll() {
-    const nowMs = Date.now();
+  function pollService(service, nowMs) {
+    let attempt = 0;
     
-    // Process each service
-    for (const service of config.services) {
-      let attempt = 0;
+    // Retry logic
+    const runAttempt = () => {
+      attempt++;
       
-      // Retry logic
-      const runAttempt = () => {
-        attempt++;
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), service.timeout_ms);
-        
-        const startTime = Date.now();
-        
-        const protocol = service.url.startsWith('https') ? https : http;
-        const agent = service.url.startsWith('https') ? httpsAgent : httpAgent;
-        
-        const options = {
-          method: 'GET',
-          timeout: service.timeout_ms,
-          agent: agent,
-          signal: controller.signal
-        };
+      const runCheck = getCheck(service.type);
+      if (!runCheck) {
+        accumulator.recordSample(service.id, nowMs, false, null, `unknown check type "${service.type}"`);
+        return;
+      }
+      
+      // A check that throws or rejects (it shouldn't, see checks/index.js)
+      // counts as a failed sample rather than taking the monitor down
+      Promise.resolve()
+        .then(() => runCheck(service, nowMs))
+        .catch((err) => ({ ok: false, reason: `check error: ${err.code || err.message}` }))
+        .then((result) => {
+          let ok = result.ok;
+          let reason = result.reason || null;
+          let details = result.details || {};
         
-        const req = protocol.request(service.url, options, (res) => {
-          clearTimeout(timeoutId);
-          
-          // Collect response data to ensure we get the 'end' event
-          res.on('data', () => {}); // Consume data
-          
-          res.on('end', () => {
-            const latency = Date.now() - startTime;
-            if (res.statusCode >= 200 && res.statusCode < 300) {
-              // Success
-              accumulator.recordSample(service.id, nowMs, true, latency);
+          // Block height providers also report how far they lag their peer group
+          if (ok && service.block_height) {
+            if (typeof details.block_height !== 'number') {
+              ok = false;
+              reason = 'block height unavailable';
             } else {
-              // Non-success status code
-              accumulator.recordSample(service.id, nowMs, false, null);
+              recordHeight(service.id, service.block_height.peer_group, details.block_height, nowMs);
+              details = { ...details, lag_blocks: getLag(service.id, nowMs) };
             }
-          });
-        });
-        
-        req.on('error', (err) => {
-          clearTimeout(timeoutId);
-          accumulator.recordSample(service.id, nowMs, false, null);
-          if (attempt <= service.retries && attempt <= 3) { // Limit retries to prevent infinite loops
-            setTimeout(runAttempt, 100);
           }
-        });
         
-        req.on('timeout', () => {
-          req.destroy();
-          clearTimeout(timeoutId);
-          accumulator.recordSample(service.id, nowMs, false, null);
-          if (attempt <= service.retries && attempt <= 3) { // Limit retries to prevent infinite loops
+          accumulator.recordSample(service.id, nowMs, ok, ok ? result.latency_ms : null, reason, details);
+        
+          // Only connection-level failures (errors, timeouts) are worth retrying
+          if (!ok && result.retryable && attempt <= service.retries && attempt <= 3) { // Limit retries to prevent infinite loops
             setTimeout(runAttempt, 100);
           }
+        })
+        .catch((err) => {
+          console.error(`Error recording check for ${service.id}:`, err);
         });
-        
-        req.end();
-      };
-      
-      // Start first attempt
-      runAttempt();
+    };
+    
+    // Start first attempt
+    runAttempt();
+  }
+  
+  function performPoll() {
+    const nowMs = Date.now();
+    
+    // Process each service; paused ones are skipped and their buckets stay empty
+    for (const service of config.services) {
+      if (service.paused) continue;
+      pollService(service, nowMs);
     }
   }
   
   // Run immediately and then at intervals
   performPoll();
-  intervalId = setInterval(performPoll, config.poll_interval_ms);
+  intervalId = setInterval(performPoll, intervalMs);
   
-  // Return stop function
-  return function stop() {
+  function update(diff) {
+    if (config.poll_interval_ms !== intervalMs) {
+      intervalMs = config.poll_interval_ms;
+      clearInterval(intervalId);
+      intervalId = setInterval(performPoll, intervalMs);
+    }
+    // New services don't wait for the next poll
+    const nowMs = Date.now();
+    for (const service of config.services) {
+      if (diff.added.includes(service.id) && !service.paused) {
+        pollService(service, nowMs);
+      }
+    }
+  }
+  
+  function stop() {
     clearInterval(intervalId);
-  };
+  }
+  
+  return { stop, update };
 }
 
 module.exports = {
   startPoller
-};
\ No newline at end of file
+};
@@ -0,0 +1,130 @@
+// Tiered retention: raw buckets are kept for retention_days, then compacted
+// into one daily rollup per service and UTC day, kept for
+// rollup_retention_days. Compaction runs from the scheduler before pruning.
+const { getMonthKeysBetween, monthKeyFromUtcMs } = require('./time');
+const {
+  listSnapshotMonths,
+  listSnapshotServices,
+  readSnapshotMonth,
+  readRollupMonth,
+  writeRollupMonth,
+  rawRetentionCutoffMs
+} = require('./persistence');
+const { weightedMedian } = require('./stats');
+const { bucketUpRatio } = require('./uptime');
+const { readIncidents } = require('./incidents');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BUCKET_MS = process.env.PULSE_DEBUG_MINUTE_BUCKETS === '1' ? 60000 : 3600000;
+
+// Merge one UTC day of raw buckets into a rollup entry. Latency percentiles are
+// taken over the buckets' own values: p50 is the median of bucket medians,
+// weighted by their successful checks, and p95/p99 the highest bucket p95/p99,
+// so they never understate the tail.
+function buildDailyRollup(dayUtcMs, buckets, incidentCount) {
+  const monitored = buckets.filter((b) => !b.maintenance);
+  const ratios = monitored.map(bucketUpRatio).filter((r) => r !== null);
+  const medians = monitored.filter((b) => b.ping_ms > 0)
+    .map((b) => [b.p50_ms ?? b.ping_ms, typeof b.samples_ok === 'number' ? b.samples_ok : 1]);
+
+  const rollup = {
+    hour_utc_ms: dayUtcMs,
+    bucket_ms: DAY_MS,
+    buckets: buckets.length,
+    ping_ms: weightedMedian(medians) ?? 0,
+    success_ratio: ratios.length > 0
+      ? Math.round((ratios.reduce((sum, r) => sum + r, 0) / ratios.length) * 10000) / 10000
+      : 0,
+    // Time covered by monitored and maintenance buckets, so uptime stays time-weighted
+    monitored_ms: ratios.length * BUCKET_MS,
+    maintenance_ms: (buckets.length - monitored.length) * BUCKET_MS,
+    incidents: incidentCount
+  };
+
+  const sums = { samples_total: 0, samples_ok: 0, samples_maintenance: 0 };
+  const failureReasons = {};
+  for (const bucket of buckets) {
+    for (const key of Object.keys(sums)) {
+      if (typeof bucket[key] === 'number') sums[key] += bucket[key];
+    }
+    for (const [reason, count] of Object.entries(bucket.failure_reasons || {})) {
+      failureReasons[reason] = (failureReasons[reason] || 0) + count;
+    }
+    if (typeof bucket.min_ms === 'number') rollup.min_ms = Math.min(rollup.min_ms ?? Infinity, bucket.min_ms);
+    if (typeof bucket.max_ms === 'number') rollup.max_ms = Math.max(rollup.max_ms ?? 0, bucket.max_ms);
+    if (typeof bucket.p95_ms === 'number') rollup.p95_ms = Math.max(rollup.p95_ms ?? 0, bucket.p95_ms);
+    if (typeof bucket.p99_ms === 'number') rollup.p99_ms = Math.max(rollup.p99_ms ?? 0, bucket.p99_ms);
+    if (typeof bucket.lag_blocks === 'number') rollup.lag_blocks = Math.max(rollup.lag_blocks ?? 0, bucket.lag_blocks);
+  }
+  if (medians.length > 0) {
+    rollup.p50_ms = rollup.ping_ms;
+  }
+  if (buckets.some((b) => typeof b.samples_total === 'number')) {
+    rollup.samples_total = sums.samples_total;
+    rollup.samples_ok = sums.samples_ok;
+  }
+  if (sums.samples_maintenance > 0) {
+    rollup.samples_maintenance = sums.samples_maintenance;
+    rollup.maintenance = monitored.length <= buckets.length - monitored.length;
+  }
+  if (Object.keys(failureReasons).length > 0) {
+    rollup.failure_reasons = failureReasons;
+  }
+  // A day the monitor never ran (only no-data buckets) stays unknown
+  if (ratios.length === 0 && monitored.length === buckets.length) {
+    rollup.no_data = true;
+  }
+  return rollup;
+}
+
+// Roll up every whole UTC day of raw buckets that pruneRetention is about to
+// delete. That covers every stored service, including ones since removed from
+// services.json, as pruning does. Existing rollups for the same day are
+// replaced, so re-running is safe.
+async function compactRollups(retentionDays, nowUtcMs) {
+  const cutoffMs = rawRetentionCutoffMs(retentionDays, nowUtcMs);
+
+  for (const serviceId of await listSnapshotServices()) {
+    const monthKeys = (await listSnapshotMonths(serviceId))
+      .filter((key) => Date.UTC(+key.slice(0, 4), +key.slice(5) - 1, 1) < cutoffMs);
+    if (monthKeys.length === 0) continue;
+
+    // Group expiring raw buckets by UTC day
+    const days = new Map();
+    for (const monthKey of monthKeys) {
+      for (const bucket of await readSnapshotMonth(serviceId, monthKey)) {
+        if (bucket.hour_utc_ms >= cutoffMs) continue;
+        const day = Math.floor(bucket.hour_utc_ms / DAY_MS) * DAY_MS;
+        if (!days.has(day)) days.set(day, []);
+        days.get(day).push(bucket);
+      }
+    }
+    if (days.size === 0) continue;
+
+    const firstDay = Math.min(...days.keys());
+    const incidents = await readIncidents([serviceId], firstDay, cutoffMs, nowUtcMs);
+
+    // Upsert the new rollups month by month
+    for (const monthKey of getMonthKeysBetween(firstDay, cutoffMs - 1)) {
+      const rollups = (await readRollupMonth(serviceId, monthKey))
+        .filter((r) => !days.has(r.hour_utc_ms));
+      let added = 0;
+      for (const [day, buckets] of days) {
+        if (monthKeyFromUtcMs(day) !== monthKey) continue;
+        const incidentCount = incidents.filter((i) => i.start_utc_ms >= day && i.start_utc_ms < day + DAY_MS).length;
+        rollups.push(buildDailyRollup(day, buckets, incidentCount));
+        added++;
+      }
+      if (added > 0) {
+        rollups.sort((a, b) => a.hour_utc_ms - b.hour_utc_ms);
+        await writeRollupMonth(serviceId, monthKey, rollups);
+      }
+    }
+    console.log(`Compacted ${days.size} day(s) of ${serviceId} into daily rollups`);
+  }
+}
+
+module.exports = {
+  buildDailyRollup,
+  compactRollups
+};
@@ -0,0 +1,302 @@
+// Alert rules engine: the single place that decides whether a service is up,
+// degraded or down. Every check result is evaluated against declarative rules
+// (per service or tag), with debounce, flap suppression and reminders.
+// /api/health, incident tracking and notifications all read from here; the
+// events it publishes are listed in events.js.
+const events = require('./events');
+const { matchesService } = require('./config');
+const { percentile } = require('./stats');
+const { getStall } = require('./consensus');
+
+// Used when services.json defines no alert_rules; mirrors the historical
+// "last five checks failed means down" behaviour. The block height rules only
+// fire for services with block_height configured.
+const DEFAULT_RULES = [
+  { id: 'consecutive-failures', type: 'consecutive_failures', count: 5, severity: 'down' },
+  { id: 'block-stall', type: 'block_stall', severity: 'down' },
+  { id: 'block-lag', type: 'block_lag', severity: 'degraded' }
+];
+
+const SEVERITY_RANK = { up: 0, degraded: 1, down: 2 };
+
+// Samples kept per service regardless of rule windows
+const MIN_HISTORY_SAMPLES = 100;
+
+let rules = DEFAULT_RULES;
+let alerting = { recovery_successes: 1, reminder_ms: 3600000, flap_window_ms: 3600000, flap_max_transitions: 4 };
+let servicesById = new Map();
+let historyMs = 0;
+
+// Per-service state:
+// {
+//   [serviceId]: {
+//     history: [{ t, ok, latency, lag }], // lag: blocks behind the peer group, or null
+//     state: 'up' | 'degraded' | 'down',
+//     since_ms: number | null,
+//     rule: string | null,           // rule that put the service in its current state
+//     rule_type: string | null,      // and its type
+//     reason: string | null,         // latest failure reason while not up
+//     consecutive_ok: number,
+//     first_failure_ms: number | null,
+//     condition_since: { [ruleId]: number }, // when each rule's raw condition became true
+//     transitions: number[],         // transition timestamps inside the flap window
+//     flapping: boolean,
+//     last_notice_ms: number | null
+//   }
+// }
+const state = {};
+
+function configureRules(config) {
+  rules = (config.alert_rules && config.alert_rules.length > 0 ? config.alert_rules : DEFAULT_RULES)
+    .map((rule, index) => ({ id: rule.id || `${rule.type}-${index}`, severity: 'down', for_ms: 0, ...rule }));
+  alerting = { ...alerting, ...(config.alerting || {}) };
+  servicesById = new Map((config.services || []).map((s) => [s.id, s]));
+  historyMs = Math.max(0, ...rules.map((r) => (r.window_ms || 0) + (r.for_ms || 0)));
+}
+
+function getState(serviceId) {
+  if (!state[serviceId]) {
+    state[serviceId] = {
+      history: [],
+      state: 'up',
+      since_ms: null,
+      rule: null,
+      rule_type: null,
+      reason: null,
+      consecutive_ok: 0,
+      first_failure_ms: null,
+      condition_since: {},
+      transitions: [],
+      flapping: false,
+      last_notice_ms: null
+    };
+  }
+  return state[serviceId];
+}
+
+// Raw rule condition against the sample history (before for_ms debounce).
+// Returns false, or true / a reason string when the condition holds; rules
+// that fire on passing checks (block height) describe why.
+function evaluateCondition(rule, service, history, nowMs) {
+  switch (rule.type) {
+    case 'consecutive_failures': {
+      let failures = 0;
+      for (let i = history.length - 1; i >= 0 && !history[i].ok; i--) failures++;
+      return failures >= (rule.count || 5);
+    }
+
+    case 'failure_ratio': {
+      const windowStart = nowMs - (rule.window_ms || 600000);
+      const recent = history.filter((h) => h.t >= windowStart);
+      if (recent.length < (rule.min_samples || 3)) return false;
+      const failed = recent.filter((h) => !h.ok).length;
+      return failed / recent.length >= rule.ratio;
+    }
+
+    case 'latency_p95': {
+      const windowStart = nowMs - (rule.window_ms || 300000);
+      const latencies = history
+        .filter((h) => h.t >= windowStart && h.ok)
+        .map((h) => h.latency)
+        .sort((a, b) => a - b);
+      if (latencies.length < (rule.min_samples || 3)) return false;
+      return percentile(latencies, 95) > rule.threshold_ms;
+    }
+
+    case 'block_lag': {
+      // Latest reported lag; a failed check reports none and keeps the previous one
+      if (!service.block_height) return false;
+      for (let i = history.length - 1; i >= 0; i--) {
+        if (history[i].lag === null) continue;
+        return history[i].lag > service.block_height.max_lag_blocks && `${history[i].lag} blocks behind peer group`;
+      }
+      return false;
+    }
+
+    case 'block_stall': {
+      if (!service.block_height) return false;
+      const stall = getStall(service.id, service.block_height.stall_after_ms, nowMs);
+      if (!stall || !stall.stalled) return false;
+      return `block height ${stall.height} unchanged for ${Math.round(stall.unchanged_ms / 60000)} min`;
+    }
+
+    default:
+      return false;
+  }
+}
+
+function emitTransition(serviceId, s, to, nowMs, rule, ruleType, reason) {
+  const from = s.state;
+  const previousSince = s.since_ms;
+
+  s.transitions.push(nowMs);
+  s.transitions = s.transitions.filter((t) => t >= nowMs - alerting.flap_window_ms);
+
+  s.state = to;
+  s.since_ms = nowMs;
+  s.rule = rule;
+  s.rule_type = ruleType;
+  s.reason = to === 'up' ? null : reason;
+  s.last_notice_ms = nowMs;
+
+  // Flapping: too many transitions inside the window suppresses notifications
+  if (!s.flapping && s.transitions.length > alerting.flap_max_transitions) {
+    s.flapping = true;
+    events.emit('flapping', {
+      service_id: serviceId,
+      flapping: true,
+      state: to,
+      at_utc_ms: nowMs,
+      transitions: s.transitions.length
+    });
+  }
+
+  events.emit('transition', {
+    service_id: serviceId,
+    from,
+    to,
+    at_utc_ms: nowMs,
+    // A failure run that ended in "down" started at its first failed check
+    started_utc_ms: to === 'down' && s.first_failure_ms !== null ? s.first_failure_ms : nowMs,
+    reason: s.reason,
+    rule,
+    duration_ms: previousSince !== null ? nowMs - previousSince : null,
+    suppressed: s.flapping
+  });
+}
+
+// Feed one check result into the engine and re-evaluate the service's state
+function observeSample(serviceId, timestampMs, ok, latencyMs, reason, details) {
+  const s = getState(serviceId);
+  const service = servicesById.get(serviceId) || { id: serviceId, tags: [] };
+
+  events.emit('check', {
+    service_id: serviceId,
+    at_utc_ms: timestampMs,
+    ok,
+    latency_ms: ok ? latencyMs : null,
+    reason: ok ? null : (reason || 'unknown'),
+    details: details || null
+  });
+
+  if (s.since_ms === null) {
+    s.since_ms = timestampMs; // up since the first check
+  }
+
+  const lag = details && typeof details.lag_blocks === 'number' ? details.lag_blocks : null;
+  s.history.push({ t: timestampMs, ok, latency: latencyMs, lag });
+  const cutoff = timestampMs - historyMs;
+  while (s.history.length > MIN_HISTORY_SAMPLES && s.history[0].t < cutoff) {
+    s.history.shift();
+  }
+
+  if (ok) {
+    s.consecutive_ok++;
+    s.first_failure_ms = null;
+  } else {
+    s.consecutive_ok = 0;
+    if (s.first_failure_ms === null) s.first_failure_ms = timestampMs;
+    if (s.state !== 'up') s.reason = reason || 'unknown';
+  }
+
+  // Worst severity among rules whose condition has held for their for_ms
+  let target = 'up';
+  let targetRule = null;
+  let targetReason = null;
+  for (const rule of rules) {
+    if (!matchesService(rule, service)) continue;
+    const condition = evaluateCondition(rule, service, s.history, timestampMs);
+    if (condition) {
+      if (s.condition_since[rule.id] === undefined) {
+        s.condition_since[rule.id] = timestampMs;
+      }
+      const held = timestampMs - s.condition_since[rule.id] >= rule.for_ms;
+      if (held && SEVERITY_RANK[rule.severity] > SEVERITY_RANK[target]) {
+        target = rule.severity;
+        targetRule = rule;
+        targetReason = typeof condition === 'string' ? condition : null;
+      }
+    } else {
+      delete s.condition_since[rule.id];
+    }
+  }
+
+  const failureReason = ok ? null : (reason || 'unknown');
+  const ruleId = targetRule ? targetRule.id : null;
+  const ruleType = targetRule ? targetRule.type : null;
+  if (SEVERITY_RANK[target] > SEVERITY_RANK[s.state]) {
+    emitTransition(serviceId, s, target, timestampMs, ruleId, ruleType, targetReason || failureReason || s.reason);
+  } else if (SEVERITY_RANK[target] < SEVERITY_RANK[s.state] && s.consecutive_ok >= alerting.recovery_successes) {
+    // Recovery is debounced by recovery_successes consecutive passing checks
+    emitTransition(serviceId, s, target, timestampMs, ruleId, ruleType, targetReason);
+  } else if (target === s.state && target !== 'up' && targetReason) {
+    // Keep the block height reason current (e.g. minutes unchanged)
+    s.reason = targetReason;
+  }
+
+  // Flapping ends once the transition count inside the window settles down
+  s.transitions = s.transitions.filter((t) => t >= timestampMs - alerting.flap_window_ms);
+  if (s.flapping && s.transitions.length <= alerting.flap_max_transitions / 2) {
+    s.flapping = false;
+    s.last_notice_ms = timestampMs;
+    events.emit('flapping', {
+      service_id: serviceId,
+      flapping: false,
+      state: s.state,
+      at_utc_ms: timestampMs,
+      transitions: s.transitions.length
+    });
+  }
+
+  // Reminders while a service stays down
+  if (s.state === 'down' && !s.flapping && alerting.reminder_ms &&
+      s.last_notice_ms !== null && timestampMs - s.last_notice_ms >= alerting.reminder_ms) {
+    s.last_notice_ms = timestampMs;
+    events.emit('reminder', {
+      service_id: serviceId,
+      state: s.state,
+      since_utc_ms: s.since_ms,
+      at_utc_ms: timestampMs,
+      reason: s.reason,
+      rule: s.rule
+    });
+  }
+}
+
+// Mark a service as already down (e.g. an incident left open by a previous run)
+function restoreState(serviceId, stateName, sinceMs) {
+  const s = getState(serviceId);
+  s.state = stateName;
+  s.since_ms = sinceMs;
+  s.last_notice_ms = Date.now();
+}
+
+// Drop the state of a service that is no longer polled (paused or removed),
+// so it starts over as a new service if it comes back
+function forgetServiceState(serviceId) {
+  delete state[serviceId];
+}
+
+// Current evaluated state for a service; state is null before its first check
+function getServiceState(serviceId) {
+  const s = state[serviceId];
+  if (!s) {
+    return { state: null, since_utc_ms: null, rule: null, rule_type: null, reason: null, flapping: false };
+  }
+  return {
+    state: s.state,
+    since_utc_ms: s.since_ms,
+    rule: s.rule,
+    rule_type: s.rule_type,
+    reason: s.reason,
+    flapping: s.flapping
+  };
+}
+
+module.exports = {
+  configureRules,
+  observeSample,
+  restoreState,
+  forgetServiceState,
+  getServiceState
+};
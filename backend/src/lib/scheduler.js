@@ -1,15 +1,61 @@
 // Scheduler that aligns to UTC hour boundaries and triggers snapshotting.
+// Boundaries missed while the process was down (or its timers were delayed,
+// e.g. a suspended host) are passed along with the next one so they can be
+// backfilled.
 const { startOfNextUtcHourMs, hourBucketUtcMs } = require('./time');
 
 const USE_MINUTE_BUCKETS = process.env.PULSE_DEBUG_MINUTE_BUCKETS === '1';
 const BUCKET_SIZE_MS = USE_MINUTE_BUCKETS ? 60000 : 3600000;
+// Most missed buckets reported at once (a week of hours); older gaps stay empty
+const MAX_BACKFILL_BUCKETS = 168;
 
-function startScheduler(onHour) {
+// Last successful rollover, for /metrics: { completed_bucket_utc_ms, at_utc_ms }
+let lastRollover = null;
+
+// Completed buckets after lastEmitted and before completedHour, oldest first
+function missedBuckets(lastEmitted, completedHour) {
+  if (lastEmitted === null) {
+    return [];
+  }
+  const first = Math.max(lastEmitted + BUCKET_SIZE_MS, completedHour - MAX_BACKFILL_BUCKETS * BUCKET_SIZE_MS);
+  const missed = [];
+  for (let t = first; t < completedHour; t += BUCKET_SIZE_MS) {
+    missed.push(t);
+  }
+  return missed;
+}
+
+// onHour(completedHour, missed) runs once per boundary; missed lists earlier
+// buckets that never got their own call. lastCompletedMs is the last bucket
+// written by a previous run: when buckets completed since, onHour runs right
+// away for them instead of waiting for the next boundary.
+function startScheduler(onHour, lastCompletedMs = null) {
   let timeoutId;
-  let lastEmitted = null;
+  let lastEmitted = lastCompletedMs;
   let runningBoundary = null;
+  let stopped = false;
+
+  function emit(completedHour) {
+    runningBoundary = completedHour;
+
+    return Promise.resolve()
+      .then(() => onHour(completedHour, missedBuckets(lastEmitted, completedHour)))
+      .then(() => {
+        lastRollover = { completed_bucket_utc_ms: completedHour, at_utc_ms: Date.now() };
+      })
+      .catch((err) => {
+        console.error('Error in onHour callback:', err);
+      })
+      .finally(() => {
+        lastEmitted = completedHour;
+        runningBoundary = null;
+      });
+  }
 
   function scheduleNext() {
+    if (stopped) {
+      return;
+    }
     const now = Date.now();
     const nextBoundary = startOfNextUtcHourMs(now);
     const delay = Math.max(0, nextBoundary - now);
@@ -20,8 +66,9 @@ function startScheduler(onHour) {
     }
 
     timeoutId = setTimeout(() => {
-      // The completed period is the boundary minus the bucket size (hour or minute)
-      const completedHour = nextBoundary - BUCKET_SIZE_MS;
+      // The completed period is the boundary minus the bucket size (hour or minute),
+      // or a later one when the timer fired late
+      const completedHour = Math.max(nextBoundary, hourBucketUtcMs(Date.now())) - BUCKET_SIZE_MS;
 
       // Guard against double-firing for the same boundary
       if (completedHour === lastEmitted || completedHour === runningBoundary) {
@@ -29,31 +76,32 @@ function startScheduler(onHour) {
         return;
       }
 
-      runningBoundary = completedHour;
-
-      Promise.resolve(onHour(completedHour))
-        .catch((err) => {
-          console.error('Error in onHour callback:', err);
-        })
-        .finally(() => {
-          lastEmitted = completedHour;
-          runningBoundary = null;
-          scheduleNext();
-        });
+      emit(completedHour).then(scheduleNext);
     }, delay);
   }
 
-  // Start the scheduler
-  scheduleNext();
+  // Catch up on buckets completed since the previous run, then start the scheduler
+  const lastCompletedBucket = hourBucketUtcMs(Date.now()) - BUCKET_SIZE_MS;
+  if (lastEmitted !== null && lastEmitted < lastCompletedBucket) {
+    emit(lastCompletedBucket).then(scheduleNext);
+  } else {
+    scheduleNext();
+  }
 
   // Return stop function
   return function stop() {
+    stopped = true;
     if (timeoutId) {
       clearTimeout(timeoutId);
     }
   };
 }
 
+function getLastRollover() {
+  return lastRollover;
+}
+
 module.exports = {
-  startScheduler
+  startScheduler,
+  getLastRollover
 };
\ No newline at end of file
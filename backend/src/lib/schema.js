@@ -0,0 +1,155 @@
+// Minimal JSON Schema validator for config/schema.json. Supports the keywords
+// that schema uses: type, enum, const, properties, required,
+// additionalProperties, items, minItems, minLength, minimum, maximum,
+// exclusiveMinimum, pattern, format (uri), allOf, oneOf and if/then/else.
+// Errors are { path, message } with JSON paths like $.services[2].timeout_ms.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+function childPath(path, key) {
+  return typeof key === 'number'
+    ? `${path}[${key}]`
+    : /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+// Levenshtein distance, for "did you mean" hints on unknown properties
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+function suggest(name, candidates) {
+  let best = null;
+  for (const candidate of candidates) {
+    const distance = editDistance(name, candidate);
+    if (distance <= Math.max(2, Math.floor(candidate.length / 4)) && (!best || distance < best.distance)) {
+      best = { candidate, distance };
+    }
+  }
+  return best ? `; did you mean "${best.candidate}"?` : '';
+}
+
+function isValidUri(value) {
+  try {
+    new URL(value);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function validate(schema, value, path, errors) {
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push({ path, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` });
+      // Further keywords would only repeat the type mismatch
+      return;
+    }
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match ${schema.pattern}` });
+    }
+    if (schema.format === 'uri' && !isValidUri(value)) {
+      errors.push({ path, message: `must be an absolute URL, got ${JSON.stringify(value)}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be at least ${schema.minimum}, got ${value}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ path, message: `must be greater than ${schema.exclusiveMinimum}, got ${value}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be at most ${schema.maximum}, got ${value}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validate(schema.items, item, childPath(path, index), errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path, message: `missing required property "${key}"` });
+      }
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        validate(properties[key], child, childPath(path, key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath(path, key), message: `unknown property${suggest(key, Object.keys(properties))}` });
+      } else if (typeOf(schema.additionalProperties) === 'object') {
+        validate(schema.additionalProperties, child, childPath(path, key), errors);
+      }
+    }
+  }
+
+  for (const sub of schema.allOf || []) {
+    validate(sub, value, path, errors);
+  }
+  if (schema.oneOf) {
+    const matching = schema.oneOf.filter((sub) => validateSchema(sub, value).length === 0).length;
+    if (matching !== 1) {
+      const options = schema.oneOf
+        .map((sub) => (sub.required ? sub.required.join(' + ') : 'a variant'))
+        .join(' or ');
+      errors.push({ path, message: `must have exactly one of: ${options}` });
+    }
+  }
+  if (schema.if) {
+    const branch = validateSchema(schema.if, value).length === 0 ? schema.then : schema.else;
+    if (branch) {
+      validate(branch, value, path, errors);
+    }
+  }
+}
+
+function validateSchema(schema, value, path = '$') {
+  const errors = [];
+  validate(schema, value, path, errors);
+  return errors;
+}
+
+module.exports = {
+  validateSchema
+};
@@ -0,0 +1,75 @@
+// Per-bucket statistics derived from accumulator data before it is persisted.
+
+// Percentile (0-100) of an ascending-sorted array using linear interpolation,
+// so the 50th percentile matches the usual median (mean of the two middle values).
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  const value = sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+  return Math.round(value);
+}
+
+function median(values) {
+  return percentile([...values].sort((a, b) => a - b), 50);
+}
+
+// Median of [value, weight] pairs, e.g. bucket medians weighted by the
+// successful checks behind them. With equal weights it matches median().
+function weightedMedian(pairs) {
+  const sorted = pairs.filter(([, weight]) => weight > 0).sort((a, b) => a[0] - b[0]);
+  if (sorted.length === 0) return null;
+  const half = sorted.reduce((sum, [, weight]) => sum + weight, 0) / 2;
+  let cumulative = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    cumulative += sorted[i][1];
+    if (cumulative > half) return Math.round(sorted[i][0]);
+    if (cumulative === half) return Math.round((sorted[i][0] + sorted[i + 1][0]) / 2);
+  }
+  return null;
+}
+
+// Summarize one bucket of accumulator data into the stored snapshot fields.
+// Latency fields are omitted when there were no successful samples, and
+// maintenance fields when no poll fell in a maintenance window.
+function summarizeBucket(data) {
+  const samplesTotal = data.samples_total || 0;
+  const samplesOk = data.samples_ok || 0;
+  const latencies = [...(data.success_latencies || [])].sort((a, b) => a - b);
+
+  const summary = {
+    ping_ms: samplesOk > 0 ? percentile(latencies, 50) : 0,
+    samples_total: samplesTotal,
+    samples_ok: samplesOk,
+    success_ratio: samplesTotal > 0 ? Math.round((samplesOk / samplesTotal) * 10000) / 10000 : 0
+  };
+
+  if (latencies.length > 0) {
+    summary.min_ms = latencies[0];
+    summary.max_ms = latencies[latencies.length - 1];
+    summary.p50_ms = percentile(latencies, 50);
+    summary.p95_ms = percentile(latencies, 95);
+    summary.p99_ms = percentile(latencies, 99);
+  }
+
+  if (data.failure_reasons && Object.keys(data.failure_reasons).length > 0) {
+    summary.failure_reasons = { ...data.failure_reasons };
+  }
+
+  // Polls inside maintenance windows are kept out of the counts above. A bucket
+  // where they are the majority is shown as maintenance rather than up/down.
+  if (data.samples_maintenance > 0) {
+    summary.samples_maintenance = data.samples_maintenance;
+    summary.maintenance = data.samples_maintenance >= samplesTotal;
+  }
+
+  return summary;
+}
+
+module.exports = {
+  percentile,
+  median,
+  weightedMedian,
+  summarizeBucket
+};
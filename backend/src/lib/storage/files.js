@@ -0,0 +1,18 @@
+// File helpers shared by the persistence layer and the storage engines.
+const fs = require('fs/promises');
+
+function makeTempPath(filePath) {
+  return `${filePath}.${process.pid}.${Date.now()}.${Math.random().toString(36).slice(2)}.tmp`;
+}
+
+// Atomically replace a file's contents (temp file + rename)
+async function writeFileAtomic(filePath, content) {
+  const tempPath = makeTempPath(filePath);
+  await fs.writeFile(tempPath, content);
+  await fs.rename(tempPath, filePath);
+}
+
+module.exports = {
+  makeTempPath,
+  writeFileAtomic
+};
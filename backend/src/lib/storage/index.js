@@ -0,0 +1,49 @@
+// Registry of snapshot storage engines selected by "storage.engine" in
+// services.json. An engine is created for a directory and stores raw buckets
+// ({ hour_utc_ms, ping_ms, ... }) per service:
+//   write(serviceId, snapshot)             insert or replace the bucket for its hour
+//   readRange(serviceId, fromMs, toMs)     buckets with fromMs <= hour_utc_ms <= toMs, ascending
+//   latest(serviceId, beforeMs)            newest bucket at or before beforeMs, or null
+//   readMonth(serviceId, monthKey)         every bucket of a month (YYYY-MM), ascending
+//   writeMonth(serviceId, monthKey, list)  replace a month ([] deletes it)
+//   listMonths(serviceId)                  stored month keys, ascending
+//   listServices()                         service ids with stored buckets
+//   prune(cutoffMs)                        delete buckets older than cutoffMs
+const path = require('path');
+const { createJsonMonthStorage } = require('./json-month');
+const { createNdjsonStorage } = require('./ndjson');
+
+// PULSE_DATA_DIR moves all data files elsewhere (e.g. a temp dir for tests)
+const DATA_DIR = process.env.PULSE_DATA_DIR
+  ? path.resolve(process.env.PULSE_DATA_DIR)
+  : path.join(__dirname, '../../../data');
+
+// Engine name -> { create, dir }; dir is where the engine keeps its files
+const engines = {
+  json: { create: createJsonMonthStorage, dir: DATA_DIR },
+  ndjson: { create: createNdjsonStorage, dir: path.join(DATA_DIR, 'segments') }
+};
+
+// One instance per engine, so index caches are shared by every caller
+const instances = new Map();
+
+function getStorageEngine(name = 'json') {
+  const engine = engines[name];
+  if (!engine) {
+    return null;
+  }
+  if (!instances.has(name)) {
+    instances.set(name, engine.create(engine.dir));
+  }
+  return instances.get(name);
+}
+
+function listStorageEngines() {
+  return Object.keys(engines);
+}
+
+module.exports = {
+  DATA_DIR,
+  getStorageEngine,
+  listStorageEngines
+};
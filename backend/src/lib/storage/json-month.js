@@ -0,0 +1,135 @@
+// Original storage engine: one JSON array per service per month
+// (<service_id>-YYYY-MM.json), rewritten atomically on every write.
+const fs = require('fs/promises');
+const path = require('path');
+const { monthKeyFromUtcMs, getMonthKeysBetween } = require('../time');
+const { writeFileAtomic } = require('./files');
+
+const MONTH_FILE_RE = /^([a-zA-Z0-9_-]+)-(\d{4})-(\d{2})\.json$/;
+
+function createJsonMonthStorage(dataDir) {
+  function monthPath(serviceId, monthKey) {
+    return path.join(dataDir, `${serviceId}-${monthKey}.json`);
+  }
+
+  async function listFiles() {
+    try {
+      return (await fs.readdir(dataDir)).filter((file) => MONTH_FILE_RE.test(file));
+    } catch (err) {
+      return [];
+    }
+  }
+
+  // A month's entries, or [] when the file doesn't exist or is invalid
+  async function readMonth(serviceId, monthKey) {
+    try {
+      const content = await fs.readFile(monthPath(serviceId, monthKey), 'utf-8');
+      return content.trim() ? JSON.parse(content) : [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  // Replace a month with entries (sorted ascending); an empty list deletes it
+  async function writeMonth(serviceId, monthKey, entries) {
+    const filePath = monthPath(serviceId, monthKey);
+    if (entries.length === 0) {
+      await fs.rm(filePath, { force: true });
+      return;
+    }
+    await fs.mkdir(dataDir, { recursive: true });
+    await writeFileAtomic(filePath, JSON.stringify(entries));
+  }
+
+  // Insert or replace the snapshot for its hour
+  async function write(serviceId, snapshot) {
+    const monthKey = monthKeyFromUtcMs(snapshot.hour_utc_ms);
+    const existingData = await readMonth(serviceId, monthKey);
+
+    const existingIndex = existingData.findIndex((item) => item.hour_utc_ms === snapshot.hour_utc_ms);
+    if (existingIndex >= 0) {
+      existingData[existingIndex] = snapshot;
+    } else {
+      existingData.push(snapshot);
+    }
+    existingData.sort((a, b) => a.hour_utc_ms - b.hour_utc_ms);
+
+    await writeMonth(serviceId, monthKey, existingData);
+  }
+
+  async function readRange(serviceId, fromUtcMs, toUtcMs) {
+    let result = [];
+    for (const monthKey of getMonthKeysBetween(fromUtcMs, toUtcMs)) {
+      const monthData = await readMonth(serviceId, monthKey);
+      result = result.concat(monthData.filter((entry) =>
+        entry.hour_utc_ms >= fromUtcMs && entry.hour_utc_ms <= toUtcMs
+      ));
+    }
+    return result;
+  }
+
+  // Latest snapshot at or before beforeUtcMs, looking at this month and the previous one
+  async function latest(serviceId, beforeUtcMs) {
+    const prevMonth = new Date(beforeUtcMs);
+    prevMonth.setUTCMonth(prevMonth.getUTCMonth() - 1);
+    const monthKeys = [monthKeyFromUtcMs(beforeUtcMs), monthKeyFromUtcMs(prevMonth.getTime())];
+
+    for (const monthKey of monthKeys) {
+      const entries = (await readMonth(serviceId, monthKey))
+        .filter((entry) => entry.hour_utc_ms <= beforeUtcMs);
+      if (entries.length > 0) {
+        return entries.reduce((a, b) => (b.hour_utc_ms > a.hour_utc_ms ? b : a));
+      }
+    }
+    return null;
+  }
+
+  // Month keys (YYYY-MM) stored for a service, ascending
+  async function listMonths(serviceId) {
+    return (await listFiles())
+      .map((file) => file.match(MONTH_FILE_RE))
+      .filter((match) => match[1] === serviceId)
+      .map((match) => `${match[2]}-${match[3]}`)
+      .sort();
+  }
+
+  async function listServices() {
+    const ids = new Set((await listFiles()).map((file) => file.match(MONTH_FILE_RE)[1]));
+    return Array.from(ids).sort();
+  }
+
+  // Drop entries before cutoffMs: whole months are deleted, the straddling one rewritten
+  async function prune(cutoffMs) {
+    for (const file of await listFiles()) {
+      const [, serviceId, year, month] = file.match(MONTH_FILE_RE);
+      const monthKey = `${year}-${month}`;
+      // First instant of the following month
+      const endOfMonth = Date.UTC(parseInt(year), parseInt(month), 1);
+      if (endOfMonth <= cutoffMs) {
+        await fs.unlink(path.join(dataDir, file));
+        continue;
+      }
+      const entries = await readMonth(serviceId, monthKey);
+      const kept = entries.filter((entry) => entry.hour_utc_ms >= cutoffMs);
+      if (kept.length !== entries.length) {
+        await writeMonth(serviceId, monthKey, kept);
+      }
+    }
+  }
+
+  return {
+    name: 'json',
+    write,
+    readRange,
+    latest,
+    readMonth,
+    writeMonth,
+    listMonths,
+    listServices,
+    prune
+  };
+}
+
+module.exports = {
+  createJsonMonthStorage
+};
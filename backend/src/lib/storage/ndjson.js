@@ -0,0 +1,333 @@
+// Append-only storage engine: every write appends one line to a per-service,
+// per-month NDJSON segment (<service_id>/YYYY-MM.ndjson), so writing a bucket
+// costs the same however large the month has grown. Rewriting an hour appends
+// a new line; the last line for an hour wins and duplicates are dropped when a
+// segment is rewritten (prune, migration).
+//
+// Each service directory has an index.json holding the latest snapshot and, per
+// segment, its size, time span and the byte offset where each UTC day starts.
+// getLatestSnapshot is served from the index and range reads start at the
+// offset of the first requested day. The index is rewritten atomically after
+// every append; a segment whose size doesn't match it (crash between the two
+// writes) is rescanned on load and a torn last line is cut off.
+const fs = require('fs/promises');
+const path = require('path');
+const { monthKeyFromUtcMs } = require('../time');
+const { writeFileAtomic } = require('./files');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SEGMENT_FILE_RE = /^(\d{4}-\d{2})\.ndjson$/;
+const NEWLINE = 0x0a;
+
+function emptySegmentMeta() {
+  return { bytes: 0, lines: 0, first_utc_ms: null, last_utc_ms: null, sorted: true, days: {} };
+}
+
+// Account for one line appended at meta.bytes
+function addLineToMeta(meta, hourUtcMs, lineBytes) {
+  const day = Math.floor(hourUtcMs / DAY_MS) * DAY_MS;
+  if (meta.last_utc_ms !== null && hourUtcMs < meta.last_utc_ms) {
+    // Day offsets are only usable while lines are in time order
+    meta.sorted = false;
+  }
+  if (meta.sorted && meta.days[day] === undefined) {
+    meta.days[day] = meta.bytes;
+  }
+  meta.bytes += lineBytes;
+  meta.lines += 1;
+  meta.first_utc_ms = meta.first_utc_ms === null ? hourUtcMs : Math.min(meta.first_utc_ms, hourUtcMs);
+  meta.last_utc_ms = meta.last_utc_ms === null ? hourUtcMs : Math.max(meta.last_utc_ms, hourUtcMs);
+}
+
+// Parse NDJSON lines from a buffer, calling onEntry(entry, lineBytes) for each.
+// Returns the number of bytes up to the last complete line.
+function parseLines(buffer, onEntry) {
+  let start = 0;
+  let end;
+  while ((end = buffer.indexOf(NEWLINE, start)) !== -1) {
+    const lineBytes = end + 1 - start;
+    const line = buffer.toString('utf-8', start, end);
+    start = end + 1;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (err) {
+      // Unreadable lines are skipped but keep their bytes
+      onEntry(null, lineBytes);
+      continue;
+    }
+    if (onEntry(entry, lineBytes) === false) break;
+  }
+  return start;
+}
+
+function createNdjsonStorage(dataDir) {
+  // serviceId -> Promise of its index
+  const indexes = new Map();
+  // serviceId -> tail of the queue of pending writes
+  const queues = new Map();
+
+  function serviceDir(serviceId) {
+    return path.join(dataDir, serviceId);
+  }
+
+  function segmentPath(serviceId, monthKey) {
+    return path.join(serviceDir(serviceId), `${monthKey}.ndjson`);
+  }
+
+  function indexPath(serviceId) {
+    return path.join(serviceDir(serviceId), 'index.json');
+  }
+
+  // Run writes for one service one at a time so appends and index updates don't interleave
+  function enqueue(serviceId, task) {
+    const run = (queues.get(serviceId) || Promise.resolve()).then(task);
+    queues.set(serviceId, run.catch(() => {}));
+    return run;
+  }
+
+  async function saveIndex(serviceId, index) {
+    await writeFileAtomic(indexPath(serviceId), JSON.stringify(index));
+  }
+
+  // Rebuild a segment's metadata from its contents, cutting off a torn last line
+  async function scanSegment(serviceId, monthKey) {
+    const filePath = segmentPath(serviceId, monthKey);
+    const buffer = await fs.readFile(filePath);
+    const meta = emptySegmentMeta();
+    let latest = null;
+    const validBytes = parseLines(buffer, (entry, lineBytes) => {
+      if (!entry || typeof entry.hour_utc_ms !== 'number') {
+        meta.bytes += lineBytes;
+        return;
+      }
+      addLineToMeta(meta, entry.hour_utc_ms, lineBytes);
+      if (!latest || entry.hour_utc_ms >= latest.hour_utc_ms) latest = entry;
+    });
+    if (validBytes < buffer.length) {
+      console.warn(`Truncating torn line at the end of ${filePath}`);
+      await fs.truncate(filePath, validBytes);
+    }
+    return { meta, latest };
+  }
+
+  // Load a service's index, checking it against the segments on disk
+  async function loadIndex(serviceId) {
+    let index = { latest: null, segments: {} };
+    try {
+      index = JSON.parse(await fs.readFile(indexPath(serviceId), 'utf-8'));
+    } catch (err) {
+      // Missing or invalid index: rebuilt from the segments below
+    }
+
+    let files = [];
+    try {
+      files = await fs.readdir(serviceDir(serviceId));
+    } catch (err) {
+      return { latest: null, segments: {} };
+    }
+    const monthKeys = files.map((file) => file.match(SEGMENT_FILE_RE)).filter(Boolean).map((m) => m[1]);
+
+    let changed = Object.keys(index.segments).some((key) => !monthKeys.includes(key));
+    const segments = {};
+    let rescannedLatest = null;
+    for (const monthKey of monthKeys) {
+      const { size } = await fs.stat(segmentPath(serviceId, monthKey));
+      const meta = index.segments[monthKey];
+      if (meta && meta.bytes === size) {
+        segments[monthKey] = meta;
+        continue;
+      }
+      const scanned = await scanSegment(serviceId, monthKey);
+      segments[monthKey] = scanned.meta;
+      if (scanned.latest && (!rescannedLatest || scanned.latest.hour_utc_ms >= rescannedLatest.hour_utc_ms)) {
+        rescannedLatest = scanned.latest;
+      }
+      changed = true;
+    }
+    index = { latest: index.latest || null, segments };
+
+    if (changed) {
+      // A rescanned segment may hold a newer (or the only) latest snapshot
+      if (rescannedLatest && (!index.latest || rescannedLatest.hour_utc_ms >= index.latest.hour_utc_ms)) {
+        index.latest = rescannedLatest;
+      }
+      if (index.latest && !segments[monthKeyFromUtcMs(index.latest.hour_utc_ms)]) {
+        index.latest = await findLatest(serviceId, index, Infinity);
+      }
+      await saveIndex(serviceId, index);
+    }
+    return index;
+  }
+
+  function getIndex(serviceId) {
+    if (!indexes.has(serviceId)) {
+      const loading = loadIndex(serviceId);
+      indexes.set(serviceId, loading);
+      // Retry on the next call if loading failed
+      loading.catch(() => indexes.delete(serviceId));
+    }
+    return indexes.get(serviceId);
+  }
+
+  // Entries of one segment within [fromUtcMs, toUtcMs], ascending, last line per hour winning
+  async function readSegment(serviceId, monthKey, meta, fromUtcMs, toUtcMs) {
+    let offset = 0;
+    if (meta.sorted) {
+      const fromDay = Math.floor(fromUtcMs / DAY_MS) * DAY_MS;
+      for (const [day, dayOffset] of Object.entries(meta.days)) {
+        if (Number(day) <= fromDay && dayOffset > offset) offset = dayOffset;
+      }
+    }
+    // Only read what the index knows about, so a half-finished append is ignored
+    const length = meta.bytes - offset;
+    if (length <= 0) return [];
+
+    const buffer = Buffer.alloc(length);
+    const handle = await fs.open(segmentPath(serviceId, monthKey), 'r');
+    try {
+      await handle.read(buffer, 0, length, offset);
+    } finally {
+      await handle.close();
+    }
+
+    const byHour = new Map();
+    parseLines(buffer, (entry) => {
+      if (!entry || typeof entry.hour_utc_ms !== 'number') return;
+      if (meta.sorted && entry.hour_utc_ms > toUtcMs) return false;
+      if (entry.hour_utc_ms >= fromUtcMs && entry.hour_utc_ms <= toUtcMs) {
+        byHour.set(entry.hour_utc_ms, entry);
+      }
+    });
+    return Array.from(byHour.values()).sort((a, b) => a.hour_utc_ms - b.hour_utc_ms);
+  }
+
+  // Latest entry at or before beforeUtcMs, scanning segments newest first
+  async function findLatest(serviceId, index, beforeUtcMs) {
+    const monthKeys = Object.keys(index.segments).sort().reverse();
+    for (const monthKey of monthKeys) {
+      const meta = index.segments[monthKey];
+      if (meta.first_utc_ms === null || meta.first_utc_ms > beforeUtcMs) continue;
+      const entries = await readSegment(serviceId, monthKey, meta, meta.first_utc_ms, beforeUtcMs);
+      if (entries.length > 0) return entries[entries.length - 1];
+    }
+    return null;
+  }
+
+  // Append the snapshot; it replaces any earlier line for the same hour
+  function write(serviceId, snapshot) {
+    return enqueue(serviceId, async () => {
+      const index = await getIndex(serviceId);
+      const monthKey = monthKeyFromUtcMs(snapshot.hour_utc_ms);
+      const line = JSON.stringify(snapshot) + '\n';
+
+      await fs.mkdir(serviceDir(serviceId), { recursive: true });
+      await fs.appendFile(segmentPath(serviceId, monthKey), line);
+
+      const meta = index.segments[monthKey] || emptySegmentMeta();
+      addLineToMeta(meta, snapshot.hour_utc_ms, Buffer.byteLength(line));
+      index.segments[monthKey] = meta;
+      if (!index.latest || snapshot.hour_utc_ms >= index.latest.hour_utc_ms) {
+        index.latest = snapshot;
+      }
+      await saveIndex(serviceId, index);
+    });
+  }
+
+  async function readRange(serviceId, fromUtcMs, toUtcMs) {
+    const index = await getIndex(serviceId);
+    let result = [];
+    for (const monthKey of Object.keys(index.segments).sort()) {
+      const meta = index.segments[monthKey];
+      if (meta.first_utc_ms === null || meta.last_utc_ms < fromUtcMs || meta.first_utc_ms > toUtcMs) continue;
+      result = result.concat(await readSegment(serviceId, monthKey, meta, fromUtcMs, toUtcMs));
+    }
+    return result;
+  }
+
+  async function latest(serviceId, beforeUtcMs) {
+    const index = await getIndex(serviceId);
+    if (index.latest && index.latest.hour_utc_ms <= beforeUtcMs) {
+      return index.latest;
+    }
+    return findLatest(serviceId, index, beforeUtcMs);
+  }
+
+  async function readMonth(serviceId, monthKey) {
+    const index = await getIndex(serviceId);
+    const meta = index.segments[monthKey];
+    return meta ? readSegment(serviceId, monthKey, meta, -Infinity, Infinity) : [];
+  }
+
+  // Rewrite a segment from entries (deduplicated, in time order); an empty list deletes it
+  function writeMonth(serviceId, monthKey, entries) {
+    return enqueue(serviceId, async () => {
+      const index = await getIndex(serviceId);
+      const filePath = segmentPath(serviceId, monthKey);
+      const byHour = new Map(entries.map((entry) => [entry.hour_utc_ms, entry]));
+      const sorted = Array.from(byHour.values()).sort((a, b) => a.hour_utc_ms - b.hour_utc_ms);
+
+      if (sorted.length === 0) {
+        await fs.rm(filePath, { force: true });
+        delete index.segments[monthKey];
+      } else {
+        const meta = emptySegmentMeta();
+        const lines = sorted.map((entry) => {
+          const line = JSON.stringify(entry) + '\n';
+          addLineToMeta(meta, entry.hour_utc_ms, Buffer.byteLength(line));
+          return line;
+        });
+        await fs.mkdir(serviceDir(serviceId), { recursive: true });
+        await writeFileAtomic(filePath, lines.join(''));
+        index.segments[monthKey] = meta;
+      }
+
+      index.latest = await findLatest(serviceId, index, Infinity);
+      await saveIndex(serviceId, index);
+    });
+  }
+
+  async function listMonths(serviceId) {
+    const index = await getIndex(serviceId);
+    return Object.keys(index.segments).sort();
+  }
+
+  async function listServices() {
+    try {
+      const entries = await fs.readdir(dataDir, { withFileTypes: true });
+      return entries.filter((entry) => entry.isDirectory()).map((entry) => entry.name).sort();
+    } catch (err) {
+      return [];
+    }
+  }
+
+  // Drop entries before cutoffMs: whole segments are deleted, the straddling one rewritten
+  async function prune(cutoffMs) {
+    for (const serviceId of await listServices()) {
+      const index = await getIndex(serviceId);
+      for (const [monthKey, meta] of Object.entries(index.segments)) {
+        if (meta.first_utc_ms === null || meta.first_utc_ms >= cutoffMs) continue;
+        const kept = meta.last_utc_ms < cutoffMs
+          ? []
+          : (await readMonth(serviceId, monthKey)).filter((entry) => entry.hour_utc_ms >= cutoffMs);
+        await writeMonth(serviceId, monthKey, kept);
+      }
+    }
+  }
+
+  return {
+    name: 'ndjson',
+    write,
+    readRange,
+    latest,
+    readMonth,
+    writeMonth,
+    listMonths,
+    listServices,
+    prune
+  };
+}
+
+module.exports = {
+  createNdjsonStorage
+};
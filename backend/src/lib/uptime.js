@@ -0,0 +1,121 @@
+// Uptime / SLA figures derived from stored snapshots. Each bucket counts as up
+// for the share of its checks that passed (samples_ok / samples_total); buckets
+// written before sample counts existed are fully up when ping_ms > 0, else down.
+// Buckets that were mostly maintenance or have no data (the monitor wasn't
+// running) are left out of the monitored time.
+// Days past raw retention come from daily rollups (see rollups.js).
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rolling windows end now; calendar windows follow UTC day/month boundaries
+function getUptimeWindows(nowMs) {
+  const now = new Date(nowMs);
+  const startOfDay = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const startOfMonth = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+  const startOfPrevMonth = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1);
+  const startOfYear = Date.UTC(now.getUTCFullYear(), 0, 1);
+  const startOfPrevYear = Date.UTC(now.getUTCFullYear() - 1, 0, 1);
+
+  return [
+    { key: '24h', kind: 'rolling', from_utc_ms: nowMs - DAY_MS, to_utc_ms: nowMs },
+    { key: '7d', kind: 'rolling', from_utc_ms: nowMs - 7 * DAY_MS, to_utc_ms: nowMs },
+    { key: '30d', kind: 'rolling', from_utc_ms: nowMs - 30 * DAY_MS, to_utc_ms: nowMs },
+    { key: '90d', kind: 'rolling', from_utc_ms: nowMs - 90 * DAY_MS, to_utc_ms: nowMs },
+    { key: 'today', kind: 'calendar', from_utc_ms: startOfDay, to_utc_ms: nowMs },
+    { key: 'this_month', kind: 'calendar', from_utc_ms: startOfMonth, to_utc_ms: nowMs },
+    { key: 'last_month', kind: 'calendar', from_utc_ms: startOfPrevMonth, to_utc_ms: startOfMonth - 1 },
+    { key: '365d', kind: 'rolling', from_utc_ms: nowMs - 365 * DAY_MS, to_utc_ms: nowMs },
+    { key: 'this_year', kind: 'calendar', from_utc_ms: startOfYear, to_utc_ms: nowMs },
+    { key: 'last_year', kind: 'calendar', from_utc_ms: startOfPrevYear, to_utc_ms: startOfYear - 1 }
+  ];
+}
+
+// Share of a stored bucket's checks that passed, or null without any checks
+function bucketUpRatio(snap) {
+  if (snap.no_data) {
+    return null;
+  }
+  if (typeof snap.samples_total === 'number') {
+    return snap.samples_total > 0 ? snap.samples_ok / snap.samples_total : null;
+  }
+  return snap.ping_ms > 0 ? 1 : 0;
+}
+
+// Raw sums for one service over one window; combine with addTotals, finish with formatTotals
+function sumSnapshots(snapshots, fromMs, toMs, bucketMs) {
+  const totals = {
+    monitored_ms: 0,
+    up_ms: 0,
+    maintenance_ms: 0,
+    latency_sum: 0,
+    latency_weight: 0,
+    incidents: 0
+  };
+
+  for (const snap of snapshots) {
+    // Buckets at the window edges (e.g. the one in progress) count for their overlap only
+    const spanMs = snap.bucket_ms || bucketMs;
+    const durationMs = Math.min(snap.hour_utc_ms + spanMs, toMs) - Math.max(snap.hour_utc_ms, fromMs);
+    if (durationMs <= 0) continue;
+
+    // Daily rollups carry their monitored and maintenance time
+    if (snap.monitored_ms !== undefined) {
+      const share = durationMs / spanMs;
+      totals.monitored_ms += snap.monitored_ms * share;
+      totals.up_ms += snap.monitored_ms * share * snap.success_ratio;
+      totals.maintenance_ms += (snap.maintenance_ms || 0) * share;
+      if (snap.ping_ms > 0) {
+        const weight = snap.samples_ok ?? 1;
+        totals.latency_sum += snap.ping_ms * weight;
+        totals.latency_weight += weight;
+      }
+      continue;
+    }
+
+    if (snap.maintenance) {
+      totals.maintenance_ms += durationMs;
+      continue;
+    }
+
+    const upRatio = bucketUpRatio(snap);
+    if (upRatio === null) continue;
+    totals.monitored_ms += durationMs;
+    totals.up_ms += durationMs * upRatio;
+
+    // Mean latency weighted by the successful checks behind each bucket's median
+    if (snap.ping_ms > 0) {
+      const weight = typeof snap.samples_ok === 'number' ? snap.samples_ok : 1;
+      totals.latency_sum += snap.ping_ms * weight;
+      totals.latency_weight += weight;
+    }
+  }
+
+  return totals;
+}
+
+function addTotals(target, totals) {
+  for (const key of Object.keys(totals)) {
+    target[key] = (target[key] || 0) + totals[key];
+  }
+  return target;
+}
+
+function formatTotals(totals) {
+  return {
+    uptime_pct: totals.monitored_ms > 0
+      ? Math.round((totals.up_ms / totals.monitored_ms) * 100000) / 1000
+      : null,
+    downtime_minutes: Math.round((totals.monitored_ms - totals.up_ms) / 60000),
+    monitored_minutes: Math.round(totals.monitored_ms / 60000),
+    maintenance_minutes: Math.round(totals.maintenance_ms / 60000),
+    incidents: totals.incidents,
+    mean_latency_ms: totals.latency_weight > 0 ? Math.round(totals.latency_sum / totals.latency_weight) : null
+  };
+}
+
+module.exports = {
+  getUptimeWindows,
+  bucketUpRatio,
+  sumSnapshots,
+  addTotals,
+  formatTotals
+};
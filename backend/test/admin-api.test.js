@@ -0,0 +1,115 @@
+// Service changes over the admin API: token checks, conflicts and unknown ids,
+// what is written to services.json, and one audit entry per applied change.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir, startApi, close } = require('./helpers');
+
+const dataDir = useTempDataDir('admin');
+// A copy of services.json the API may rewrite
+const configPath = path.join(dataDir, 'services.json');
+process.env.PULSE_CONFIG_PATH = configPath;
+process.env.PULSE_ADMIN_TOKENS = 'ops:test-token';
+
+const WEB = { id: 'web', name: 'Website', url: 'https://example.org/', tags: ['web'] };
+const API = { id: 'api', name: 'API', url: 'https://api.example.org/', tags: ['api'] };
+
+let api;
+let reloads = 0;
+
+test.before(async () => {
+  fs.writeFileSync(configPath, JSON.stringify({ poll_interval_ms: 60000, services: [WEB] }, null, 2));
+  api = await startApi({
+    config: { services: [] },
+    // Stands in for index.js applying the new file to the poller
+    reloadConfig: async () => { reloads++; }
+  });
+});
+
+test.after(() => close(api.server));
+
+function request(method, urlPath, { token, body } = {}) {
+  const headers = { 'content-type': 'application/json' };
+  if (token) headers.authorization = `Bearer ${token}`;
+  return fetch(api.baseUrl + urlPath, { method, headers, body: body ? JSON.stringify(body) : undefined });
+}
+
+function admin(method, urlPath, body) {
+  return request(method, urlPath, { token: 'test-token', body });
+}
+
+function storedServices() {
+  return JSON.parse(fs.readFileSync(configPath, 'utf-8')).services;
+}
+
+test('admin routes refuse requests without a valid token', async () => {
+  for (const token of [undefined, 'wrong']) {
+    assert.equal((await request('GET', '/admin/services', { token })).status, 401);
+    assert.equal((await request('POST', '/admin/services', { token, body: API })).status, 401);
+    assert.equal((await request('PATCH', '/admin/services/web', { token, body: { name: 'Site' } })).status, 401);
+    assert.equal((await request('DELETE', '/admin/services/web', { token })).status, 401);
+    assert.equal((await request('POST', '/admin/services/web/pause', { token })).status, 401);
+    assert.equal((await request('GET', '/admin/audit', { token })).status, 401);
+  }
+  assert.equal((await request('GET', '/admin/services')).headers.get('www-authenticate'), 'Bearer');
+
+  assert.deepEqual(storedServices(), [WEB]);
+  assert.equal(reloads, 0);
+});
+
+test('changes are written to services.json; duplicates and unknown ids are refused', async () => {
+  let res = await admin('POST', '/admin/services', API);
+  assert.equal(res.status, 201);
+  assert.deepEqual((await res.json()).service, API);
+  assert.equal((await admin('POST', '/admin/services', { ...API, name: 'Other' })).status, 409);
+  // Validated like a hand-edited file: a service needs a name
+  res = await admin('POST', '/admin/services', { id: 'bad' });
+  assert.equal(res.status, 400);
+  assert.ok((await res.json()).errors.length > 0);
+  assert.deepEqual(storedServices(), [WEB, API]);
+
+  for (const [method, urlPath, body] of [
+    ['PATCH', '/admin/services/nope', { name: 'Nope' }],
+    ['DELETE', '/admin/services/nope'],
+    ['POST', '/admin/services/nope/pause'],
+    ['POST', '/admin/services/nope/resume']
+  ]) {
+    assert.equal((await admin(method, urlPath, body)).status, 404, `${method} ${urlPath}`);
+  }
+
+  // Pause and resume are stored in the file, so they survive a restart
+  assert.equal((await admin('POST', '/admin/services/web/pause')).status, 200);
+  assert.equal(storedServices()[0].paused, true);
+  assert.equal((await admin('POST', '/admin/services/web/pause')).status, 409);
+  res = await admin('POST', '/admin/services/web/resume');
+  assert.equal(res.status, 200);
+  assert.deepEqual((await res.json()).service, WEB);
+  assert.deepEqual(storedServices()[0], WEB);
+  assert.equal((await admin('POST', '/admin/services/web/resume')).status, 409);
+
+  // null removes a property
+  res = await admin('PATCH', '/admin/services/api', { name: 'Public API', tags: null });
+  assert.deepEqual((await res.json()).service, { id: 'api', name: 'Public API', url: API.url });
+  assert.equal((await admin('DELETE', '/admin/services/api')).status, 204);
+  assert.deepEqual(storedServices(), [WEB]);
+
+  const listed = await (await admin('GET', '/admin/services')).json();
+  assert.deepEqual(listed.services, [WEB]);
+});
+
+test('each applied change is audited and applied once', async () => {
+  const { entries } = await (await admin('GET', '/admin/audit')).json();
+  assert.deepEqual(entries.map((e) => [e.actor, e.action, e.service_id]), [
+    ['ops', 'delete', 'api'],
+    ['ops', 'update', 'api'],
+    ['ops', 'resume', 'web'],
+    ['ops', 'pause', 'web'],
+    ['ops', 'create', 'api']
+  ]);
+  assert.deepEqual([entries[0].before.name, entries[0].after], ['Public API', null]);
+  assert.deepEqual([entries[1].before, entries[1].after.tags], [API, undefined]);
+  assert.deepEqual([entries[3].before, entries[3].after], [WEB, { ...WEB, paused: true }]);
+  assert.deepEqual([entries[4].before, entries[4].after], [null, API]);
+  assert.equal(reloads, entries.length);
+});
@@ -0,0 +1,56 @@
+// Response assertions, including patterns that are invalid or keep state
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateAssertions } = require('../src/lib/assertions');
+const { validateConfig } = require('../src/lib/config');
+
+test('assertions pass and fail with a reason', () => {
+  const body = '{"result": {"height": 12}}';
+  assert.deepEqual(evaluateAssertions([{ type: 'body_contains', value: 'result' }], body), { ok: true, reason: null });
+  assert.deepEqual(
+    evaluateAssertions([{ type: 'json_path', path: '$.result.height', op: 'gte', value: 20 }], body),
+    { ok: false, reason: 'json $.result.height not gte 20' }
+  );
+});
+
+test('an invalid pattern fails the check instead of throwing', () => {
+  const result = evaluateAssertions([{ type: 'body_matches', pattern: '(' }], 'body');
+  assert.equal(result.ok, false);
+  assert.match(result.reason, /^invalid body_matches assertion: /);
+});
+
+test('a global pattern matches on every check', () => {
+  const assertions = [{ type: 'body_matches', pattern: '\\d+', flags: 'g' }];
+  assert.equal(evaluateAssertions(assertions, '123').ok, true);
+  assert.equal(evaluateAssertions(assertions, '123').ok, true);
+});
+
+test('config validation rejects patterns that do not compile', () => {
+  const errors = validateConfig({
+    services: [{
+      id: 'a',
+      name: 'A',
+      url: 'http://127.0.0.1/',
+      assertions: [{ type: 'body_matches', pattern: '(' }, { type: 'body_matches', pattern: 'x', flags: 'zz' }]
+    }]
+  });
+  assert.deepEqual(errors.map((e) => e.path), ['$.services[0].assertions[0].pattern', '$.services[0].assertions[1].pattern']);
+});
+
+test('config validation requires the field each assertion type uses', () => {
+  const errors = validateConfig({
+    services: [{
+      id: 'a',
+      name: 'A',
+      url: 'http://127.0.0.1/',
+      assertions: [
+        { type: 'body_contains' },
+        { type: 'body_not_contains', pattern: 'x' },
+        { type: 'body_matches', value: 'x' },
+        { type: 'json_path', op: 'exists' },
+        { type: 'json_path', path: '$.ok' }
+      ]
+    }]
+  });
+  assert.deepEqual(errors.map((e) => e.path), [0, 1, 2, 3].map((i) => `$.services[0].assertions[${i}]`));
+});
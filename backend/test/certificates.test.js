@@ -0,0 +1,16 @@
+// Which request errors are treated as certificate problems
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isCertificateError } = require('../src/lib/certificates');
+
+test('certificate verification errors are recognized by code', () => {
+  for (const code of ['UNABLE_TO_VERIFY_LEAF_SIGNATURE', 'CERT_HAS_EXPIRED', 'DEPTH_ZERO_SELF_SIGNED_CERT', 'ERR_TLS_CERT_ALTNAME_INVALID']) {
+    assert.equal(isCertificateError(Object.assign(new Error(code), { code })), true, code);
+  }
+});
+
+test('connection errors are not certificate errors', () => {
+  for (const code of ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPROTO', undefined]) {
+    assert.equal(isCertificateError(Object.assign(new Error('failed'), { code })), false, String(code));
+  }
+});
@@ -0,0 +1,205 @@
+// Check types against local stub servers and nodes, and the poller's
+// handling of checks that fail in unexpected ways. Run with `npm test`.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+const { runHttpCheck } = require('../src/lib/checks/http');
+const { runTcpCheck } = require('../src/lib/checks/tcp');
+const { runPivxP2pCheck, encodeMessage, parseMessages, buildVersionPayload, NETWORKS } = require('../src/lib/checks/pivx-p2p');
+const { registerCheck } = require('../src/lib/checks');
+const { startPoller } = require('../src/lib/poller');
+const { listen, close } = require('./helpers');
+
+function httpService(port, path, overrides = {}) {
+  return {
+    id: 'stub',
+    type: 'http',
+    url: `http://127.0.0.1:${port}${path}`,
+    timeout_ms: 2000,
+    max_body_bytes: 1024,
+    assertions: [],
+    block_height: null,
+    ...overrides
+  };
+}
+
+test('http check against a stub server', async (t) => {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/ok') {
+      res.end('{"height": 4500000}');
+    } else if (req.url === '/api') {
+      res.end('{"blockbook": {"bestHeight": 4500002}}');
+    } else if (req.url === '/big') {
+      res.end('x'.repeat(4096));
+    } else if (req.url === '/slow') {
+      setTimeout(() => res.end('late'), 500);
+    } else {
+      res.statusCode = 503;
+      res.end('unavailable');
+    }
+  });
+  const port = await listen(server);
+  t.after(() => close(server));
+
+  await t.test('succeeds with latency and block height', async () => {
+    const result = await runHttpCheck(httpService(port, '/ok', {
+      block_height: { json_path: '$.height' }
+    }), Date.now());
+    assert.equal(result.ok, true);
+    assert.equal(typeof result.latency_ms, 'number');
+    assert.equal(result.details.block_height, 4500000);
+  });
+
+  await t.test('reads the block height from block_height.url', async () => {
+    const result = await runHttpCheck(httpService(port, '/ok', {
+      block_height: { json_path: 'blockbook.bestHeight', url: `http://127.0.0.1:${port}/api` }
+    }), Date.now());
+    assert.equal(result.ok, true);
+    assert.equal(result.details.block_height, 4500002);
+
+    // The page itself is up, but without a height the poller fails the sample
+    const missing = await runHttpCheck(httpService(port, '/ok', {
+      block_height: { json_path: 'blockbook.bestHeight', url: `http://127.0.0.1:${port}/missing` }
+    }), Date.now());
+    assert.equal(missing.ok, true);
+    assert.equal(missing.details.block_height, undefined);
+  });
+
+  await t.test('fails on a non-2xx status', async () => {
+    const result = await runHttpCheck(httpService(port, '/missing'), Date.now());
+    assert.deepEqual(result, { ok: false, reason: 'HTTP 503' });
+  });
+
+  await t.test('fails on a failed assertion', async () => {
+    const result = await runHttpCheck(httpService(port, '/ok', {
+      assertions: [{ type: 'body_contains', value: 'result' }]
+    }), Date.now());
+    assert.deepEqual(result, { ok: false, reason: 'body missing "result"' });
+  });
+
+  await t.test('fails when the body is too large', async () => {
+    const result = await runHttpCheck(httpService(port, '/big'), Date.now());
+    assert.deepEqual(result, { ok: false, reason: 'body exceeds 1024 bytes' });
+  });
+
+  await t.test('times out', async () => {
+    const result = await runHttpCheck(httpService(port, '/slow', { timeout_ms: 100 }), Date.now());
+    assert.equal(result.ok, false);
+    assert.equal(result.retryable, true);
+  });
+});
+
+test('tcp check against a stub listener', async () => {
+  const server = net.createServer((socket) => socket.end());
+  const port = await listen(server);
+
+  const up = await runTcpCheck({ host: '127.0.0.1', port, timeout_ms: 2000 });
+  assert.equal(up.ok, true);
+
+  await close(server);
+  const down = await runTcpCheck({ host: '127.0.0.1', port, timeout_ms: 2000 });
+  assert.deepEqual(down, { ok: false, reason: 'ECONNREFUSED', retryable: true });
+});
+
+// Stub PIVX node. After the client's version it answers according to `mode`:
+// 'ok' (version + verack), 'wrong-magic' (a testnet version), 'close' (version,
+// then hang up) or 'silent' (version, never a verack).
+function startStubNode(mode) {
+  const magic = NETWORKS.mainnet.magic;
+  const received = [];
+  const server = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      const parsed = parseMessages(Buffer.concat([buffer, chunk]), magic);
+      buffer = parsed.rest;
+      for (const msg of parsed.messages) {
+        received.push(msg.command);
+        if (msg.command !== 'version') continue;
+        const payload = buildVersionPayload({ protocolVersion: 70926, port: 51472, startHeight: 4500000, userAgent: '/PIVX Core:5.6.1/' });
+        socket.write(encodeMessage(mode === 'wrong-magic' ? NETWORKS.testnet.magic : magic, 'version', payload));
+        if (mode === 'ok') socket.write(encodeMessage(magic, 'verack'));
+        if (mode === 'close') socket.end();
+      }
+    });
+    socket.on('error', () => {});
+  });
+  return listen(server).then((port) => ({ server, port, received }));
+}
+
+function p2pService(port, overrides = {}) {
+  return { id: 'node', type: 'pivx-p2p', host: '127.0.0.1', port, network: 'mainnet', timeout_ms: 2000, ...overrides };
+}
+
+test('pivx-p2p check against a stub node', async (t) => {
+  await t.test('completes the version/verack handshake', async () => {
+    const node = await startStubNode('ok');
+    t.after(() => close(node.server));
+    const result = await runPivxP2pCheck(p2pService(node.port));
+    assert.equal(result.ok, true);
+    assert.equal(typeof result.latency_ms, 'number');
+    assert.deepEqual(result.details, {
+      protocol_version: 70926,
+      services: '0',
+      user_agent: '/PIVX Core:5.6.1/',
+      start_height: 4500000,
+      block_height: 4500000
+    });
+    // The check acknowledges the node's version
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.deepEqual(node.received, ['version', 'verack']);
+  });
+
+  await t.test('fails on another network\'s magic', async () => {
+    const node = await startStubNode('wrong-magic');
+    t.after(() => close(node.server));
+    assert.deepEqual(await runPivxP2pCheck(p2pService(node.port)), { ok: false, reason: 'bad network magic' });
+  });
+
+  await t.test('fails when the node hangs up before verack', async () => {
+    const node = await startStubNode('close');
+    t.after(() => close(node.server));
+    assert.deepEqual(await runPivxP2pCheck(p2pService(node.port)), {
+      ok: false,
+      reason: 'connection closed during handshake',
+      retryable: true
+    });
+  });
+
+  await t.test('times out without a verack', async () => {
+    const node = await startStubNode('silent');
+    t.after(() => close(node.server));
+    assert.deepEqual(await runPivxP2pCheck(p2pService(node.port, { timeout_ms: 200 })), {
+      ok: false,
+      reason: 'timeout waiting for verack',
+      retryable: true
+    });
+  });
+});
+
+test('poller records a failed sample when a check throws or rejects', async () => {
+  registerCheck('test-throws', () => {
+    throw new Error('boom');
+  });
+  registerCheck('test-rejects', () => Promise.reject(Object.assign(new Error('nope'), { code: 'EBROKEN' })));
+
+  const samples = [];
+  const accumulator = {
+    recordSample: (...args) => samples.push(args)
+  };
+  const config = {
+    poll_interval_ms: 60000,
+    services: [
+      { id: 'throws', type: 'test-throws', retries: 0, block_height: null },
+      { id: 'rejects', type: 'test-rejects', retries: 0, block_height: null }
+    ]
+  };
+
+  const poller = startPoller(config, accumulator);
+  await new Promise((resolve) => setImmediate(resolve));
+  poller.stop();
+
+  const byId = new Map(samples.map((s) => [s[0], s]));
+  assert.deepEqual(byId.get('throws').slice(2, 5), [false, null, 'check error: boom']);
+  assert.deepEqual(byId.get('rejects').slice(2, 5), [false, null, 'check error: EBROKEN']);
+});
@@ -0,0 +1,27 @@
+// DNS check inputs that don't need a resolver to answer
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidResolver, runDnsCheck } = require('../src/lib/checks/dns');
+const { validateConfig } = require('../src/lib/config');
+
+test('resolvers must be IP addresses with an optional port', () => {
+  for (const value of ['1.1.1.1', '1.1.1.1:5353', '2606:4700:4700::1111', '[2606:4700:4700::1111]:53']) {
+    assert.equal(isValidResolver(value), true, value);
+  }
+  for (const value of ['dns.google', 'dns.google:53', '1.1.1.1:0', '1.1.1.1:70000', '[1.1.1.1]:53', '']) {
+    assert.equal(isValidResolver(value), false, value);
+  }
+});
+
+test('a host name resolver fails the check instead of throwing', async () => {
+  const result = await runDnsCheck({ host: 'example.org', record_type: 'A', resolver: 'dns.google', timeout_ms: 1000 });
+  assert.equal(result.ok, false);
+  assert.match(result.reason, /^invalid resolver "dns.google": /);
+});
+
+test('config validation rejects host name resolvers', () => {
+  const errors = validateConfig({
+    services: [{ id: 'd', name: 'D', type: 'dns', host: 'example.org', resolver: 'dns.google' }]
+  });
+  assert.deepEqual(errors.map((e) => e.path), ['$.services[0].resolver']);
+});
@@ -0,0 +1,133 @@
+// Downsampling for long /api/snapshots windows: how stored buckets merge into
+// a cell, and which resolution `resolution=auto` picks for a window and limit.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempDataDir, startApi, close } = require('./helpers');
+
+useTempDataDir('downsample');
+const { downsample, pickResolution, countCells, RESOLUTIONS } = require('../src/lib/downsample');
+const { writeHourlySnapshot } = require('../src/lib/persistence');
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+const T0 = Date.UTC(2024, 0, 10);
+const SERVICE = { id: 'svc', slow_threshold_ms: 1000, block_height: { max_lag_blocks: 3 } };
+
+test('a cell keeps the worst status, the mean uptime ratio and the weighted median latency', () => {
+  const stored = [
+    { hour_utc_ms: T0, ping_ms: 100, samples_total: 60, samples_ok: 60, min_ms: 50, max_ms: 300, p95_ms: 250 },
+    { hour_utc_ms: T0 + HOUR, ping_ms: 300, samples_total: 60, samples_ok: 20, max_ms: 900, failure_reasons: { timeout: 40 }, lag_blocks: 2 },
+    { hour_utc_ms: T0 + 2 * HOUR, ping_ms: 0, samples_total: 60, samples_ok: 0, failure_reasons: { timeout: 20, 'HTTP 502': 40 } },
+    { hour_utc_ms: T0 + 3 * HOUR, ping_ms: 0, no_data: true },
+    { hour_utc_ms: T0 + 4 * HOUR, ping_ms: 0, samples_total: 0, samples_ok: 0, samples_maintenance: 60, maintenance: true },
+    { hour_utc_ms: T0 + 5 * HOUR, ping_ms: 120, samples_total: 60, samples_ok: 60 },
+    // Alone in the next 6h cell: kept as stored, with its status
+    { hour_utc_ms: T0 + 6 * HOUR, ping_ms: 80, samples_total: 60, samples_ok: 60, p95_ms: 95, lag_blocks: 5 }
+  ];
+
+  const [merged, single] = downsample(stored, RESOLUTIONS['6h'], SERVICE);
+  assert.deepEqual(merged, {
+    hour_utc_ms: T0,
+    // 100, 120 and 300 ms, weighted by 60, 60 and 20 successful checks
+    ping_ms: 120,
+    p50_ms: 120,
+    status: 'down',
+    buckets: 6,
+    // Mean of 1, 1/3, 0 and 1: no-data and maintenance buckets don't count
+    success_ratio: 0.5833,
+    samples_total: 240,
+    samples_ok: 140,
+    samples_maintenance: 60,
+    maintenance: false,
+    failure_reasons: { timeout: 60, 'HTTP 502': 40 },
+    min_ms: 50,
+    max_ms: 900,
+    lag_blocks: 2
+  });
+  assert.deepEqual(single, { ...stored[6], status: 'degraded', buckets: 1 });
+});
+
+test('cells of only no-data buckets are unknown, mostly maintenance is maintenance', () => {
+  const [unknown, maintenance, slow] = downsample([
+    { hour_utc_ms: T0, ping_ms: 0, no_data: true },
+    { hour_utc_ms: T0 + HOUR, ping_ms: 0, no_data: true },
+    { hour_utc_ms: T0 + DAY, ping_ms: 0, samples_total: 0, samples_ok: 0, samples_maintenance: 60, maintenance: true },
+    { hour_utc_ms: T0 + DAY + HOUR, ping_ms: 100, samples_total: 60, samples_ok: 60 },
+    { hour_utc_ms: T0 + 2 * DAY, ping_ms: 1500, samples_total: 60, samples_ok: 60 },
+    { hour_utc_ms: T0 + 2 * DAY + HOUR, ping_ms: 0, no_data: true }
+  ], RESOLUTIONS.day, SERVICE);
+
+  assert.equal(unknown.status, 'unknown');
+  assert.equal(unknown.no_data, true);
+  assert.equal(unknown.ping_ms, 0);
+  assert.equal(unknown.success_ratio, undefined);
+
+  // Half of the cell was maintenance
+  assert.equal(maintenance.status, 'maintenance');
+  assert.equal(maintenance.maintenance, true);
+  assert.equal(maintenance.success_ratio, 1);
+
+  // The no-data hour doesn't hide a slow one
+  assert.equal(slow.status, 'degraded');
+  assert.equal(slow.no_data, undefined);
+  assert.equal(slow.ping_ms, 1500);
+});
+
+test('auto picks the finest resolution that fits the cell budget', () => {
+  const from = T0;
+  const to = T0 + 30 * DAY - 1;
+  assert.equal(countCells(from, to, HOUR), 720);
+  assert.equal(countCells(from, to, RESOLUTIONS['6h']), 120);
+  assert.equal(countCells(from, to, RESOLUTIONS.day), 30);
+  // Cells touched by an unaligned window count whole
+  assert.equal(countCells(T0 + HOUR / 2, T0 + 3 * HOUR / 2, HOUR), 2);
+
+  assert.deepEqual(pickResolution(from, to, HOUR, 1000), { name: 'raw', ms: HOUR });
+  assert.deepEqual(pickResolution(from, to, HOUR, 168), { name: '6h', ms: 6 * HOUR });
+  assert.deepEqual(pickResolution(from, to, HOUR, 30), { name: 'day', ms: DAY });
+  // Nothing fits: the coarsest resolution
+  assert.deepEqual(pickResolution(from, to, HOUR, 10), { name: 'day', ms: DAY });
+  // Minute buckets try hour buckets before 6h
+  assert.deepEqual(pickResolution(T0, T0 + DAY - 1, 60000, 168), { name: 'hour', ms: HOUR });
+});
+
+test('/api/snapshots downsamples long windows to the resolution and limit asked for', async (t) => {
+  // Ten days of stored buckets: more than the 168 hours served without resolution
+  for (let i = 0; i < 10 * 24; i++) {
+    await writeHourlySnapshot('svc', T0 + i * HOUR, 100, { samples_total: 60, samples_ok: i % 24 === 0 ? 30 : 60 });
+  }
+  const api = await startApi({
+    config: { services: [SERVICE] },
+    accumulator: { getCurrentHourData: () => null }
+  });
+  t.after(() => close(api.server));
+
+  const get = async (query) => {
+    const res = await fetch(`${api.baseUrl}/snapshots?service_id=svc&from_utc_ms=${T0}&to_utc_ms=${T0 + 10 * DAY - 1}${query}`);
+    return { status: res.status, body: await res.json() };
+  };
+
+  assert.equal((await get('')).status, 400);
+  assert.equal((await get('&resolution=week')).status, 400);
+
+  // Default budget of 168 cells: 40 cells of 6h
+  let { body } = await get('&resolution=auto');
+  assert.deepEqual([body.resolution, body.resolution_ms, body.snapshots.length], ['6h', 6 * HOUR, 40]);
+  assert.deepEqual([body.snapshots[0].buckets, body.snapshots[0].success_ratio, body.snapshots[1].success_ratio], [6, 0.9167, 1]);
+
+  ({ body } = await get('&resolution=auto&limit=10'));
+  assert.deepEqual([body.resolution, body.snapshots.length], ['day', 10]);
+  assert.deepEqual(body.snapshots.map((s) => s.hour_utc_ms), Array.from({ length: 10 }, (_, i) => T0 + i * DAY));
+
+  // A budget that fits every stored bucket returns them as stored
+  ({ body } = await get('&resolution=auto&limit=500'));
+  assert.deepEqual([body.resolution, body.snapshots.length], ['raw', 240]);
+
+  // With a fixed resolution, limit cuts the cells
+  ({ body } = await get('&resolution=day&limit=3&fields=status,success_ratio'));
+  assert.deepEqual(body.snapshots, [
+    { hour_utc_ms: T0, status: 'up', success_ratio: 0.9792 },
+    { hour_utc_ms: T0 + DAY, status: 'up', success_ratio: 0.9792 },
+    { hour_utc_ms: T0 + 2 * DAY, status: 'up', success_ratio: 0.9792 }
+  ]);
+});
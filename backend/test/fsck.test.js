@@ -0,0 +1,135 @@
+// The integrity checker on broken month files: what it reports, and what is
+// left on disk without options, with quarantine and with repair.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir } = require('./helpers');
+
+const dataDir = useTempDataDir('fsck');
+const { checkDataFiles } = require('../src/lib/fsck');
+
+const quarantineDir = path.join(dataDir, 'quarantine');
+
+function hour(day, h) {
+  return Date.UTC(2024, 0, day, h);
+}
+
+function entry(hourUtcMs, pingMs = 100) {
+  return { hour_utc_ms: hourUtcMs, ping_ms: pingMs };
+}
+
+// Each test starts from an empty data dir holding only `files`
+function writeFixture(files) {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+  fs.mkdirSync(dataDir, { recursive: true });
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dataDir, name), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+}
+
+function readData(name) {
+  return JSON.parse(fs.readFileSync(path.join(dataDir, name), 'utf-8'));
+}
+
+function quarantined() {
+  return fs.existsSync(quarantineDir) ? fs.readdirSync(quarantineDir) : [];
+}
+
+function kinds(report) {
+  return report.problems.map((p) => [p.file, p.kind, p.action]);
+}
+
+// Truncated mid-way through its third entry
+const TRUNCATED = JSON.stringify([entry(hour(1, 0)), entry(hour(1, 1)), entry(hour(1, 2))]).slice(0, -20);
+
+test('a truncated file is reported, quarantined, or salvaged on repair', async () => {
+  writeFixture({ 'svc-2024-01.json': TRUNCATED });
+  let report = await checkDataFiles();
+  assert.equal(report.files_checked, 1);
+  assert.deepEqual(kinds(report), [['svc-2024-01.json', 'invalid_json', 'reported']]);
+  assert.equal(fs.readFileSync(path.join(dataDir, 'svc-2024-01.json'), 'utf-8'), TRUNCATED);
+  assert.deepEqual(quarantined(), []);
+
+  report = await checkDataFiles({ quarantine: true });
+  assert.deepEqual(kinds(report), [['svc-2024-01.json', 'invalid_json', 'quarantined']]);
+  assert.equal(fs.existsSync(path.join(dataDir, 'svc-2024-01.json')), false);
+  assert.equal(quarantined().length, 1);
+  assert.match(quarantined()[0], /^svc-2024-01\.json\.\d+$/);
+
+  writeFixture({ 'svc-2024-01.json': TRUNCATED });
+  report = await checkDataFiles({ repair: true });
+  assert.deepEqual(kinds(report), [['svc-2024-01.json', 'invalid_json', 'quarantined']]);
+  assert.match(report.problems[0].detail, /salvaged 2 entries$/);
+  // The damaged original is kept aside; the complete entries are written back
+  assert.equal(fs.readFileSync(path.join(quarantineDir, quarantined()[0]), 'utf-8'), TRUNCATED);
+  assert.deepEqual(readData('svc-2024-01.json'), [entry(hour(1, 0)), entry(hour(1, 1))]);
+});
+
+test('misplaced, duplicate and invalid entries are reported, then repaired', async () => {
+  const february = Date.UTC(2024, 1, 1, 0);
+  const march = Date.UTC(2024, 2, 1, 0);
+  const january = [
+    entry(hour(1, 2)),
+    entry(hour(1, 1), 1),
+    entry(hour(1, 1), 2),
+    entry(february, 3),
+    entry(march, 4),
+    { ping_ms: 5 },
+    entry(hour(1, 3) + 1)
+  ];
+  writeFixture({
+    'svc-2024-01.json': january,
+    // Already has the February bucket: the moved copy doesn't replace it
+    'svc-2024-02.json': [entry(february, 999)]
+  });
+
+  let report = await checkDataFiles();
+  assert.deepEqual(kinds(report), [
+    ['svc-2024-01.json', 'invalid_entry', 'reported'],
+    ['svc-2024-01.json', 'duplicate_bucket', 'reported'],
+    ['svc-2024-01.json', 'unsorted', 'reported'],
+    ['svc-2024-01.json', 'misaligned', 'reported'],
+    ['svc-2024-01.json', 'wrong_month', 'reported']
+  ]);
+  assert.equal(report.problems.find((p) => p.kind === 'wrong_month').count, 2);
+  assert.deepEqual(readData('svc-2024-01.json'), january);
+
+  report = await checkDataFiles({ repair: true });
+  assert.ok(report.problems.every((p) => p.action === 'repaired'));
+  assert.equal(report.repaired, true);
+  // Sorted, last duplicate wins, other months moved out
+  assert.deepEqual(readData('svc-2024-01.json'), [entry(hour(1, 1), 2), entry(hour(1, 2))]);
+  assert.deepEqual(readData('svc-2024-02.json'), [entry(february, 999)]);
+  assert.deepEqual(readData('svc-2024-03.json'), [entry(march, 4)]);
+  // Entries that can't be placed are set aside
+  const rejected = quarantined();
+  assert.equal(rejected.length, 1);
+  assert.match(rejected[0], /^svc-2024-01\.json\.\d+\.rejected\.json$/);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(quarantineDir, rejected[0]), 'utf-8')), [{ ping_ms: 5 }, entry(hour(1, 3) + 1)]);
+
+  // Nothing left to find
+  assert.deepEqual((await checkDataFiles()).problems, []);
+});
+
+test('a file without an array and leftover temp files', async () => {
+  const tempName = 'svc-2024-01.json.1234.1700000000000.k2j4h5.tmp';
+  writeFixture({ 'svc-2024-01.json': [entry(hour(1, 0))], 'svc-2024-04.json': '{"hour_utc_ms": 0}', [tempName]: '[' });
+  // Only temp files older than a minute count as orphans
+  const old = new Date(Date.now() - 5 * 60000);
+  fs.utimesSync(path.join(dataDir, tempName), old, old);
+
+  let report = await checkDataFiles();
+  assert.deepEqual(kinds(report), [
+    ['svc-2024-04.json', 'not_array', 'reported'],
+    [tempName, 'orphan_tmp', 'reported']
+  ]);
+
+  report = await checkDataFiles({ repair: true });
+  assert.deepEqual(kinds(report), [
+    ['svc-2024-04.json', 'not_array', 'quarantined'],
+    [tempName, 'orphan_tmp', 'removed']
+  ]);
+  assert.deepEqual(fs.readdirSync(dataDir).sort(), ['quarantine', 'svc-2024-01.json']);
+  assert.match(quarantined()[0], /^svc-2024-04\.json\.\d+$/);
+});
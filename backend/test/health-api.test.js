@@ -0,0 +1,83 @@
+// /api/health and the live bucket of /api/snapshots report the rules engine's
+// verdict for block height providers: lag degrades, a stalled chain is down.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempDataDir, startApi, close, observeHeight } = require('./helpers');
+
+useTempDataDir('health');
+const { configureRules } = require('../src/lib/rules');
+const accumulator = require('../src/lib/accumulator');
+const { hourBucketUtcMs } = require('../src/lib/time');
+const { configureMaintenance } = require('../src/lib/maintenance');
+
+const MINUTE = 60000;
+
+function blockService(id, stallAfterMs) {
+  return {
+    id,
+    tags: [],
+    slow_threshold_ms: 1000,
+    paused: false,
+    block_height: { peer_group: 'chain', max_lag_blocks: 3, stall_after_ms: stallAfterMs }
+  };
+}
+
+const config = {
+  services: [blockService('node', null), blockService('lagging', null), blockService('stalled', 10 * MINUTE)],
+  maintenance: []
+};
+
+let api;
+
+test.before(async () => {
+  configureRules(config);
+  configureMaintenance(config);
+  api = await startApi({ config, accumulator: { getCurrentHourData: accumulator.getCurrentHourData } });
+});
+
+test.after(() => close(api.server));
+
+test('health status comes from the rules engine', async () => {
+  const now = Date.now();
+  for (const id of ['node', 'lagging', 'stalled']) {
+    observeHeight(id, 100, now - 15 * MINUTE);
+  }
+  observeHeight('node', 110, now - MINUTE);
+  observeHeight('lagging', 105, now - MINUTE);
+  await observeHeight('stalled', 100, now - MINUTE);
+
+  const { services } = await (await fetch(`${api.baseUrl}/health`)).json();
+  const byId = new Map(services.map((s) => [s.id, s]));
+
+  assert.equal(byId.get('node').status, 'up');
+  assert.equal(byId.get('node').stalled, false);
+
+  const lagging = byId.get('lagging');
+  assert.deepEqual([lagging.status, lagging.color, lagging.rule, lagging.lag_blocks], ['degraded', 'yellow', 'block-lag', 5]);
+  assert.equal(lagging.reason, '5 blocks behind peer group');
+
+  const stalled = byId.get('stalled');
+  assert.deepEqual([stalled.status, stalled.color, stalled.rule, stalled.stalled], ['down', 'red', 'block-stall', true]);
+  assert.equal(stalled.height_changed_utc_ms, now - 15 * MINUTE);
+});
+
+test('a stalled service keeps its measured latency in the live bucket', async () => {
+  // Runs after the test above: 'stalled' is down although its checks pass
+  const now = Date.now();
+  accumulator.recordSample('stalled', now, true, 40, null, { block_height: 100, lag_blocks: 20 });
+  accumulator.recordSample('stalled', now, true, 60, null, { block_height: 100, lag_blocks: 20 });
+
+  const bucket = hourBucketUtcMs(now);
+  const query = `service_id=stalled&from_utc_ms=${bucket}&to_utc_ms=${bucket}`;
+  const { snapshots } = await (await fetch(`${api.baseUrl}/snapshots?${query}`)).json();
+  const live = snapshots.at(-1);
+  assert.deepEqual([live.ping_ms, live.samples_ok, live.status], [50, 2, 'down']);
+  assert.match(live.failure_reason, /^block height 100 unchanged for \d+ min$/);
+
+  const health = (await (await fetch(`${api.baseUrl}/health`)).json()).services.find((s) => s.id === 'stalled');
+  assert.deepEqual([health.last_ping_ms, health.status, health.color], [50, 'down', 'red']);
+
+  // Downsampled cells keep the verdict too
+  const auto = await (await fetch(`${api.baseUrl}/snapshots?${query}&resolution=day`)).json();
+  assert.equal(auto.snapshots.at(-1).status, 'down');
+});
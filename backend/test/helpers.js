@@ -0,0 +1,70 @@
+// Shared test setup. `npm test` only runs *.test.js files, so this module has
+// no tests of its own. Modules under src/ are required on use: data file paths
+// are fixed when lib/storage loads, after useTempDataDir has run.
+const test = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Send data files (PULSE_DATA_DIR) to a fresh temp dir, removed after the
+// file's tests. Call before requiring anything from src/.
+function useTempDataDir(name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `pulse-${name}-`));
+  process.env.PULSE_DATA_DIR = dir;
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Poll until condition() (sync or async) is truthy
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) throw new Error('timed out waiting for condition');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+  });
+}
+
+function close(server) {
+  if (server.closeAllConnections) server.closeAllConnections();
+  return new Promise((resolve) => server.close(resolve));
+}
+
+// Serve the API routes with the given app.locals (config, accumulator, ...).
+// Resolves to { server, baseUrl } with baseUrl ending in /api.
+async function startApi(locals) {
+  const express = require('express');
+  const routes = require('../src/api/routes');
+  const app = express();
+  app.use(express.json());
+  Object.assign(app.locals, locals);
+  app.use('/api', routes);
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  return { server, baseUrl: `http://127.0.0.1:${server.address().port}/api` };
+}
+
+// What the poller does for a block height provider that answered: record the
+// height in its peer group and feed the sample to the rules engine. Resolves
+// once the height is saved.
+function observeHeight(serviceId, height, atMs, group = 'chain') {
+  const { recordHeight, getLag } = require('../src/lib/consensus');
+  const { observeSample } = require('../src/lib/rules');
+  const saved = recordHeight(serviceId, group, height, atMs);
+  observeSample(serviceId, atMs, true, 50, null, { block_height: height, lag_blocks: getLag(serviceId, atMs) });
+  return saved;
+}
+
+module.exports = {
+  useTempDataDir,
+  waitFor,
+  listen,
+  close,
+  startApi,
+  observeHeight
+};
@@ -0,0 +1,66 @@
+// Incidents close on recovery, and end when their service stops being polled
+// (paused or removed).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempDataDir } = require('./helpers');
+
+useTempDataDir('incidents');
+const events = require('../src/lib/events');
+const { startIncidentTracking, endIncident, readIncidents } = require('../src/lib/incidents');
+const { configureRules, observeSample, forgetServiceState, getServiceState } = require('../src/lib/rules');
+
+const T0 = 1700000000000;
+const MINUTE = 60000;
+
+function emitTransition(serviceId, from, to, atMs) {
+  events.emit('transition', {
+    service_id: serviceId,
+    from,
+    to,
+    at_utc_ms: atMs,
+    started_utc_ms: atMs,
+    reason: 'timeout',
+    rule: 'consecutive-failures',
+    duration_ms: null,
+    suppressed: false
+  });
+}
+
+async function incidentOf(serviceId) {
+  const incidents = await readIncidents([serviceId], T0, T0 + 60 * MINUTE, T0 + 60 * MINUTE);
+  return incidents[0];
+}
+
+test('incidents end on recovery, pause or removal', async (t) => {
+  const stop = startIncidentTracking();
+  t.after(stop);
+
+  emitTransition('recovers', 'up', 'down', T0);
+  emitTransition('recovers', 'down', 'up', T0 + 5 * MINUTE);
+  emitTransition('paused', 'up', 'down', T0);
+  emitTransition('removed', 'up', 'down', T0);
+  await endIncident('paused', T0 + 10 * MINUTE, 'paused');
+  await endIncident('removed', T0 + 20 * MINUTE, 'removed');
+  // Nothing open any more: a no-op
+  await endIncident('removed', T0 + 30 * MINUTE, 'removed');
+
+  const recovered = await incidentOf('recovers');
+  assert.deepEqual([recovered.end_utc_ms, recovered.end_reason, recovered.ongoing], [T0 + 5 * MINUTE, 'recovered', false]);
+  const paused = await incidentOf('paused');
+  assert.deepEqual([paused.end_utc_ms, paused.duration_ms, paused.end_reason, paused.ongoing], [T0 + 10 * MINUTE, 10 * MINUTE, 'paused', false]);
+  const removed = await incidentOf('removed');
+  assert.deepEqual([removed.end_utc_ms, removed.end_reason], [T0 + 20 * MINUTE, 'removed']);
+});
+
+test('a paused service starts over in the rules engine', () => {
+  configureRules({ services: [{ id: 'svc', tags: [] }] });
+  for (let i = 0; i < 5; i++) {
+    observeSample('svc', T0 + i * MINUTE, false, null, 'timeout', null);
+  }
+  assert.equal(getServiceState('svc').state, 'down');
+
+  forgetServiceState('svc');
+  assert.equal(getServiceState('svc').state, null);
+  observeSample('svc', T0 + 60 * MINUTE, true, 50, null, null);
+  assert.equal(getServiceState('svc').state, 'up');
+});
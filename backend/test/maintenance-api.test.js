@@ -0,0 +1,49 @@
+// Maintenance window changes over the API need an admin token and are audited.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempDataDir, startApi, close } = require('./helpers');
+
+useTempDataDir('maintenance');
+process.env.PULSE_ADMIN_TOKENS = 'ops:test-token';
+const { configureMaintenance } = require('../src/lib/maintenance');
+
+const WINDOW = { id: 'upgrade', title: 'Upgrade', start_utc_ms: 1700000000000, end_utc_ms: 1700003600000 };
+
+let api;
+
+test.before(async () => {
+  configureMaintenance({ services: [], maintenance: [] });
+  api = await startApi({ config: { services: [], maintenance: [] } });
+});
+
+test.after(() => close(api.server));
+
+function request(method, urlPath, { token, body } = {}) {
+  const headers = { 'content-type': 'application/json' };
+  if (token) headers.authorization = `Bearer ${token}`;
+  return fetch(api.baseUrl + urlPath, { method, headers, body: body ? JSON.stringify(body) : undefined });
+}
+
+test('creating or deleting a window without a valid token is refused', async () => {
+  assert.equal((await request('POST', '/maintenance', { body: WINDOW })).status, 401);
+  assert.equal((await request('POST', '/maintenance', { body: WINDOW, token: 'wrong' })).status, 401);
+  assert.equal((await request('DELETE', '/maintenance/upgrade')).status, 401);
+
+  const listed = await (await request('GET', '/maintenance')).json();
+  assert.deepEqual(listed.windows, []);
+});
+
+test('admin changes to windows are applied and audited', async () => {
+  assert.equal((await request('POST', '/maintenance', { body: WINDOW, token: 'test-token' })).status, 201);
+  assert.equal((await request('POST', '/maintenance', { body: { ...WINDOW, title: 'Longer' }, token: 'test-token' })).status, 200);
+  assert.equal((await request('DELETE', '/maintenance/upgrade', { token: 'test-token' })).status, 204);
+
+  const { entries } = await (await request('GET', '/admin/audit', { token: 'test-token' })).json();
+  assert.deepEqual(entries.map((e) => [e.actor, e.action, e.service_id]), [
+    ['ops', 'maintenance_delete', null],
+    ['ops', 'maintenance_update', null],
+    ['ops', 'maintenance_create', null]
+  ]);
+  assert.equal(entries[1].before.title, 'Upgrade');
+  assert.equal(entries[1].after.title, 'Longer');
+});
@@ -0,0 +1,110 @@
+// Notification delivery against a local HTTP sink: retries with backoff and
+// the delivery log.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { useTempDataDir, waitFor, listen } = require('./helpers');
+
+const dataDir = useTempDataDir('notifier');
+const events = require('../src/lib/events');
+const { startNotifier, getRecentDeliveries } = require('../src/lib/notifier');
+
+const RETRY_BASE_MS = 50;
+
+// Sink that answers the first `failures` requests with 503, then 204
+async function startSink(failures) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ at: Date.now(), headers: req.headers, body: JSON.parse(body) });
+      res.statusCode = requests.length <= failures ? 503 : 204;
+      res.end();
+    });
+  });
+  const port = await listen(server);
+  return { server, requests, url: `http://127.0.0.1:${port}/hook` };
+}
+
+function notifierConfig(url, maxAttempts) {
+  return {
+    services: [{ id: 'svc', name: 'Service', url: 'https://example.org', tags: ['web'] }],
+    notifications: {
+      channels: { sink: { type: 'webhook', url, max_attempts: maxAttempts, headers: { 'x-token': 'secret' } } },
+      routes: [{ tags: ['web'], channels: ['sink'] }],
+      retry_base_ms: RETRY_BASE_MS
+    }
+  };
+}
+
+function emitDown(atMs) {
+  events.emit('transition', {
+    service_id: 'svc',
+    from: 'up',
+    to: 'down',
+    at_utc_ms: atMs,
+    started_utc_ms: atMs,
+    reason: 'timeout',
+    rule: 'consecutive_failures',
+    duration_ms: null,
+    suppressed: false
+  });
+}
+
+test('retries with exponential backoff until the sink accepts', async (t) => {
+  const sink = await startSink(2);
+  const stop = startNotifier(notifierConfig(sink.url, 5));
+  t.after(() => {
+    stop();
+    sink.server.close();
+  });
+
+  emitDown(1700000000000);
+  await waitFor(() => sink.requests.length === 3);
+
+  const [first, second, third] = sink.requests;
+  assert.ok(second.at - first.at >= RETRY_BASE_MS, 'first retry after the base delay');
+  assert.ok(third.at - second.at >= 2 * RETRY_BASE_MS, 'second retry after twice the base delay');
+  assert.equal(first.headers['x-token'], 'secret');
+  assert.equal(first.body.event, 'service_down');
+  assert.equal(first.body.service.id, 'svc');
+  assert.equal(first.body.reason, 'timeout');
+
+  // Newest first in memory; every attempt is appended to the log file
+  await waitFor(() => getRecentDeliveries().length >= 3);
+  const attempts = getRecentDeliveries().slice(0, 3).reverse();
+  assert.deepEqual(attempts.map((d) => [d.attempt, d.ok, d.status, d.error]), [
+    [1, false, 503, 'HTTP 503'],
+    [2, false, 503, 'HTTP 503'],
+    [3, true, 204, null]
+  ]);
+
+  const logPath = path.join(dataDir, 'notifications', 'deliveries.ndjson');
+  await waitFor(() => fs.existsSync(logPath) && fs.readFileSync(logPath, 'utf-8').trim().split('\n').length >= 3);
+  const logged = fs.readFileSync(logPath, 'utf-8').trim().split('\n').map((line) => JSON.parse(line));
+  assert.deepEqual(logged.map((d) => [d.channel, d.service_id, d.attempt, d.ok]), [
+    ['sink', 'svc', 1, false],
+    ['sink', 'svc', 2, false],
+    ['sink', 'svc', 3, true]
+  ]);
+});
+
+test('gives up after max_attempts', async (t) => {
+  const sink = await startSink(Infinity);
+  const stop = startNotifier(notifierConfig(sink.url, 2));
+  t.after(() => {
+    stop();
+    sink.server.close();
+  });
+
+  const before = getRecentDeliveries().length;
+  emitDown(1700000600000);
+  await waitFor(() => getRecentDeliveries().length === before + 2);
+  // No third attempt arrives after the backoff it would have waited
+  await new Promise((resolve) => setTimeout(resolve, 4 * RETRY_BASE_MS));
+  assert.equal(sink.requests.length, 2);
+  assert.deepEqual(getRecentDeliveries().slice(0, 2).map((d) => d.ok), [false, false]);
+});
@@ -0,0 +1,111 @@
+// Daily rollups: the merge of one day of raw buckets, and compaction of every
+// stored service before its raw data is pruned.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempDataDir } = require('./helpers');
+
+useTempDataDir('rollups');
+const { buildDailyRollup, compactRollups } = require('../src/lib/rollups');
+const { sumSnapshots } = require('../src/lib/uptime');
+const {
+  writeHourlySnapshot,
+  writeIncidentMonth,
+  readRollupMonth,
+  listSnapshotMonths,
+  pruneRetention
+} = require('../src/lib/persistence');
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+const DAY0 = Date.UTC(2024, 0, 10);
+
+const BUCKETS = [
+  { hour_utc_ms: DAY0, ping_ms: 100, p50_ms: 90, samples_total: 60, samples_ok: 60, min_ms: 50, max_ms: 300, p95_ms: 200, p99_ms: 280, lag_blocks: 1 },
+  { hour_utc_ms: DAY0 + HOUR, ping_ms: 200, samples_total: 60, samples_ok: 30, min_ms: 120, max_ms: 600, p95_ms: 400, p99_ms: 500, failure_reasons: { timeout: 30 } },
+  { hour_utc_ms: DAY0 + 2 * HOUR, ping_ms: 0, samples_total: 60, samples_ok: 0, failure_reasons: { timeout: 10, 'HTTP 502': 50 } },
+  { hour_utc_ms: DAY0 + 3 * HOUR, ping_ms: 0, samples_total: 0, samples_ok: 0, samples_maintenance: 60, maintenance: true },
+  { hour_utc_ms: DAY0 + 4 * HOUR, ping_ms: 0, no_data: true },
+  // Written before sample counts existed: fully up
+  { hour_utc_ms: DAY0 + 5 * HOUR, ping_ms: 150 }
+];
+
+test('a day of buckets merges into one rollup', () => {
+  assert.deepEqual(buildDailyRollup(DAY0, BUCKETS, 2), {
+    hour_utc_ms: DAY0,
+    bucket_ms: DAY,
+    buckets: 6,
+    // Median of the bucket medians 90, 200 and 150, weighted by 60, 30 and 1
+    // successful checks
+    ping_ms: 90,
+    p50_ms: 90,
+    // Mean of 1, 0.5, 0 and 1; the maintenance and no-data buckets are left out
+    success_ratio: 0.625,
+    monitored_ms: 4 * HOUR,
+    maintenance_ms: HOUR,
+    incidents: 2,
+    samples_total: 180,
+    samples_ok: 90,
+    samples_maintenance: 60,
+    maintenance: false,
+    failure_reasons: { timeout: 40, 'HTTP 502': 50 },
+    min_ms: 50,
+    max_ms: 600,
+    p95_ms: 400,
+    p99_ms: 500,
+    lag_blocks: 1
+  });
+});
+
+test('a rollup keeps the monitored, up and maintenance time of its buckets', () => {
+  const rollup = buildDailyRollup(DAY0, BUCKETS, 0);
+  const raw = sumSnapshots(BUCKETS, DAY0, DAY0 + DAY, HOUR);
+  const rolled = sumSnapshots([rollup], DAY0, DAY0 + DAY, HOUR);
+  assert.equal(rolled.monitored_ms, raw.monitored_ms);
+  assert.equal(rolled.up_ms, raw.up_ms);
+  assert.equal(rolled.maintenance_ms, raw.maintenance_ms);
+});
+
+test('days without data or mostly in maintenance are flagged', () => {
+  const empty = buildDailyRollup(DAY0, [
+    { hour_utc_ms: DAY0, ping_ms: 0, no_data: true },
+    { hour_utc_ms: DAY0 + HOUR, ping_ms: 0, no_data: true }
+  ], 0);
+  assert.equal(empty.no_data, true);
+  assert.equal(empty.ping_ms, 0);
+  assert.equal(empty.success_ratio, 0);
+  assert.equal(empty.monitored_ms, 0);
+
+  const maintenance = buildDailyRollup(DAY0, [BUCKETS[0], BUCKETS[3], { ...BUCKETS[3], hour_utc_ms: DAY0 + 4 * HOUR }], 0);
+  assert.equal(maintenance.maintenance, true);
+  assert.equal(maintenance.no_data, undefined);
+  assert.equal(maintenance.maintenance_ms, 2 * HOUR);
+});
+
+test('compaction rolls up every stored service before pruning, configured or not', async () => {
+  const now = Date.UTC(2024, 2, 15, 12);
+  // 'removed' is no longer in services.json, but its raw history is still on disk
+  for (const serviceId of ['kept', 'removed']) {
+    for (let h = 0; h < 3; h++) {
+      await writeHourlySnapshot(serviceId, DAY0 + h * HOUR, 100 + h, { samples_total: 60, samples_ok: 60 });
+      await writeHourlySnapshot(serviceId, DAY0 + DAY + h * HOUR, 200, { samples_total: 60, samples_ok: 30 });
+    }
+    await writeHourlySnapshot(serviceId, Date.UTC(2024, 2, 10), 100);
+  }
+  await writeIncidentMonth('2024-01', [
+    { service_id: 'removed', start_utc_ms: DAY0 + HOUR, end_utc_ms: DAY0 + 2 * HOUR }
+  ]);
+
+  await compactRollups(30, now);
+  await pruneRetention(30, now);
+
+  for (const serviceId of ['kept', 'removed']) {
+    const rollups = await readRollupMonth(serviceId, '2024-01');
+    assert.deepEqual(rollups.map((r) => [r.hour_utc_ms, r.ping_ms, r.success_ratio]), [
+      [DAY0, 101, 1],
+      [DAY0 + DAY, 200, 0.5]
+    ]);
+    assert.deepEqual(rollups.map((r) => r.incidents), serviceId === 'removed' ? [1, 0] : [0, 0]);
+    // Only the raw month inside retention is left
+    assert.deepEqual(await listSnapshotMonths(serviceId), ['2024-03']);
+  }
+});
@@ -0,0 +1,80 @@
+// Block height conditions in the rules engine: lag degrades a service, a
+// stalled chain takes it down and opens an incident.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempDataDir, waitFor, observeHeight } = require('./helpers');
+
+useTempDataDir('rules');
+const events = require('../src/lib/events');
+const { configureRules, observeSample, getServiceState } = require('../src/lib/rules');
+const { startIncidentTracking, readIncidents } = require('../src/lib/incidents');
+
+const T0 = 1700000000000;
+const MINUTE = 60000;
+
+const config = {
+  services: [
+    { id: 'explorer', tags: [], block_height: { peer_group: 'chain', max_lag_blocks: 3, stall_after_ms: 10 * MINUTE } },
+    { id: 'node', tags: [], block_height: { peer_group: 'chain', max_lag_blocks: 3, stall_after_ms: null } },
+    { id: 'web', tags: [], block_height: null }
+  ]
+};
+
+test('default rules degrade a lagging provider and take a stalled one down', async (t) => {
+  configureRules(config);
+  const stopIncidents = startIncidentTracking();
+  const transitions = [];
+  const onTransition = (event) => transitions.push(event);
+  events.on('transition', onTransition);
+  t.after(() => {
+    stopIncidents();
+    events.off('transition', onTransition);
+  });
+
+  observeHeight('node', 100, T0);
+  observeHeight('explorer', 100, T0);
+  assert.equal(getServiceState('explorer').state, 'up');
+
+  // The node moves on, the explorer falls 10 blocks behind
+  observeHeight('node', 110, T0 + MINUTE);
+  observeHeight('explorer', 100, T0 + MINUTE);
+  assert.equal(getServiceState('explorer').state, 'degraded');
+  assert.equal(getServiceState('explorer').rule_type, 'block_lag');
+  assert.equal(transitions.at(-1).reason, '10 blocks behind peer group');
+
+  // Still answering, but the height hasn't changed for longer than stall_after_ms
+  observeHeight('node', 120, T0 + 11 * MINUTE);
+  observeHeight('explorer', 100, T0 + 11 * MINUTE);
+  const stalled = getServiceState('explorer');
+  assert.equal(stalled.state, 'down');
+  assert.equal(stalled.rule, 'block-stall');
+  assert.equal(stalled.rule_type, 'block_stall');
+  assert.deepEqual(
+    transitions.filter((e) => e.service_id === 'explorer').map((e) => [e.from, e.to, e.rule]),
+    [['up', 'degraded', 'block-lag'], ['degraded', 'down', 'block-stall']]
+  );
+  assert.equal(transitions.at(-1).reason, 'block height 100 unchanged for 11 min');
+
+  let incidents = [];
+  await waitFor(async () => {
+    incidents = await readIncidents(['explorer'], T0, T0 + 20 * MINUTE, T0 + 20 * MINUTE);
+    return incidents.length === 1;
+  });
+  assert.equal(incidents[0].rule, 'block-stall');
+  assert.equal(incidents[0].reason, 'block height 100 unchanged for 11 min');
+  assert.equal(incidents[0].ongoing, true);
+
+  // Caught up: recovers and the incident closes
+  observeHeight('explorer', 120, T0 + 12 * MINUTE);
+  assert.equal(getServiceState('explorer').state, 'up');
+  await waitFor(async () => {
+    incidents = await readIncidents(['explorer'], T0, T0 + 20 * MINUTE, T0 + 20 * MINUTE);
+    return incidents[0].end_utc_ms === T0 + 12 * MINUTE;
+  });
+
+  // Without stall_after_ms, and without block_height, these rules never fire
+  await observeHeight('node', 120, T0 + 60 * MINUTE);
+  observeSample('web', T0 + 60 * MINUTE, true, 50, null, {});
+  assert.equal(getServiceState('node').state, 'up');
+  assert.equal(getServiceState('web').state, 'up');
+});
@@ -0,0 +1,78 @@
+// Hour rollovers after downtime: buckets missed since the last written one are
+// backfilled (at most a week of them), and buckets without any poll are
+// written as no data rather than down.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempDataDir, waitFor } = require('./helpers');
+
+useTempDataDir('scheduler');
+const { startScheduler, getLastRollover } = require('../src/lib/scheduler');
+const { recordSample, writeBucketSnapshots, getCurrentHourData } = require('../src/lib/accumulator');
+const { readSnapshots } = require('../src/lib/persistence');
+const { hourBucketUtcMs } = require('../src/lib/time');
+
+const HOUR = 3600000;
+
+// Start the scheduler after a previous run that last wrote lastCompletedMs,
+// collecting its onHour calls
+function startAfter(t, lastCompletedMs) {
+  const calls = [];
+  const stop = startScheduler((completedHour, missed) => {
+    calls.push({ completedHour, missed });
+  }, lastCompletedMs);
+  t.after(stop);
+  return calls;
+}
+
+test('buckets missed while the backend was down are passed to the first rollover', async (t) => {
+  const current = hourBucketUtcMs(Date.now());
+  const calls = startAfter(t, current - 5 * HOUR);
+
+  await waitFor(() => calls.length === 1);
+  assert.deepEqual(calls[0], {
+    completedHour: current - HOUR,
+    missed: [current - 4 * HOUR, current - 3 * HOUR, current - 2 * HOUR]
+  });
+  await waitFor(() => getLastRollover() !== null);
+  assert.equal(getLastRollover().completed_bucket_utc_ms, current - HOUR);
+});
+
+test('backfill after a long downtime stops at a week of buckets', async (t) => {
+  const current = hourBucketUtcMs(Date.now());
+  const calls = startAfter(t, current - 1000 * HOUR);
+
+  await waitFor(() => calls.length === 1);
+  const { completedHour, missed } = calls[0];
+  assert.equal(completedHour, current - HOUR);
+  assert.equal(missed.length, 168);
+  assert.equal(missed[0], completedHour - 168 * HOUR);
+  assert.equal(missed.at(-1), completedHour - HOUR);
+});
+
+test('nothing to catch up on without a gap or a previous run', async (t) => {
+  const current = hourBucketUtcMs(Date.now());
+  const upToDate = startAfter(t, current - HOUR);
+  const firstRun = startAfter(t, null);
+
+  // Both wait for the next boundary
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.deepEqual(upToDate, []);
+  assert.deepEqual(firstRun, []);
+});
+
+test('a bucket without polls is written as no data', async () => {
+  const bucket = Date.UTC(2024, 0, 10, 5);
+  recordSample('polled', bucket + 1000, true, 40, null, {});
+  recordSample('polled', bucket + 2000, false, null, 'timeout', {});
+
+  const services = [{ id: 'polled' }, { id: 'idle' }];
+  assert.equal(await writeBucketSnapshots(services, bucket), 2);
+  // The finalized bucket is gone from the accumulator
+  assert.equal(getCurrentHourData('polled', bucket), null);
+
+  const stored = await readSnapshots(['polled', 'idle'], bucket, bucket);
+  assert.deepEqual(stored.idle, [{ hour_utc_ms: bucket, ping_ms: 0, no_data: true }]);
+  const [polled] = stored.polled;
+  assert.deepEqual([polled.ping_ms, polled.samples_total, polled.samples_ok, polled.failure_reasons], [40, 2, 1, { timeout: 1 }]);
+  assert.equal(polled.no_data, undefined);
+});
@@ -0,0 +1,120 @@
+// The ndjson storage engine (index offsets, rewritten hours, torn last lines)
+// and migrating json month files to it.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { useTempDataDir } = require('./helpers');
+
+const dataDir = useTempDataDir('storage');
+const { createNdjsonStorage } = require('../src/lib/storage/ndjson');
+const { configureStorage, writeHourlySnapshot, readSnapshots } = require('../src/lib/persistence');
+
+const HOUR = 3600000;
+// 2024-01-31T22:00Z: three buckets spanning a day and a month boundary
+const T0 = Date.UTC(2024, 0, 31, 22);
+
+function snapshot(hourUtcMs, pingMs) {
+  return { hour_utc_ms: hourUtcMs, ping_ms: pingMs, samples_total: 60, samples_ok: 60 };
+}
+
+function lineCount(filePath) {
+  return fs.readFileSync(filePath, 'utf-8').split('\n').filter(Boolean).length;
+}
+
+test('ndjson: written buckets are read back by range and latest', async () => {
+  const dir = path.join(dataDir, 'roundtrip');
+  const storage = createNdjsonStorage(dir);
+  for (let i = 0; i < 3; i++) {
+    await storage.write('svc', snapshot(T0 + i * HOUR, 100 + i));
+  }
+
+  assert.deepEqual(await storage.listServices(), ['svc']);
+  assert.deepEqual(await storage.listMonths('svc'), ['2024-01', '2024-02']);
+  assert.deepEqual((await storage.readRange('svc', T0, T0 + 2 * HOUR)).map((s) => s.ping_ms), [100, 101, 102]);
+  assert.deepEqual((await storage.readRange('svc', T0 + HOUR, T0 + 2 * HOUR)).map((s) => s.ping_ms), [101, 102]);
+  assert.deepEqual(await storage.readRange('svc', T0 + 3 * HOUR, T0 + 9 * HOUR), []);
+
+  assert.equal((await storage.latest('svc', Infinity)).ping_ms, 102);
+  assert.equal((await storage.latest('svc', T0 + HOUR + 1)).ping_ms, 101);
+  assert.equal(await storage.latest('svc', T0 - 1), null);
+
+  // The index records where each UTC day starts in a segment
+  const index = JSON.parse(fs.readFileSync(path.join(dir, 'svc', 'index.json'), 'utf-8'));
+  const january = index.segments['2024-01'];
+  assert.equal(january.lines, 2);
+  assert.equal(january.bytes, fs.statSync(path.join(dir, 'svc', '2024-01.ndjson')).size);
+  assert.deepEqual(january.days, { [Date.UTC(2024, 0, 31)]: 0 });
+  assert.equal(index.latest.hour_utc_ms, T0 + 2 * HOUR);
+});
+
+test('ndjson: writing an hour again replaces it', async () => {
+  const dir = path.join(dataDir, 'rewrite');
+  const storage = createNdjsonStorage(dir);
+  const segment = path.join(dir, 'svc', '2024-01.ndjson');
+  await storage.write('svc', snapshot(T0, 100));
+  await storage.write('svc', snapshot(T0 + HOUR, 101));
+  await storage.write('svc', snapshot(T0, 200));
+
+  // Appended, but the last line for the hour wins
+  assert.equal(lineCount(segment), 3);
+  assert.deepEqual((await storage.readRange('svc', T0, T0 + HOUR)).map((s) => s.ping_ms), [200, 101]);
+  assert.deepEqual((await storage.readMonth('svc', '2024-01')).map((s) => s.ping_ms), [200, 101]);
+
+  // Rewriting the month drops the superseded line
+  await storage.writeMonth('svc', '2024-01', await storage.readMonth('svc', '2024-01'));
+  assert.equal(lineCount(segment), 2);
+  assert.deepEqual((await storage.readRange('svc', T0, T0 + HOUR)).map((s) => s.ping_ms), [200, 101]);
+  assert.equal((await storage.latest('svc', Infinity)).ping_ms, 101);
+});
+
+test('ndjson: a torn last line is cut off when the service is opened', async () => {
+  const dir = path.join(dataDir, 'torn');
+  const segment = path.join(dir, 'svc', '2024-01.ndjson');
+  const writer = createNdjsonStorage(dir);
+  await writer.write('svc', snapshot(T0, 100));
+  await writer.write('svc', snapshot(T0 + HOUR, 101));
+  const intactBytes = fs.statSync(segment).size;
+
+  // A crash in the middle of an append, before the index was updated
+  fs.appendFileSync(segment, '{"hour_utc_ms":1706745600000,"pi');
+
+  const reader = createNdjsonStorage(dir);
+  assert.deepEqual((await reader.readRange('svc', T0, T0 + 2 * HOUR)).map((s) => s.ping_ms), [100, 101]);
+  assert.equal(fs.statSync(segment).size, intactBytes);
+  const index = JSON.parse(fs.readFileSync(path.join(dir, 'svc', 'index.json'), 'utf-8'));
+  assert.equal(index.segments['2024-01'].bytes, intactBytes);
+
+  // Appends continue after the cut
+  await reader.write('svc', snapshot(T0 + 2 * HOUR, 102));
+  assert.deepEqual((await reader.readRange('svc', T0, T0 + 2 * HOUR)).map((s) => s.ping_ms), [100, 101, 102]);
+});
+
+test('migrating json month files to ndjson keeps readSnapshots output', async () => {
+  configureStorage({ storage: { engine: 'json' } });
+  for (const serviceId of ['a', 'b']) {
+    for (let i = 0; i < 30; i++) {
+      await writeHourlySnapshot(serviceId, T0 + i * HOUR, i % 5 === 0 ? 0 : 100 + i, { samples_total: 60, samples_ok: 60 - (i % 5) });
+    }
+  }
+  const ids = ['a', 'b'];
+  const before = await readSnapshots(ids, T0, T0 + 30 * HOUR);
+
+  const script = path.join(__dirname, '..', 'scripts', 'migrate-storage.js');
+  const output = await new Promise((resolve, reject) => {
+    execFile(process.execPath, [script, '--from', 'json', '--to', 'ndjson'], { env: process.env }, (err, stdout, stderr) => {
+      if (err) reject(new Error(stderr || err.message));
+      else resolve(stdout);
+    });
+  });
+  assert.match(output, /Total buckets: 60/);
+
+  configureStorage({ storage: { engine: 'ndjson' } });
+  const after = await readSnapshots(ids, T0, T0 + 30 * HOUR);
+  assert.equal(after.a.length, 30);
+  assert.deepEqual(after, before);
+  assert.ok(fs.existsSync(path.join(dataDir, 'segments', 'a', '2024-02.ndjson')));
+  // The source is kept without --delete-source
+  assert.ok(fs.existsSync(path.join(dataDir, 'a-2024-01.json')));
+});
@@ -0,0 +1,92 @@
+// Uptime windows and totals: rolling and calendar boundaries, buckets cut by a
+// window edge, and maintenance/no-data time left out of the monitored time.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempDataDir, startApi, close } = require('./helpers');
+
+useTempDataDir('uptime');
+const { getUptimeWindows, sumSnapshots, formatTotals } = require('../src/lib/uptime');
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+function windowsByKey(nowMs) {
+  return Object.fromEntries(getUptimeWindows(nowMs).map((w) => [w.key, [w.kind, w.from_utc_ms, w.to_utc_ms]]));
+}
+
+test('rolling windows end now, calendar windows follow UTC days, months and years', () => {
+  // Leap year: the month before March is 29 days long
+  const now = Date.UTC(2024, 2, 1, 6, 30);
+  assert.deepEqual(windowsByKey(now), {
+    '24h': ['rolling', now - DAY, now],
+    '7d': ['rolling', now - 7 * DAY, now],
+    '30d': ['rolling', now - 30 * DAY, now],
+    '90d': ['rolling', now - 90 * DAY, now],
+    today: ['calendar', Date.UTC(2024, 2, 1), now],
+    this_month: ['calendar', Date.UTC(2024, 2, 1), now],
+    last_month: ['calendar', Date.UTC(2024, 1, 1), Date.UTC(2024, 2, 1) - 1],
+    '365d': ['rolling', now - 365 * DAY, now],
+    this_year: ['calendar', Date.UTC(2024, 0, 1), now],
+    last_year: ['calendar', Date.UTC(2023, 0, 1), Date.UTC(2024, 0, 1) - 1]
+  });
+
+  // In January the previous month is in the previous year
+  const january = windowsByKey(Date.UTC(2024, 0, 15, 12));
+  assert.deepEqual(january.last_month.slice(1), [Date.UTC(2023, 11, 1), Date.UTC(2024, 0, 1) - 1]);
+});
+
+test('maintenance and no-data buckets are left out; edge buckets count for their overlap', () => {
+  const h0 = Date.UTC(2024, 0, 10, 10);
+  const snapshots = [
+    { hour_utc_ms: h0, ping_ms: 100, samples_total: 60, samples_ok: 60 },
+    { hour_utc_ms: h0 + HOUR, ping_ms: 0, samples_total: 0, samples_ok: 0, samples_maintenance: 60, maintenance: true },
+    { hour_utc_ms: h0 + 2 * HOUR, ping_ms: 0, no_data: true },
+    { hour_utc_ms: h0 + 3 * HOUR, ping_ms: 0, samples_total: 60, samples_ok: 0 },
+    { hour_utc_ms: h0 + 4 * HOUR, ping_ms: 200, samples_total: 60, samples_ok: 30 },
+    // Outside the window
+    { hour_utc_ms: h0 + 6 * HOUR, ping_ms: 0, samples_total: 60, samples_ok: 0 }
+  ];
+
+  // Starts half-way through the first bucket, ends with the fifth
+  const totals = sumSnapshots(snapshots, h0 + 30 * MINUTE, h0 + 5 * HOUR, HOUR);
+  assert.equal(totals.monitored_ms, 2.5 * HOUR);
+  assert.equal(totals.up_ms, HOUR);
+  assert.equal(totals.maintenance_ms, HOUR);
+
+  assert.deepEqual(formatTotals({ ...totals, incidents: 1 }), {
+    uptime_pct: 40,
+    downtime_minutes: 90,
+    monitored_minutes: 150,
+    maintenance_minutes: 60,
+    incidents: 1,
+    // Bucket medians weighted by their successful checks: (100*60 + 200*30) / 90
+    mean_latency_ms: 133
+  });
+
+  // Only maintenance and no-data time: no uptime figure at all
+  const idle = formatTotals(sumSnapshots(snapshots.slice(1, 3), h0, h0 + 5 * HOUR, HOUR));
+  assert.equal(idle.uptime_pct, null);
+  assert.equal(idle.monitored_minutes, 0);
+  assert.equal(idle.maintenance_minutes, 60);
+  assert.equal(idle.mean_latency_ms, null);
+});
+
+test('/api/uptime refuses an empty or unknown window list', async (t) => {
+  const api = await startApi({
+    config: { services: [{ id: 'svc', tags: ['core'] }] },
+    accumulator: { getCurrentHourData: () => null }
+  });
+  t.after(() => close(api.server));
+
+  for (const query of ['window=', 'window=,', 'window=%20', 'window=24h,nope']) {
+    const res = await fetch(`${api.baseUrl}/uptime?${query}`);
+    assert.equal(res.status, 400, query);
+  }
+
+  const body = await (await fetch(`${api.baseUrl}/uptime?window=24h,%207d`)).json();
+  assert.deepEqual(body.windows.map((w) => w.key), ['24h', '7d']);
+  assert.deepEqual(Object.keys(body.services[0].windows), ['24h', '7d']);
+  assert.equal(body.services[0].windows['24h'].uptime_pct, null);
+  assert.deepEqual(body.tags.map((t) => [t.tag, t.service_ids]), [['core', ['svc']]]);
+});
@@ -12,6 +12,73 @@ function computeWindow(nowMs, bucketMs, len) {
   return { from: startBucketStart, to: endBucketStart };
 }
 
+// Timeline ranges other than the default live window. A range is
+// { preset, spanMs, toMs }: preset is a TIMELINE_PRESETS key or null for a
+// custom range, and toMs is where it ends, or null to follow "now".
+const HOUR_MS = 3600000;
+const DAY_MS = 24 * HOUR_MS;
+const TIMELINE_PRESETS = {
+  "24h": DAY_MS,
+  "7d": 7 * DAY_MS,
+  "30d": 30 * DAY_MS,
+  "90d": 90 * DAY_MS
+};
+// Custom ranges are cut to this span, the longest preset
+const MAX_CUSTOM_RANGE_MS = TIMELINE_PRESETS["90d"];
+
+// Overview hash params: "range=7d" ends now, "range=7d&end=<ISO>" is a paged
+// preset and "from=<ISO>&to=<ISO>" a custom range. Returns null for the
+// default live window.
+function parseTimelineRange(params) {
+  const preset = params.get("range");
+  if (TIMELINE_PRESETS[preset]) {
+    const end = Date.parse(params.get("end"));
+    return { preset, spanMs: TIMELINE_PRESETS[preset], toMs: Number.isFinite(end) ? end : null };
+  }
+  const from = Date.parse(params.get("from"));
+  const to = Date.parse(params.get("to"));
+  if (Number.isFinite(from) && Number.isFinite(to) && from < to) {
+    return { preset: null, spanMs: Math.min(to - from, MAX_CUSTOM_RANGE_MS), toMs: to };
+  }
+  return null;
+}
+
+// Minute precision keeps shared links short, e.g. 2026-10-13T14:00Z
+function formatHashDate(ms) {
+  return new Date(Math.floor(ms / 60000) * 60000).toISOString().replace(":00.000Z", "Z");
+}
+
+// Overview hash for a range, so it can be shared as a link
+function timelineHref(range) {
+  if (!range) return "#/";
+  if (range.preset) {
+    return range.toMs === null
+      ? `#/?range=${range.preset}`
+      : `#/?range=${range.preset}&end=${formatHashDate(range.toMs)}`;
+  }
+  return `#/?from=${formatHashDate(range.toMs - range.spanMs)}&to=${formatHashDate(range.toMs)}`;
+}
+
+function isLiveRange(range, nowMs) {
+  return range.toMs === null || range.toMs >= nowMs;
+}
+
+// Window shown for a range: from..to inclusive, cut off at now
+function rangeWindow(range, nowMs) {
+  const end = range.toMs === null ? nowMs + 1 : range.toMs;
+  return { from: end - range.spanMs, to: Math.min(end, nowMs + 1) - 1 };
+}
+
+// The range one span earlier (direction -1) or later (1). A preset paged up
+// to now follows now again.
+function shiftRange(range, direction, nowMs) {
+  const toMs = (range.toMs === null ? nowMs : range.toMs) + direction * range.spanMs;
+  if (range.preset && toMs >= nowMs) {
+    return { ...range, toMs: null };
+  }
+  return { ...range, toMs };
+}
+
 // Calculate how many cells can fit in the timeline container
 function calculateFittingCells() {
   // Get the timeline container width
@@ -50,6 +117,25 @@ function formatTooltipDate(ms) {
   });
 }
 
+// Most frequent reason in a stored failure-reason histogram, or null
+function topFailureReason(histogram) {
+  if (!histogram) return null;
+  let top = null;
+  Object.keys(histogram).forEach((reason) => {
+    if (top === null || histogram[reason] > histogram[top]) top = reason;
+  });
+  return top;
+}
+
+// Escape text that is interpolated into tooltip innerHTML
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 // Prefer backend-provided bucket size to avoid initial window mismatches.
 // Returns number (ms) or null on failure.
 async function fetchBucketSize() {
@@ -66,9 +152,10 @@ async function fetchBucketSize() {
   }
 }
 
-function buildCells(services, snapshotsByService, bucketMs, len, thresholdsByService, isLoading = false) {
-  const now = Date.now();
-  const { from, to } = computeWindow(now, bucketMs, len);
+// The window ends with the bucket holding endMs (now by default); bucketMs is
+// the cell size, which is larger than the stored buckets for downsampled ranges
+function buildCells(services, snapshotsByService, bucketMs, len, thresholdsByService, isLoading = false, endMs = Date.now()) {
+  const { from, to } = computeWindow(endMs, bucketMs, len);
 
   // Pre-build the sequence of bucket timestamps oldest -> newest
   const buckets = new Array(len);
@@ -84,17 +171,37 @@ function buildCells(services, snapshotsByService, bucketMs, len, thresholdsBySer
       const hasData = !!snap;
       const ping = hasData ? snap.ping_ms : null;
       const displayTime = (snap && snap.last_check_ms) ? snap.last_check_ms : h;
+      const reason = snap ? (snap.failure_reason || topFailureReason(snap.failure_reasons)) : null;
+      const successRatio = (snap && typeof snap.success_ratio === 'number') ? snap.success_ratio : null;
+      const lag = (snap && typeof snap.lag_blocks === 'number') ? snap.lag_blocks : null;
+      const lagging = lag !== null && s.max_lag_blocks !== null && s.max_lag_blocks !== undefined && lag > s.max_lag_blocks;
       
       let cls = "loading"; // default to loading state (skeleton)
       let title = `${new Date(displayTime).toISOString()} • No data`;
       
       // Only apply color logic if not in loading state
       if (!isLoading) {
-        if (!hasData) {
-          // No data should be neutral (black/default), and not counted as incidents
+        if (!hasData || snap.no_data) {
+          // No data (nothing stored, or the monitor wasn't running) is neutral,
+          // neither up nor down, and not counted as incidents
           cls = "nodata";
           title = `${new Date(displayTime).toISOString()} • No data`;
-        } else if (ping > 0 && ping <= threshold) {
+        } else if (snap.maintenance || snap.status === "maintenance") {
+          // Mostly inside a maintenance window -> neither up nor down
+          cls = "maintenance";
+          title = `${new Date(displayTime).toISOString()} • Maintenance`;
+        } else if (snap.status === "down") {
+          // Downsampled cell with a down bucket in it (its median ping may be > 0)
+          cls = "red";
+          title = `${new Date(displayTime).toISOString()} • Down${reason ? ` (${reason})` : ''}`;
+        } else if (snap.status === "degraded") {
+          cls = "yellow";
+          title = `${new Date(displayTime).toISOString()} • ${ping} ms`;
+        } else if (ping > 0 && lagging) {
+          // Responding, but behind its peer group's block height -> degraded
+          cls = "yellow";
+          title = `${new Date(displayTime).toISOString()} • ${ping} ms • ${lag} blocks behind`;
+        } else if (snap.status === "up" || (ping > 0 && ping <= threshold)) {
           cls = "green";
           title = `${new Date(displayTime).toISOString()} • ${ping} ms`;
         } else if (ping > threshold) {
@@ -103,11 +210,12 @@ function buildCells(services, snapshotsByService, bucketMs, len, thresholdsBySer
         } else {
           // ping present but 0 or invalid -> treat as down
           cls = "red";
-          title = `${new Date(displayTime).toISOString()} • Down`;
+          title = `${new Date(displayTime).toISOString()} • Down${reason ? ` (${reason})` : ''}`;
         }
       }
       
-      return { hour: h, ping_ms: ping, cls, title, displayTime };
+      const lastCheckMs = (snap && snap.last_check_ms) ? snap.last_check_ms : null;
+      return { hour: h, ping_ms: ping, cls, title, displayTime, lastCheckMs, reason, lag, lagging, successRatio, maintenance: cls === "maintenance" };
     });
 
     // Determine the latest status for the service card
@@ -140,7 +248,17 @@ function showTooltip(event, cellData) {
   // Format the date nicely - use displayTime if available, otherwise hour
   const timeToShow = cellData.displayTime || cellData.hour;
   const dateStr = formatTooltipDate(timeToShow);
-  const pingStr = cellData.ping_ms > 0 ? `${cellData.ping_ms} ms` : 'No data (down)';
+  let pingStr = cellData.ping_ms > 0 ? `${cellData.ping_ms} ms` : 'No data (down)';
+  if (cellData.maintenance) {
+    pingStr = 'Scheduled maintenance';
+  } else if (cellData.ping_ms === 0 && cellData.reason) {
+    pingStr = `Down: ${escapeHtml(cellData.reason)}`;
+  } else if (cellData.ping_ms > 0 && cellData.lagging) {
+    pingStr = `${cellData.ping_ms} ms • ${cellData.lag} blocks behind`;
+  }
+  if (!cellData.maintenance && cellData.ping_ms > 0 && cellData.successRatio !== null && cellData.successRatio < 1) {
+    pingStr += ` • ${Math.round(cellData.successRatio * 1000) / 10}% checks ok`;
+  }
   
   tooltip.innerHTML = `
     <div class="tooltip-date">${dateStr}</div>
@@ -175,35 +293,86 @@ function hideTooltip() {
 }
 
 // Show service card tooltip
-function showServiceTooltip(event, service, latestPing, status) {
+function showServiceTooltip(event, row) {
   const tooltip = document.getElementById('serviceTooltip');
   if (!tooltip) return;
 
+  const service = row.service;
+  const status = row.cardStatus;
+  const latestCell = row.cells[row.cells.length - 1];
+  const latestPing = latestCell ? latestCell.ping_ms : 0;
+  const reason = latestCell ? latestCell.reason : null;
+  const lagBlocks = latestCell ? latestCell.lag : null;
+
   // On mobile, hide any existing timeline tooltip first
   const isMobile = window.innerWidth <= 640;
   if (isMobile) {
     hideTooltip();
   }
 
-  let statusText = status === 'green' ? 'Healthy' : status === 'yellow' ? 'Slow' : status === 'red' ? 'Down' : 'Loading...';
+  const lagging = lagBlocks !== null && service.max_lag_blocks !== null && service.max_lag_blocks !== undefined && lagBlocks > service.max_lag_blocks;
+  let statusText = status === 'green' ? 'Healthy' : status === 'yellow' ? (lagging ? 'Degraded' : 'Slow') : status === 'red' ? 'Down' : status === 'maintenance' ? 'Maintenance' : status === 'nodata' ? 'No data' : 'Loading...';
   let responseText = '';
   
-  if (status === 'red') {
-    responseText = 'Service unreachable';
+  if (status === 'maintenance') {
+    responseText = 'Checks paused for scheduled maintenance';
+  } else if (status === 'red') {
+    responseText = reason ? `Check failed: ${escapeHtml(reason)}` : 'Service unreachable';
   } else if (status === 'nodata') {
     responseText = 'No recent data';
+  } else if (latestPing > 0 && lagging) {
+    responseText = `${latestPing}ms response time, ${lagBlocks} blocks behind peers`;
   } else if (latestPing > 0) {
     responseText = `${latestPing}ms response time`;
   } else {
     responseText = 'Checking...';
   }
 
-  const lastChecked = new Date().toLocaleTimeString();
+  // Chain tip stall reported by /api/health
+  let stallText = '';
+  if (row.health && row.health.stalled) {
+    const minutes = Math.round((Date.now() - row.health.height_changed_utc_ms) / 60000);
+    statusText = 'Stalled';
+    stallText = `<div class="tooltip-stall">Height #${row.health.block_height} unchanged for ${minutes} min</div>`;
+  }
+
+  // Certificate expiry for HTTPS services
+  let certText = '';
+  const cert = row.certificate;
+  if (cert && cert.status !== 'unknown') {
+    const expiry = cert.status === 'expired'
+      ? 'expired'
+      : `expires in ${cert.days_until_expiry} days`;
+    const issuer = cert.issuer ? ` (${escapeHtml(cert.issuer)})` : '';
+    certText = `<div class="tooltip-cert ${cert.status}">Certificate ${expiry}${issuer}</div>`;
+  }
+
+  // Uptime over the rolling windows from /api/uptime
+  let uptimeText = '';
+  if (row.uptime) {
+    const lines = ['24h', '7d', '30d', '90d']
+      .filter((key) => row.uptime[key] && row.uptime[key].uptime_pct !== null)
+      .map((key) => {
+        const u = row.uptime[key];
+        const latency = u.mean_latency_ms !== null ? ` • ${u.mean_latency_ms} ms avg` : '';
+        return `<tr><td>${key}</td><td>${formatUptime(u.uptime_pct)}</td><td>${u.downtime_minutes} min down • ${u.incidents} incident${u.incidents === 1 ? '' : 's'}${latency}</td></tr>`;
+      });
+    if (lines.length > 0) {
+      uptimeText = `<table class="tooltip-uptime">${lines.join('')}</table>`;
+    }
+  }
+
+  const lastChecked = latestCell && latestCell.lastCheckMs
+    ? new Date(latestCell.lastCheckMs).toLocaleTimeString()
+    : 'not yet';
   
   tooltip.innerHTML = `
     <div class="tooltip-service-name">${service.name}</div>
     <div class="tooltip-status">Status: ${statusText}</div>
     <div class="tooltip-response-time">${responseText}</div>
+    ${stallText}
+    ${certText}
+    ${uptimeText}
     <div class="tooltip-last-check">Last checked: ${lastChecked}</div>
   `;
   
@@ -226,6 +395,11 @@ function showServiceTooltip(event, service, latestPing, status) {
   tooltip.style.display = 'block';
 }
 
+// Uptime percentage with enough precision to tell 99.9% from 99.99%
+function formatUptime(pct) {
+  return pct >= 99 ? `${pct.toFixed(2)}%` : `${pct.toFixed(1)}%`;
+}
+
 // Hide service card tooltip
 function hideServiceTooltip() {
   const tooltip = document.getElementById('serviceTooltip');
@@ -234,43 +408,38 @@ function hideServiceTooltip() {
   }
 }
 
-// Update stats in header
+// Update stats in header: "Last checked" is the latest check the backend ran
 function updateStats(services, rows) {
-  // Update last checked
-  const now = new Date();
-  const timeString = now.toLocaleTimeString();
+  let latest = 0;
+  rows.forEach((row) => {
+    const cell = row.cells[row.cells.length - 1];
+    if (cell && cell.lastCheckMs > latest) latest = cell.lastCheckMs;
+  });
+  if (latest > 0) setLastChecked(latest);
+}
+
+function setLastChecked(ms) {
   const lastCheckedElement = document.getElementById('lastChecked');
   if (lastCheckedElement) {
-    lastCheckedElement.textContent = timeString;
+    lastCheckedElement.textContent = new Date(ms).toLocaleTimeString();
   }
+}
 
-  // Count incidents (consecutive downtime runs across all services)
-  // An "incident" is a contiguous run of red cells (downtime) per service.
-  // Cells with "nodata" or "loading" are neutral and do NOT count as downtime
-  // and also break any ongoing downtime incident.
-  let incidents = 0;
-  rows.forEach(row => {
-    let inDown = false;
-    row.cells.forEach(c => {
-      const isDown = c.cls === 'red';
-      const isNeutral = c.cls === 'nodata' || c.cls === 'loading';
-      if (isDown && !inDown) {
-        incidents++;
-        inDown = true;
-      } else if (!isDown) {
-        // Any non-red cell (green/yellow/neutral) ends a down run
-        inDown = false;
-      }
-      if (isNeutral) {
-        // Explicitly ensure neutral cells cannot be part of an incident
-        inDown = false;
-      }
-    });
-  });
+// Update the header incident counter from /api/incidents
+function updateIncidentStats(incidentsResp) {
+  if (!incidentsResp) return;
+  const incidents = incidentsResp.incidents || [];
 
   const incidentsElement = document.getElementById('incidents');
   if (incidentsElement) {
-    incidentsElement.textContent = incidents;
+    incidentsElement.textContent = incidents.length;
+  }
+
+  const openElement = document.getElementById('openIncidents');
+  if (openElement) {
+    const open = incidentsResp.open_count || 0;
+    openElement.textContent = open > 0 ? `${open} ongoing` : 'none ongoing';
+    openElement.classList.toggle('ongoing', open > 0);
   }
 }
 
@@ -325,9 +494,28 @@ function render(services, rows) {
       name.className = "service-name";
       name.textContent = row.service.name;
 
+      // Status badges (e.g. chain stalled) next to the service name
+      (row.badges || []).forEach((b) => {
+        const badge = document.createElement("span");
+        badge.className = `service-badge ${b.cls}`;
+        badge.textContent = b.text;
+        name.appendChild(badge);
+      });
+
+      // 30-day uptime under the name
+      const uptime30 = row.uptime && row.uptime['30d'];
+      if (uptime30 && uptime30.uptime_pct !== null) {
+        const uptimeLine = document.createElement("div");
+        uptimeLine.className = "service-uptime";
+        uptimeLine.textContent = `${formatUptime(uptime30.uptime_pct)} uptime (30d) • ${uptime30.incidents} incident${uptime30.incidents === 1 ? "" : "s"}`;
+        name.appendChild(uptimeLine);
+      }
+
       // Timeline inside the service card
       const timeline = document.createElement("div");
       timeline.className = "timeline";
+      // Kept so live updates can patch the card in place (see applyLiveBucket)
+      row.elements = { card: serviceCard, cells: [] };
 
       row.cells.forEach((c, index) => {
         const cell = document.createElement("div");
@@ -366,6 +554,7 @@ function render(services, rows) {
         });
 
         timeline.appendChild(cell);
+        row.elements.cells.push(cell);
       });
 
       serviceCard.appendChild(name);
@@ -373,28 +562,15 @@ function render(services, rows) {
 
       // Add service card tooltip
       serviceCard.addEventListener("mouseenter", (e) => {
-        const latestCell = row.cells[row.cells.length - 1];
-        const latestPing = latestCell ? latestCell.ping_ms : 0;
-        showServiceTooltip(e, row.service, latestPing, row.cardStatus);
+        showServiceTooltip(e, row);
       });
       
       serviceCard.addEventListener("click", (e) => {
-        // Only show tooltip if clicking on service card but not on timeline cells
-        if (!e.target.classList.contains('hour-cell')) {
-          const latestCell = row.cells[row.cells.length - 1];
-          const latestPing = latestCell ? latestCell.ping_ms : 0;
-          hideTooltip(); // Hide timeline tooltip if showing
-          showServiceTooltip(e, row.service, latestPing, row.cardStatus);
-        }
-      });
-      
-      serviceCard.addEventListener("touchstart", (e) => {
-        // Only show tooltip if touching service card but not timeline cells
+        // Open the detail view, unless a timeline cell was clicked for its tooltip
         if (!e.target.classList.contains('hour-cell')) {
-          const latestCell = row.cells[row.cells.length - 1];
-          const latestPing = latestCell ? latestCell.ping_ms : 0;
-          hideTooltip(); // Hide timeline tooltip if showing
-          showServiceTooltip(e, row.service, latestPing, row.cardStatus);
+          hideTooltip();
+          hideServiceTooltip();
+          window.location.hash = serviceHref(row.service.id);
         }
       });
       
@@ -421,14 +597,127 @@ function render(services, rows) {
   });
 }
 
-async function loadSnapshotsForServices(services, bucketMs, len) {
+function formatRangeDate(ms) {
+  return new Date(ms).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+// Local calendar date for <input type="date">
+function toDateInputValue(ms) {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// Start of a local calendar date from <input type="date">, dayOffset days later
+function fromDateInputValue(value, dayOffset = 0) {
+  const [y, m, d] = value.split('-').map(Number);
+  return new Date(y, m - 1, d + dayOffset).getTime();
+}
+
+// Presets, earlier/later paging and a date picker above the timelines. Every
+// control changes the location hash; the hashchange handler loads the range.
+// liveRange is the default window as a range, the start for paging back.
+function renderRangeControls(section, range, liveRange, nowMs) {
+  if (!section) return;
+  const current = range || liveRange;
+  const live = isLiveRange(current, nowMs);
+  const { from, to } = rangeWindow(current, nowMs);
+
+  const options = [['Live', '#/', !range]].concat(Object.keys(TIMELINE_PRESETS).map((preset) => [
+    preset,
+    timelineHref({ preset, spanMs: TIMELINE_PRESETS[preset], toMs: null }),
+    !!range && range.preset === preset
+  ]));
+  const optionsHtml = options
+    .map(([label, href, active]) => `<a class="range-option${active ? ' active' : ''}" href="${href}">${label}</a>`)
+    .join('');
+  const later = live
+    ? '<span class="range-option disabled">Later ›</span>'
+    : `<a class="range-option" href="${timelineHref(shiftRange(current, 1, nowMs))}">Later ›</a>`;
+  const today = toDateInputValue(nowMs);
+
+  section.innerHTML = `
+    <div class="range-options">${optionsHtml}</div>
+    <div class="range-paging">
+      <a class="range-option" href="${timelineHref(shiftRange(current, -1, nowMs))}">‹ Earlier</a>
+      <span class="range-label">${formatRangeDate(from)} – ${live ? 'now' : formatRangeDate(to + 1)}</span>
+      ${later}
+    </div>
+    <form class="range-custom">
+      <input type="date" name="from" value="${toDateInputValue(from)}" max="${today}" required aria-label="From date" />
+      <span>–</span>
+      <input type="date" name="to" value="${toDateInputValue(to)}" max="${today}" required aria-label="To date" />
+      <button type="submit" class="range-option">Show</button>
+    </form>
+  `;
+
+  // Whole local days, from the start of the first to the end of the last
+  const form = section.querySelector('.range-custom');
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const fromMs = fromDateInputValue(form.elements.from.value);
+    const toMs = fromDateInputValue(form.elements.to.value, 1);
+    let error = '';
+    if (toMs <= fromMs) {
+      error = 'The end date must not be before the start date';
+    } else if (toMs - fromMs > MAX_CUSTOM_RANGE_MS) {
+      error = `Ranges can span at most ${MAX_CUSTOM_RANGE_MS / DAY_MS} days`;
+    }
+    form.elements.to.setCustomValidity(error);
+    if (error) {
+      form.reportValidity();
+      return;
+    }
+    window.location.hash = timelineHref({ preset: null, spanMs: toMs - fromMs, toMs });
+  });
+  form.elements.to.addEventListener('input', () => form.elements.to.setCustomValidity(''));
+}
+
+// Patch a rendered service from a live /api/stream check: its latest bucket
+// replaces the stored one and the changed cells and card status are updated in
+// place. Returns false when the timeline has moved on to a new bucket, which
+// needs a full refresh.
+function applyLiveBucket(view, serviceId, bucket) {
+  const row = view.rows.find((r) => r.service.id === serviceId);
+  if (!row || !row.elements) return true;
+
+  const snaps = (view.snapshotsByService.get(serviceId) || []).filter((s) => s.hour_utc_ms !== bucket.hour_utc_ms);
+  snaps.push(bucket);
+  view.snapshotsByService.set(serviceId, snaps);
+
+  const [updated] = buildCells([row.service], view.snapshotsByService, view.bucketMs, view.windowLen, view.thresholdsByService);
+  if (updated.cells[0].hour !== row.cells[0].hour) return false;
+  updated.cells.forEach((cell, index) => {
+    // Tooltip listeners hold on to the cell objects, so update them rather than replace them
+    Object.assign(row.cells[index], cell);
+    row.elements.cells[index].className = `hour-cell ${cell.cls}`;
+  });
+  row.cardStatus = updated.cardStatus;
+  row.elements.card.className = `service-card ${row.cardStatus}`;
+  return true;
+}
+
+// Snapshots for the default live window of len stored buckets, or for a
+// range. Returns { byService, cellMs } (cellMs is the size of the returned
+// buckets) or null when there is nothing to show yet.
+async function loadSnapshotsForServices(services, bucketMs, len, range = null) {
   const now = Date.now();
-  const { from, to } = computeWindow(now, bucketMs, len);
+  const { from, to } = range ? rangeWindow(range, now) : computeWindow(now, bucketMs, len);
 
   // Build query per service
   const ids = services.map((s) => s.id).join(",");
-  const limit = Math.min(len, 168); // extra guard
-  const url = `/api/snapshots?service_id=${encodeURIComponent(ids)}&from_utc_ms=${from}&to_utc_ms=${to}&limit=${limit}`;
+  // Ranges are downsampled by the backend to about len cells; the limit never
+  // drops below a day per cell, the coarsest resolution
+  const query = range
+    ? `resolution=auto&limit=${Math.max(len, Math.ceil(range.spanMs / DAY_MS) + 1)}`
+    : `limit=${Math.min(len, 168)}`; // extra guard
+  // Only request the fields the timeline uses to keep responses small
+  const fields = "ping_ms,success_ratio,failure_reasons,failure_reason,lag_blocks,last_check_ms,maintenance,no_data,status";
+  const url = `/api/snapshots?service_id=${encodeURIComponent(ids)}&from_utc_ms=${from}&to_utc_ms=${to}&${query}&fields=${fields}`;
 
   try {
     const result = await fetchJson(url);
@@ -445,9 +734,11 @@ async function loadSnapshotsForServices(services, bucketMs, len) {
       map.set(result.service_id, snapshots);
     }
 
-    // If no service returned any snapshots, signal "no update yet"
+    // If no service returned any snapshots, signal "no update yet"; a past
+    // range without data is shown as such
     const hasAnyData = Array.from(map.values()).some(arr => Array.isArray(arr) && arr.length > 0);
-    return hasAnyData ? map : null;
+    if (!hasAnyData && !range) return null;
+    return { byService: map, cellMs: result.resolution_ms || bucketMs };
   } catch (error) {
     console.error("Failed to load snapshots:", error);
     // Signal no update on error so we keep the current UI (loading or last good)
@@ -455,6 +746,153 @@ async function loadSnapshotsForServices(services, bucketMs, len) {
   }
 }
 
+// Current per-service health (stall detection etc.) from /api/health.
+// Returns Map of service_id -> health entry, or null on failure.
+async function loadHealth() {
+  try {
+    const result = await fetchJson("/api/health");
+    const map = new Map();
+    (result.services || []).forEach((h) => map.set(h.id, h));
+    return map;
+  } catch (error) {
+    console.error("Failed to load health:", error);
+    return null;
+  }
+}
+
+// Attach health entries to rows and derive the badges shown on service cards
+function attachHealth(rows, healthById) {
+  if (!healthById) return;
+  rows.forEach((row) => {
+    const health = healthById.get(row.service.id);
+    if (!health) return;
+    row.health = health;
+    row.badges = row.badges || [];
+    if (health.stalled) {
+      row.badges.push({ cls: "stalled", text: "Stalled" });
+    }
+    if (health.flapping) {
+      row.badges.push({ cls: "flapping", text: "Flapping" });
+    }
+    if (health.maintenance_window) {
+      row.badges.push({ cls: "maintenance", text: "Maintenance" });
+    }
+    if (health.paused) {
+      row.badges.push({ cls: "paused", text: "Paused" });
+    }
+  });
+}
+
+// Maintenance windows from /api/maintenance (ongoing and next 7 days), or null on failure
+async function loadMaintenance() {
+  try {
+    return await fetchJson("/api/maintenance");
+  } catch (error) {
+    console.error("Failed to load maintenance windows:", error);
+    return null;
+  }
+}
+
+// List ongoing and upcoming maintenance windows above the timelines
+function renderMaintenance(maintenanceResp, services) {
+  const section = document.getElementById("maintenance");
+  if (!section || !maintenanceResp) return;
+  const occurrences = (maintenanceResp.occurrences || []).slice(0, 5);
+  section.hidden = occurrences.length === 0;
+  if (occurrences.length === 0) return;
+
+  const names = new Map(services.map((s) => [s.id, s.name]));
+  const now = Date.now();
+  const items = occurrences.map((o) => {
+    const targets = o.services.length || o.tags.length
+      ? [...o.services.map((id) => names.get(id) || id), ...o.tags.map((t) => `#${t}`)].join(", ")
+      : "all services";
+    const active = o.start_utc_ms <= now;
+    const when = active
+      ? `now until ${formatTooltipDate(o.end_utc_ms)}`
+      : `${formatTooltipDate(o.start_utc_ms)} – ${formatTooltipDate(o.end_utc_ms)}`;
+    return `<li class="${active ? "active" : ""}">${escapeHtml(o.title)} (${escapeHtml(targets)}): ${when}</li>`;
+  });
+  section.innerHTML = `<h2>Scheduled maintenance</h2><ul>${items.join("")}</ul>`;
+}
+
+// TLS certificate details from /api/certificates.
+// Returns Map of service_id -> certificate entry, or null on failure.
+async function loadCertificates() {
+  try {
+    const result = await fetchJson("/api/certificates");
+    const map = new Map();
+    (result.certificates || []).forEach((c) => map.set(c.service_id, c));
+    return map;
+  } catch (error) {
+    console.error("Failed to load certificates:", error);
+    return null;
+  }
+}
+
+// Attach certificate entries to rows and badge anything that needs attention
+function attachCertificates(rows, certsById) {
+  if (!certsById) return;
+  const CERT_BADGES = {
+    expiring: (c) => ({ cls: "cert-warn", text: `Cert ${c.days_until_expiry}d` }),
+    expired: () => ({ cls: "cert-bad", text: "Cert expired" }),
+    mismatch: () => ({ cls: "cert-bad", text: "Cert host mismatch" }),
+    untrusted: () => ({ cls: "cert-bad", text: "Cert untrusted" })
+  };
+  rows.forEach((row) => {
+    const cert = certsById.get(row.service.id);
+    if (!cert) return;
+    row.certificate = cert;
+    const badge = CERT_BADGES[cert.status];
+    if (badge) {
+      row.badges = row.badges || [];
+      row.badges.push(badge(cert));
+    }
+  });
+}
+
+// Full refresh interval while live updates arrive over /api/stream
+const FULL_REFRESH_MS = 5 * 60 * 1000;
+
+// Uptime per service from /api/uptime. Long windows change slowly, so the
+// result is cached and refetched at most every UPTIME_REFRESH_MS.
+const UPTIME_REFRESH_MS = 5 * 60 * 1000;
+let uptimeCache = { fetchedAt: 0, byService: null };
+
+async function loadUptime() {
+  if (uptimeCache.byService && Date.now() - uptimeCache.fetchedAt < UPTIME_REFRESH_MS) {
+    return uptimeCache.byService;
+  }
+  try {
+    const result = await fetchJson("/api/uptime?window=24h,7d,30d,90d");
+    const map = new Map();
+    (result.services || []).forEach((u) => map.set(u.service_id, u.windows));
+    uptimeCache = { fetchedAt: Date.now(), byService: map };
+    return map;
+  } catch (error) {
+    console.error("Failed to load uptime:", error);
+    return uptimeCache.byService;
+  }
+}
+
+// Attach uptime windows ({ "24h": {...}, "30d": {...} }) to rows
+function attachUptime(rows, uptimeById) {
+  if (!uptimeById) return;
+  rows.forEach((row) => {
+    row.uptime = uptimeById.get(row.service.id) || null;
+  });
+}
+
+// Incidents overlapping the visible window, or null on failure
+async function loadIncidents(fromMs, toMs) {
+  try {
+    return await fetchJson(`/api/incidents?from_utc_ms=${fromMs}&to_utc_ms=${toMs}`);
+  } catch (error) {
+    console.error("Failed to load incidents:", error);
+    return null;
+  }
+}
+
 async function main() {
   try {
     const servicesResp = await fetchJson("/api/services");
@@ -489,40 +927,89 @@ async function main() {
     );
     render(services, skeletonRows);
 
+    // Range shown in the timelines (see parseTimelineRange), kept in the
+    // overview hash; null is the default live window of windowLen buckets
+    const initialRoute = parseRoute(window.location.hash);
+    let timelineRange = initialRoute.params ? parseTimelineRange(initialRoute.params) : null;
+    let windowLen = WINDOW_LEN;
+    const rangeSection = document.getElementById("timelineRange");
+    const liveRange = () => ({ preset: null, spanMs: windowLen * bucketMs, toMs: null });
+    renderRangeControls(rangeSection, timelineRange, liveRange(), Date.now());
+
     let refreshing = false;
+    // What is rendered, for live updates: rows, snapshots and window
+    let view = null;
+
+    // Requested while a refresh was running (e.g. a live status change), so
+    // it runs once more with the newer data
+    let refreshQueued = false;
 
     async function refresh() {
-      if (refreshing) return;
+      if (refreshing) {
+        refreshQueued = true;
+        return;
+      }
       refreshing = true;
       try {
         // Recalculate fitting cells each time to adapt to window resizes
         const fittingCells = calculateFittingCells();
         const fittingHalf = Math.max(12, Math.floor(fittingCells / 2));
         const actualWindowLen = bucketMs === 60000 ? Math.min(180, fittingHalf) : Math.min(168, fittingHalf);
+        windowLen = actualWindowLen;
+
+        const range = timelineRange;
+        const now = Date.now();
+        const shown = range
+          ? rangeWindow(range, now)
+          : { from: computeWindow(now, bucketMs, actualWindowLen).from, to: now };
+        renderRangeControls(rangeSection, range, liveRange(), now);
         
-        const snapshotsByService = await loadSnapshotsForServices(
-          services,
-          bucketMs,
-          actualWindowLen
-        );
+        const [snapshots, healthById, certsById, incidentsResp, maintenanceResp, uptimeById] = await Promise.all([
+          loadSnapshotsForServices(services, bucketMs, actualWindowLen, range),
+          loadHealth(),
+          loadCertificates(),
+          loadIncidents(shown.from, shown.to),
+          loadMaintenance(),
+          loadUptime()
+        ]);
+        // The range changed meanwhile; the queued refresh shows the new one
+        if (range !== timelineRange) return;
+        updateIncidentStats(incidentsResp);
+        renderMaintenance(maintenanceResp, services);
 
         // If we didn't get any data (error or empty), keep the current UI (loading or last good)
-        if (!snapshotsByService) return;
+        if (!snapshots) return;
 
+        // Ranges come back downsampled, in cells of cellMs
+        const { byService: snapshotsByService, cellMs } = snapshots;
+        const cellCount = range
+          ? Math.floor(shown.to / cellMs) - Math.floor(shown.from / cellMs) + 1
+          : actualWindowLen;
         const rows = buildCells(
           services,
           snapshotsByService,
-          bucketMs,
-          actualWindowLen,
+          cellMs,
+          cellCount,
           thresholdsByService,
-          false // not loading
+          false, // not loading
+          shown.to
         );
+        attachHealth(rows, healthById);
+        attachCertificates(rows, certsById);
+        attachUptime(rows, uptimeById);
         render(services, rows);
+        // Only timelines of stored buckets that end now take live updates
+        const live = (!range || isLiveRange(range, now)) && cellMs === bucketMs;
+        view = { rows, snapshotsByService, bucketMs: cellMs, windowLen: cellCount, thresholdsByService, live };
       } catch (e) {
         console.error("Refresh failed:", e);
         // Keep previous render; next tick may recover
       } finally {
         refreshing = false;
+        if (refreshQueued) {
+          refreshQueued = false;
+          refresh().catch(console.error);
+        }
       }
     }
 
@@ -531,8 +1018,103 @@ async function main() {
       refresh().catch(console.error);
     }, 100);
 
-    const interval = 15000; // 15 seconds for real-time updates
-    setInterval(refresh, interval);
+    // Detail view for "#/service/<id>" (see detail.js). The overview stays
+    // rendered and refreshed underneath, so going back is instant and keeps
+    // its range.
+    let detailRoute = null;
+    let detailLoading = false;
+
+    async function refreshDetail() {
+      if (!detailRoute || detailLoading) return;
+      detailLoading = true;
+      const route = detailRoute;
+      try {
+        const detail = await loadServiceDetail(route.service, route.range);
+        // Skip if the user navigated elsewhere meanwhile
+        if (detailRoute === route) {
+          renderServiceDetail(document.getElementById("serviceDetail"), detail, timelineHref(timelineRange));
+        }
+      } finally {
+        detailLoading = false;
+      }
+    }
+
+    function showRoute() {
+      const route = parseRoute(window.location.hash);
+      const detailSection = document.getElementById("serviceDetail");
+      document.getElementById("overview").hidden = route.view === "service";
+      detailSection.hidden = route.view !== "service";
+      hideTooltip();
+      hideServiceTooltip();
+      if (route.view !== "service") {
+        detailRoute = null;
+        const range = parseTimelineRange(route.params);
+        if (timelineHref(range) !== timelineHref(timelineRange)) {
+          timelineRange = range;
+          renderRangeControls(rangeSection, timelineRange, liveRange(), Date.now());
+          refresh().catch(console.error);
+        }
+        return;
+      }
+
+      const service = services.find((s) => s.id === route.serviceId);
+      if (!service) {
+        detailRoute = null;
+        renderUnknownService(detailSection, route.serviceId, timelineHref(timelineRange));
+        return;
+      }
+      const changedService = !detailRoute || detailRoute.service.id !== service.id;
+      detailRoute = { service, range: route.range };
+      if (changedService) {
+        detailSection.innerHTML = `<p class="detail-empty">Loading ${escapeHtml(service.name)}...</p>`;
+        window.scrollTo(0, 0);
+      }
+      refreshDetail().catch(console.error);
+    }
+
+    window.addEventListener("hashchange", showRoute);
+    showRoute();
+
+    // Live updates from /api/stream. EventSource reconnects by itself after
+    // the stream drops; until then the page polls as before.
+    let streamConnected = false;
+    if (window.EventSource) {
+      const stream = new EventSource("/api/stream");
+      stream.addEventListener("open", () => {
+        streamConnected = true;
+        // Catch up on whatever happened while disconnected
+        refresh().catch(console.error);
+      });
+      stream.addEventListener("error", () => {
+        streamConnected = false;
+      });
+      stream.addEventListener("check", (e) => {
+        const check = JSON.parse(e.data);
+        setLastChecked(check.at_utc_ms);
+        // Past and downsampled ranges stay as they are; transitions and the
+        // full refresh still update them
+        if (!view || (view.live && !applyLiveBucket(view, check.service_id, check.bucket))) {
+          refresh().catch(console.error);
+        }
+        // The open detail view picks up the new check and bucket
+        if (detailRoute && detailRoute.service.id === check.service_id) {
+          refreshDetail().catch(console.error);
+        }
+      });
+      // Status changes also move health badges, incidents and uptime
+      stream.addEventListener("transition", () => {
+        refresh().catch(console.error);
+      });
+    }
+
+    const interval = 15000; // 15 seconds while the stream is down
+    setInterval(() => {
+      if (!streamConnected) refresh();
+    }, interval);
+
+    // Maintenance windows, certificates and uptime change without a check
+    // result, so they are refetched now and then even while streaming
+    setInterval(refresh, FULL_REFRESH_MS);
     
     // Also refresh on window resize
     window.addEventListener('resize', () => {
@@ -541,16 +1123,6 @@ async function main() {
       window.resizeTimer = setTimeout(refresh, 250);
     });
 
-    // Update last checked time every 30 seconds
-    setInterval(() => {
-      const lastCheckedElement = document.getElementById('lastChecked');
-      if (lastCheckedElement) {
-        const now = new Date();
-        const timeString = now.toLocaleTimeString();
-        lastCheckedElement.textContent = timeString;
-      }
-    }, 30000);
-
     // Add global click handler to hide tooltips on mobile
     document.addEventListener('click', (e) => {
       const isMobile = window.innerWidth <= 640;
@@ -0,0 +1,254 @@
+// Per-service detail view, opened with "#/service/<id>" (optionally
+// "?range=7d"): latency chart, uptime summary, recent incidents, recent raw
+// checks and the service's config. Loaded before app.js, whose helpers
+// (fetchJson, escapeHtml, formatTooltipDate, formatUptime) it uses.
+
+// Chart ranges selectable in the detail view
+const DETAIL_RANGES = {
+  "24h": 24 * 3600000,
+  "7d": 7 * 24 * 3600000,
+  "30d": 30 * 24 * 3600000,
+  "90d": 90 * 24 * 3600000
+};
+const DEFAULT_DETAIL_RANGE = "24h";
+// Most points in the latency chart; the backend picks a resolution that fits
+const CHART_MAX_POINTS = 200;
+// How the backend aggregated the chart's buckets (resolution=auto)
+const RESOLUTION_LABELS = { hour: "hourly", "6h": "per 6 hours", day: "daily" };
+const CHART = { width: 720, height: 220, top: 12, right: 12, bottom: 26, left: 56 };
+
+// Hash routes: "#/service/<id>[?range=7d]" is a service's detail view,
+// anything else is the overview, whose query holds the timeline range
+function parseRoute(hash) {
+  const match = /^#\/service\/([^?]+)(?:\?(.*))?$/.exec(hash || "");
+  if (!match) {
+    const query = /^#\/?\?(.*)$/.exec(hash || "");
+    return { view: "overview", params: new URLSearchParams(query ? query[1] : "") };
+  }
+  const params = new URLSearchParams(match[2] || "");
+  const range = DETAIL_RANGES[params.get("range")] ? params.get("range") : DEFAULT_DETAIL_RANGE;
+  return { view: "service", serviceId: decodeURIComponent(match[1]), range };
+}
+
+function serviceHref(serviceId, range) {
+  const query = range && range !== DEFAULT_DETAIL_RANGE ? `?range=${range}` : "";
+  return `#/service/${encodeURIComponent(serviceId)}${query}`;
+}
+
+// "3h 12m", "45m", "20s"
+function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return `${Math.max(0, Math.round(ms / 1000))}s`;
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+// Everything the detail view shows; parts that fail to load are null
+async function loadServiceDetail(service, range) {
+  const now = Date.now();
+  const id = encodeURIComponent(service.id);
+  const fromUtcMs = now - DETAIL_RANGES[range];
+  const fields = "ping_ms,p50_ms,p95_ms,success_ratio,no_data,maintenance,status";
+  const orNull = (promise, what) => promise.catch((error) => {
+    console.error(`Failed to load ${what}:`, error);
+    return null;
+  });
+
+  const [snapshots, uptime, incidents, checks] = await Promise.all([
+    orNull(fetchJson(`/api/snapshots?service_id=${id}&from_utc_ms=${fromUtcMs}&to_utc_ms=${now}&resolution=auto&limit=${CHART_MAX_POINTS}&fields=${fields}`), "latency history"),
+    orNull(fetchJson(`/api/uptime?service_id=${id}&window=24h,7d,30d,90d`), "uptime"),
+    orNull(fetchJson(`/api/incidents?service_id=${id}&from_utc_ms=${now - DETAIL_RANGES["90d"]}&to_utc_ms=${now}`), "incidents"),
+    orNull(fetchJson(`/api/services/${id}/checks?limit=50`), "recent checks")
+  ]);
+
+  return {
+    service,
+    range,
+    fromUtcMs,
+    toUtcMs: now,
+    snapshots: snapshots ? snapshots.snapshots || [] : null,
+    resolution: snapshots ? snapshots.resolution : null,
+    uptime: uptime && uptime.services[0] ? uptime.services[0].windows : null,
+    incidents: incidents ? incidents.incidents : null,
+    checks: checks ? checks.checks : null
+  };
+}
+
+// SVG path through the points, broken where a value is missing. A point
+// between two gaps gets a zero-length segment, drawn as a dot (round caps).
+function linePath(points) {
+  const segments = [[]];
+  points.forEach((p) => {
+    if (p.y === null) {
+      if (segments[segments.length - 1].length > 0) segments.push([]);
+      return;
+    }
+    segments[segments.length - 1].push(`${p.x.toFixed(1)},${p.y.toFixed(1)}`);
+  });
+  return segments
+    .filter((segment) => segment.length > 0)
+    .map((segment) => `M${segment.join(" L")}${segment.length === 1 ? " h0" : ""}`)
+    .join(" ");
+}
+
+// Line chart of p50 (median) and p95 latency per bucket, with the slow
+// threshold dashed and down buckets marked red along the bottom
+function latencyChartSvg(detail) {
+  const { snapshots, fromUtcMs, toUtcMs } = detail;
+  const threshold = detail.service.slow_threshold_ms || 1000;
+  const p50 = (s) => s.p50_ms ?? (s.ping_ms > 0 ? s.ping_ms : null);
+  const p95 = (s) => s.p95_ms ?? null;
+
+  const values = snapshots.flatMap((s) => [p50(s), p95(s)]).filter((v) => v !== null);
+  const maxValue = Math.max(threshold, ...values) * 1.1;
+  const plotWidth = CHART.width - CHART.left - CHART.right;
+  const plotHeight = CHART.height - CHART.top - CHART.bottom;
+  const x = (t) => CHART.left + ((t - fromUtcMs) / (toUtcMs - fromUtcMs)) * plotWidth;
+  const y = (v) => CHART.top + plotHeight - (v / maxValue) * plotHeight;
+  const series = (key) => snapshots.map((s) => {
+    const v = key(s);
+    return { x: x(s.hour_utc_ms), y: v === null ? null : y(v) };
+  });
+
+  const grid = [0, maxValue / 2, maxValue].map((v) => `
+    <line class="chart-grid" x1="${CHART.left}" x2="${CHART.width - CHART.right}" y1="${y(v)}" y2="${y(v)}"></line>
+    <text class="chart-label" x="${CHART.left - 6}" y="${y(v) + 4}" text-anchor="end">${Math.round(v)} ms</text>`).join("");
+  // Aggregated buckets carry their worst status; stored ones are down at ping_ms 0
+  const down = snapshots
+    .filter((s) => (s.status ? s.status === "down" : s.ping_ms === 0 && !s.no_data && !s.maintenance))
+    .map((s) => `<rect class="chart-down" x="${x(s.hour_utc_ms) - 2}" y="${CHART.top + plotHeight - 6}" width="4" height="6"><title>${escapeHtml(formatTooltipDate(s.hour_utc_ms))}: down</title></rect>`)
+    .join("");
+
+  return `
+    <svg class="latency-chart" viewBox="0 0 ${CHART.width} ${CHART.height}" role="img" aria-label="Latency of ${escapeHtml(detail.service.name)}">
+      ${grid}
+      <line class="chart-threshold" x1="${CHART.left}" x2="${CHART.width - CHART.right}" y1="${y(threshold)}" y2="${y(threshold)}"></line>
+      <path class="chart-line p95" d="${linePath(series(p95))}"></path>
+      <path class="chart-line p50" d="${linePath(series(p50))}"></path>
+      ${down}
+      <text class="chart-label" x="${CHART.left}" y="${CHART.height - 6}">${escapeHtml(formatTooltipDate(fromUtcMs))}</text>
+      <text class="chart-label" x="${CHART.width - CHART.right}" y="${CHART.height - 6}" text-anchor="end">${escapeHtml(formatTooltipDate(toUtcMs))}</text>
+    </svg>
+    <div class="chart-legend">
+      <span class="legend-p50">p50</span>
+      <span class="legend-p95">p95</span>
+      <span class="legend-threshold">slow threshold (${threshold} ms)</span>
+      <span class="legend-down">down</span>
+    </div>`;
+}
+
+function uptimeSummaryHtml(uptime) {
+  if (!uptime) return `<p class="detail-empty">Uptime unavailable</p>`;
+  const rows = ["24h", "7d", "30d", "90d"].filter((key) => uptime[key]).map((key) => {
+    const u = uptime[key];
+    return `<tr>
+      <td>${key}</td>
+      <td>${u.uptime_pct !== null ? formatUptime(u.uptime_pct) : "–"}</td>
+      <td>${u.downtime_minutes} min</td>
+      <td>${u.incidents}</td>
+      <td>${u.mean_latency_ms !== null ? `${u.mean_latency_ms} ms` : "–"}</td>
+    </tr>`;
+  });
+  return `<table class="detail-table">
+    <thead><tr><th>Window</th><th>Uptime</th><th>Downtime</th><th>Incidents</th><th>Mean latency</th></tr></thead>
+    <tbody>${rows.join("")}</tbody>
+  </table>`;
+}
+
+function incidentsHtml(incidents) {
+  if (!incidents) return `<p class="detail-empty">Incidents unavailable</p>`;
+  if (incidents.length === 0) return `<p class="detail-empty">No incidents in the last 90 days</p>`;
+  const rows = incidents.slice(0, 10).map((i) => {
+    const reason = topFailureReason(i.failure_reasons) || i.reason;
+    return `<tr class="${i.ongoing ? "ongoing" : ""}">
+      <td>${escapeHtml(formatTooltipDate(i.start_utc_ms))}</td>
+      <td>${i.ongoing ? `ongoing (${formatDuration(i.duration_ms)})` : formatDuration(i.duration_ms)}</td>
+      <td>${reason ? escapeHtml(reason) : "–"}</td>
+    </tr>`;
+  });
+  return `<table class="detail-table">
+    <thead><tr><th>Started</th><th>Duration</th><th>Main failure</th></tr></thead>
+    <tbody>${rows.join("")}</tbody>
+  </table>`;
+}
+
+function checksHtml(checks) {
+  if (!checks) return `<p class="detail-empty">Recent checks unavailable</p>`;
+  if (checks.length === 0) return `<p class="detail-empty">No checks since the backend started</p>`;
+  const rows = checks.map((c) => {
+    const result = c.maintenance_window ? "Maintenance" : c.ok ? "OK" : "Failed";
+    const cls = c.maintenance_window ? "maintenance" : c.ok ? "ok" : "failed";
+    return `<tr>
+      <td>${escapeHtml(new Date(c.at_utc_ms).toLocaleString())}</td>
+      <td class="check-${cls}">${result}</td>
+      <td>${c.latency_ms !== null ? `${c.latency_ms} ms` : "–"}</td>
+      <td>${c.reason ? escapeHtml(c.reason) : ""}</td>
+    </tr>`;
+  });
+  return `<table class="detail-table">
+    <thead><tr><th>Time</th><th>Result</th><th>Latency</th><th>Reason</th></tr></thead>
+    <tbody>${rows.join("")}</tbody>
+  </table>`;
+}
+
+function configHtml(service) {
+  const target = service.url || [service.host, service.port].filter((v) => v !== undefined && v !== null).join(":");
+  const items = [
+    ["Type", service.type],
+    ["Target", target],
+    ["Timeout", `${service.timeout_ms} ms`],
+    ["Slow threshold", `${service.slow_threshold_ms} ms`],
+    ["Retries", service.retries],
+    ["Tags", (service.tags || []).join(", ") || "–"]
+  ];
+  if (service.max_lag_blocks !== null && service.max_lag_blocks !== undefined) {
+    items.push(["Max lag", `${service.max_lag_blocks} blocks`]);
+  }
+  if (service.paused) {
+    items.push(["Polling", "paused"]);
+  }
+  return `<dl class="detail-config">${items
+    .map(([label, value]) => `<dt>${label}</dt><dd>${escapeHtml(value ?? "–")}</dd>`)
+    .join("")}</dl>`;
+}
+
+// backHref returns to the overview with its timeline range
+function renderServiceDetail(section, detail, backHref = "#/") {
+  const { service, range } = detail;
+  const ranges = Object.keys(DETAIL_RANGES)
+    .map((key) => `<a class="range-option${key === range ? " active" : ""}" href="${serviceHref(service.id, key)}">${key}</a>`)
+    .join("");
+  let chart = `<p class="detail-empty">Latency history unavailable</p>`;
+  if (detail.snapshots && detail.snapshots.length > 0) {
+    chart = latencyChartSvg(detail);
+  } else if (detail.snapshots) {
+    chart = `<p class="detail-empty">No data in this range</p>`;
+  }
+
+  section.innerHTML = `
+    <a class="detail-back" href="${backHref}">← All services</a>
+    <h2 class="detail-title">${escapeHtml(service.name)}</h2>
+    <div class="detail-block">
+      <div class="detail-block-header">
+        <h3>Latency${RESOLUTION_LABELS[detail.resolution] ? ` <span class="detail-note">${RESOLUTION_LABELS[detail.resolution]}</span>` : ""}</h3>
+        <div class="range-options">${ranges}</div>
+      </div>
+      ${chart}
+    </div>
+    <div class="detail-columns">
+      <div class="detail-block"><h3>Uptime</h3>${uptimeSummaryHtml(detail.uptime)}</div>
+      <div class="detail-block"><h3>Configuration</h3>${configHtml(service)}</div>
+    </div>
+    <div class="detail-block"><h3>Recent incidents</h3>${incidentsHtml(detail.incidents)}</div>
+    <div class="detail-block"><h3>Recent checks</h3>${checksHtml(detail.checks)}</div>
+  `;
+}
+
+function renderUnknownService(section, serviceId, backHref = "#/") {
+  section.innerHTML = `
+    <a class="detail-back" href="${backHref}">← All services</a>
+    <p class="detail-empty">Unknown service: ${escapeHtml(serviceId)}</p>
+  `;
+}